@@ -2,10 +2,15 @@
 
 import fs from 'node:fs/promises';
 import { ESLint } from 'eslint';
+import prettier from 'prettier';
 import pluralize from 'pluralize';
-import { upperFirst, forEach } from 'lodash-es';
+import { upperFirst, forEach, isEmpty, omit, pickBy } from 'lodash-es';
+
+import { DATE_MACROS, PARAMETER_TYPES, REPORT_PARAMETERS } from '../src/reports/params.js';
 
 const apiList = JSON.parse(await fs.readFile(new URL('./apiList.json', import.meta.url)));
+const schemas = JSON.parse(await fs.readFile(new URL('./schemas.json', import.meta.url)));
+const entityNames = new Set(Object.values(omit(apiList, 'report')).flat().map(upperFirst));
 
 let header = `
 /* eslint-disable no-unused-vars */
@@ -17,7 +22,10 @@ class QuickBooksAccountingClient {
   async #update(entityName, entity) {}
   async #delete(entityName, idOrEntity) {}
   async #query(entity, parameters) {}
-  async #report(reportType, params) {}
+  async #report(reportType, params, options) {}
+  async #pdf(entityName, id) {}
+  async #pipePdf(entityName, id, writable) {}
+  async #send(entityName, id, email) {}
 
 `;
 
@@ -96,6 +104,19 @@ const query = (name) => {
 async find${pluralize(upperFirst(name))}(query) {
   return await this.#query('${upperFirst(name)}', query);
 }
+
+/**
+ * Lazily iterate ${upperFirst(
+   name
+ )} entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+ * 
+ * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+ * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+ * @return {AsyncGenerator<Object>} ${name} objects
+ */
+iterate${pluralize(upperFirst(name))}(query, options) {
+  return this.paginate('${upperFirst(name)}', query, options);
+}
 `;
 };
 
@@ -105,10 +126,51 @@ const report = (name) => {
  * Retrieve ${upperFirst(name)} report from QuickBooks
  * 
  * @param {Object=} params - parameter object to be send as condition / filter
+ * @param {Object=} options - response options, \`{ format: 'table' }\` to get parsed report or \`csv\`, \`jsonl\`, \`spreadsheetml\` to export it
  * @return {Promise<Object>} ${name} object response
  */
-async report${upperFirst(name)}(params) {
-  return await this.#report('${name}', params);
+async report${upperFirst(name)}(params, options) {
+  return await this.#report('${name}', params, options);
+}
+`;
+};
+
+const pdf = (name) => {
+  return `
+/**
+ * Retrieve ${upperFirst(name)} as PDF from QuickBooks
+ * 
+ * @param {String} id - ${name}'s ID to be retrieved.
+ * @return {Promise<Buffer>} ${name} PDF content
+ */
+async get${upperFirst(name)}Pdf(id) {
+  return await this.#pdf('${name}', id);
+}
+
+/**
+ * Stream ${upperFirst(name)} PDF from QuickBooks into a writable stream
+ * 
+ * @param {String} id - ${name}'s ID to be retrieved.
+ * @param {stream.Writable} writable - stream where the PDF content is written to
+ * @return {Promise<void>}
+ */
+async pipe${upperFirst(name)}Pdf(id, writable) {
+  return await this.#pipePdf('${name}', id, writable);
+}
+`;
+};
+
+const send = (name) => {
+  return `
+/**
+ * Send ${upperFirst(name)} by email from QuickBooks
+ * 
+ * @param {String} id - ${name}'s ID to be sent.
+ * @param {String=} email - email address to send to (Default: ${name}'s BillEmail address)
+ * @return {Promise<Object>} ${name} object response
+ */
+async send${upperFirst(name)}(id, email) {
+  return await this.#send('${name}', id, email);
 }
 `;
 };
@@ -120,11 +182,188 @@ const funcDef = {
   create,
   update,
   report,
+  pdf,
+  send,
+};
+
+let typesHeader = `
+/* Generated by generator/index.js from apiList.json and schemas.json, do not edit */
+
+import type {
+  DeleteResponse,
+  PaginateOptions,
+  QueryParameters,
+  QueryResponse,
+  QuickBooksObject,
+  Report,
+  ReportExportFormat,
+  ReportOptions,
+  ReportParamList,
+  ReportTable,
+  WriteResponse,
+} from './index.js';
+
+export type DateMacro = ${DATE_MACROS.map((value) => `'${value}'`).join(' | ')};
+`;
+
+/**
+ * Get TypeScript name of an entity, entities without schema are typed as plain objects
+ * @param {String} name Entity name as written in apiList.json
+ * @returns {String}
+ */
+const entityType = (name) => (schemas.definitions[upperFirst(name)] ? upperFirst(name) : 'QuickBooksObject');
+
+/**
+ * Convert JSON schema into TypeScript type
+ * @param {Object} schema
+ * @param {Boolean=} optional Make every property optional, ignoring `required`
+ * @returns {String}
+ */
+const toType = (schema, optional = false) => {
+  if (schema.$ref) return schema.$ref.split('/').pop();
+  if (schema.allOf) return schema.allOf.map((item) => toType(item, optional)).join(' & ');
+  if (schema.oneOf) return schema.oneOf.map((item) => toType(item, optional)).join(' | ');
+  if (schema.const) return `'${schema.const}'`;
+  if (schema.enum) return schema.enum.map((value) => `'${value}'`).join(' | ');
+  if (schema.type === 'array') return `Array<${toType(schema.items, optional)}>`;
+  if (schema.type === 'object')
+    return isEmpty(schema.properties) ? 'Record<string, unknown>' : `{${toProperties(schema, optional)}}`;
+  if (schema.type === 'integer') return 'number';
+  return schema.type;
+};
+
+/**
+ * Convert JSON schema properties into TypeScript interface body
+ * @param {Object} schema Object schema
+ * @param {Boolean=} optional Make every property optional, ignoring `required`
+ * @returns {String}
+ */
+const toProperties = (schema, optional = false) => {
+  return Object.entries(schema.properties)
+    .map(([key, property]) => {
+      let modifier = !optional && schema.required?.includes(key) ? '' : '?';
+      return `${key}${modifier}: ${toType(property, optional)};`;
+    })
+    .join('\n');
+};
+
+/**
+ * Declare schema definition as interface, or as type alias when it's not an object.
+ * Entity properties are optional, as the same interface is used for sparse updates and responses.
+ * @param {String} name Definition name
+ * @param {Object} schema
+ * @returns {String}
+ */
+const definition = (name, schema) => {
+  let optional = entityNames.has(name);
+  let comment = schema.description ? `\n/** ${schema.description} */` : '';
+  let refs = schema.allOf?.filter((item) => item.$ref) ?? [];
+  let [object = { type: 'object', properties: {} }, ...others] = schema.allOf?.filter((item) => !item.$ref) ?? [schema];
+  if (others.length || object.type !== 'object')
+    return `${comment}\nexport type ${name} = ${toType(schema, optional)};\n`;
+
+  let heritage = refs.length ? ` extends ${refs.map((item) => toType(item)).join(', ')}` : '';
+  return `${comment}\nexport interface ${name}${heritage} {${toProperties(object, optional)}}\n`;
+};
+
+/**
+ * Declare report parameters interface from its parameter list
+ * @param {String} name Report type
+ * @returns {String}
+ */
+const reportParams = (name) => {
+  if (!REPORT_PARAMETERS[name]) return `\nexport type ${name}Params = Record<string, ReportParamList>;\n`;
+
+  let properties = REPORT_PARAMETERS[name].map((key) => {
+    let { type, values } = PARAMETER_TYPES[key] ?? { type: 'string' };
+    if (type === 'date') return `${key}?: string | Date;`;
+    if (type === 'enum')
+      return `${key}?: ${values === DATE_MACROS ? 'DateMacro' : values.map((value) => `'${value}'`).join(' | ')};`;
+    if (type === 'integer') return `${key}?: number;`;
+    if (type === 'list') return `${key}?: ReportParamList;`;
+    return `${key}?: string;`;
+  });
+  return `\n/** ${name} report parameters */\nexport interface ${name}Params {${properties.join('\n')}}\n`;
+};
+
+const createType = (name) => `
+/** Creates ${upperFirst(name)} in QuickBooks */
+create${upperFirst(name)}(${name}Object: ${entityType(name)}): Promise<WriteResponse<${entityType(name)}>>;
+`;
+
+const readType = (name) => `
+/** Retrieve ${upperFirst(name)} from QuickBooks */
+get${upperFirst(name)}(id: string): Promise<${entityType(name)}>;
+`;
+
+const updateType = (name) => `
+/** Updates ${upperFirst(name)} entity in QuickBooks (Must include Id and SyncToken fields) */
+update${upperFirst(name)}(${name}Object: ${entityType(name)} & { void?: boolean }): Promise<WriteResponse<${entityType(
+  name
+)}>>;
+`;
+
+const removeType = (name) => `
+/** Remove ${upperFirst(name)} entity from QuickBooks */
+delete${upperFirst(name)}(idOrEntity: string | ${entityType(name)}): Promise<DeleteResponse<'${upperFirst(name)}'>>;
+`;
+
+const queryType = (name) => `
+/** Find ${upperFirst(name)} entities in QuickBooks */
+find${pluralize(upperFirst(name))}(query?: QueryParameters<${entityType(name)}>): Promise<QueryResponse<'${upperFirst(
+  name
+)}', ${entityType(name)}>>;
+
+/** Lazily iterate ${upperFirst(name)} entities in QuickBooks page by page */
+iterate${pluralize(upperFirst(name))}(query: QueryParameters<${entityType(
+  name
+)}> | undefined, options: PaginateOptions & { pages: true }): AsyncGenerator<${entityType(name)}[]>;
+iterate${pluralize(upperFirst(name))}(query?: QueryParameters<${entityType(
+  name
+)}>, options?: PaginateOptions): AsyncGenerator<${entityType(name)}>;
+`;
+
+const reportType = (name) => `
+/** Retrieve ${upperFirst(name)} report from QuickBooks */
+report${upperFirst(
+  name
+)}(params: ${name}Params | undefined, options: ReportOptions & { format: 'table' }): Promise<ReportTable>;
+report${upperFirst(
+  name
+)}(params: ${name}Params | undefined, options: ReportOptions & { format: ReportExportFormat }): Promise<string>;
+report${upperFirst(name)}(params?: ${name}Params, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+`;
+
+const pdfType = (name) => `
+/** Retrieve ${upperFirst(name)} as PDF from QuickBooks */
+get${upperFirst(name)}Pdf(id: string): Promise<Buffer>;
+
+/** Stream ${upperFirst(name)} PDF from QuickBooks into a writable stream */
+pipe${upperFirst(name)}Pdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+`;
+
+const sendType = (name) => `
+/** Send ${upperFirst(name)} by email from QuickBooks */
+send${upperFirst(name)}(id: string, email?: string): Promise<${entityType(name)}>;
+`;
+
+const typeDef = {
+  get: readType,
+  find: queryType,
+  delete: removeType,
+  create: createType,
+  update: updateType,
+  report: reportType,
+  pdf: pdfType,
+  send: sendType,
 };
 
 const generate = async () => {
   let generatedCode = header;
-  forEach(apiList, (value, key) => forEach(value, (entity) => (generatedCode += funcDef[key](entity))));
+  forEach(
+    pickBy(apiList, (value, key) => funcDef[key]),
+    (value, key) => forEach(value, (entity) => (generatedCode += funcDef[key](entity)))
+  );
   generatedCode += footer;
 
   const eslint = new ESLint({ fix: true });
@@ -133,4 +372,24 @@ const generate = async () => {
   await fs.writeFile(new URL('./accounting.js', import.meta.url), formattedCode.source || formattedCode.output);
 };
 
+const generateTypes = async () => {
+  let generatedTypes = typesHeader;
+  forEach(schemas.definitions, (schema, name) => (generatedTypes += definition(name, schema)));
+  forEach(apiList.report, (name) => (generatedTypes += reportParams(name)));
+
+  generatedTypes += `
+/** Methods generated from apiList.json, implemented by QuickBooksAccountingClient */
+export interface QuickBooksAccountingMethods {`;
+  forEach(
+    pickBy(apiList, (value, key) => typeDef[key]),
+    (value, key) => forEach(value, (entity) => (generatedTypes += typeDef[key](entity)))
+  );
+  generatedTypes += '}\n';
+
+  let target = new URL('../types/accounting.d.ts', import.meta.url);
+  let options = await prettier.resolveConfig(target.pathname);
+  await fs.writeFile(target, prettier.format(generatedTypes, { ...options, parser: 'typescript' }));
+};
+
 await generate();
+await generateTypes();
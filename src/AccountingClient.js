@@ -1,18 +1,22 @@
 import path from 'node:path';
 import util from 'node:util';
+import stream from 'node:stream';
 import fs from 'node:fs/promises';
 
 import axios from 'axios';
-import sqlstring from 'sqlstring';
+import FormData from 'form-data';
 import * as AxiosLogger from 'axios-logger';
 import {
   cloneDeep,
   isBoolean,
+  isFunction,
+  isInteger,
   isNil,
   isNumber,
   isString,
   isUndefined,
   inRange,
+  omit,
   omitBy,
   isArray,
   transform,
@@ -20,12 +24,49 @@ import {
   find,
   findIndex,
   upperFirst,
+  chunk,
+  sortBy,
+  union,
 } from 'lodash-es';
 
+import QuickBooksBatchBuilder from './BatchBuilder.js';
+import QuickBooksQueryBuilder from './QueryBuilder.js';
+import { QuickBooksError, AuthenticationError, SchemaValidationError } from './errors.js';
+import { normalizeRetryOptions, isRetryable, getRetryDelay } from './retry.js';
+import QuickBooksRateLimiter from './RateLimiter.js';
+import { resolveAttachmentFile } from './attachments.js';
+import { validateEntity } from './validation.js';
+import { normalizeCassetteOptions, createRecorder, createReplayAdapter } from './cassette.js';
+import { parseReport } from './reports/parser.js';
+import { normalizeReportParams } from './reports/params.js';
+import { EXPORT_FORMATS, exportReport } from './reports/exporters.js';
+import { CHUNKED_REPORTS, splitDateRange, countDays, isReportTruncated, mergeReports } from './reports/chunking.js';
+import {
+  IDEMPOTENCY_MODES,
+  randomRequestId,
+  deterministicRequestId,
+  hasRequestId,
+  attachRequestId,
+} from './idempotency.js';
+
+const pipeline = util.promisify(stream.pipeline);
 const packageJson = JSON.parse(await fs.readFile(new URL('../package.json', import.meta.url)));
+const apiList = JSON.parse(await fs.readFile(new URL('../generator/apiList.json', import.meta.url)));
 
 class QuickBooksAccountingClient {
   #accessToken;
+  #accessTokenExpiresAt = null;
+  #refreshToken;
+  #clientId;
+  #clientSecret;
+  #onTokenRefresh;
+  #refreshLock;
+  #refreshPromise = null;
+  #retry;
+  #rateLimiter = null;
+  #cassette = null;
+  #idempotency = null;
+  #validate = false;
   #realmId;
   #minorVersion = 65;
   #useSandbox = process.env.NODE_ENV === 'production' ? false : true;
@@ -34,7 +75,23 @@ class QuickBooksAccountingClient {
 
   static BASE_URL_PRODUCTION = 'https://quickbooks.api.intuit.com';
   static BASE_URL_SANDBOX = 'https://sandbox-quickbooks.api.intuit.com';
+  static TOKEN_URL = 'https://oauth.platform.intuit.com/oauth2/v1/tokens/bearer';
+  static TOKEN_EXPIRY_MARGIN = 60 * 1000;
   static QUERY_OPERATORS = ['=', 'IN', '<', '>', '<=', '>=', 'LIKE'];
+  static QUERY_MAX_RESULTS = 1000;
+  static BATCH_OPERATIONS = ['create', 'update', 'delete', 'query'];
+  static BATCH_LIMIT = 30;
+  static BATCH_ENTITIES = {
+    create: apiList.create.map(upperFirst),
+    update: apiList.update.map(upperFirst),
+    delete: apiList.delete.map(upperFirst),
+    query: apiList.find.map(upperFirst),
+  };
+  static CDC_ENTITIES = apiList.cdc.map(upperFirst);
+  static CDC_MAX_DAYS = 30;
+  static CDC_MAX_RESULTS = 1000;
+  static REPORT_FORMATS = ['raw', 'table', ...EXPORT_FORMATS];
+  static REPORT_CHUNK_CONCURRENCY = 3;
 
   /**
    * Create QuickBooksAccountingClient instance
@@ -44,10 +101,34 @@ class QuickBooksAccountingClient {
    * @param {Number=} config.minorVersion
    * @param {Boolean=} config.useSandbox
    * @param {Boolean=} config.debug
+   * @param {String=} config.clientId App's client ID, required to refresh access token
+   * @param {String=} config.clientSecret App's client secret, required to refresh access token
+   * @param {String=} config.refreshToken User's refresh token, required to refresh access token
+   * @param {Date|Number|String=} config.accessTokenExpiresAt Access token expiry time, used to refresh before it expires
+   * @param {Function=} config.onTokenRefresh Callback receiving the new token pair after each refresh
+   * @param {Function=} config.refreshLock Function wrapping token refresh, receives the refresh function and returns the token pair
+   * @param {Object|Boolean=} config.retry Retry policy for throttled and failed requests, false to disable
+   * @param {Number=} config.retry.maxAttempts Maximum number of attempts including the first one (Default value: 3)
+   * @param {Number[]=} config.retry.statusCodes HTTP status codes to be retried (Default value: [429, 500, 502, 503, 504])
+   * @param {Number=} config.retry.baseDelay Delay (ms) before the first retry, doubled on each attempt (Default value: 1000)
+   * @param {Number=} config.retry.maxDelay Maximum delay (ms) between attempts (Default value: 30000)
+   * @param {Boolean=} config.retry.jitter Whether to randomize delay between attempts (Default value: true)
+   * @param {'auto'|'deterministic'|null=} config.idempotency Generate requestid for create/update/delete/void calls
+   * @param {Boolean=} config.validate Validate entities against their schema before sending create/update requests (Default value: false)
+   * @param {Object=} config.cassette Record HTTP interactions into a cassette file or replay them: `{ mode: 'record'|'replay', path }`
+   * @param {String=} config.baseUrl API base URL overriding BASE_URL_PRODUCTION / BASE_URL_SANDBOX (e.g. mock server URL)
+   * @param {Object|QuickBooksRateLimiter|Boolean=} config.rateLimit Rate limiter config or instance (to share it between clients), false to disable
    */
   constructor(config = {}) {
     this.#accessToken = config.accessToken;
+    this.#refreshToken = config.refreshToken;
+    this.#clientId = config.clientId;
+    this.#clientSecret = config.clientSecret;
+    this.#onTokenRefresh = config.onTokenRefresh;
+    this.#refreshLock = config.refreshLock;
     this.#realmId = config.realmId;
+    if (!isNil(config.accessTokenExpiresAt))
+      this.#accessTokenExpiresAt = new Date(config.accessTokenExpiresAt).getTime();
     if (!isNil(config.minorVersion)) this.#minorVersion = config.minorVersion;
     if (!isNil(config.useSandbox)) this.#useSandbox = config.useSandbox;
     if (!isNil(config.debug)) this.#debug = config.debug;
@@ -60,15 +141,33 @@ class QuickBooksAccountingClient {
       throw new Error('invalid value: minorVersion');
     if (!isBoolean(this.#useSandbox)) throw new Error('invalid value: useSandbox');
     if (!isBoolean(this.#debug)) throw new Error('invalid value: debug');
+    if (!isNil(config.validate)) this.#validate = config.validate;
+    if (!isBoolean(this.#validate)) throw new Error('invalid value: validate');
+    if (!isNil(this.#clientId) && !isString(this.#clientId)) throw new Error('invalid value: clientId');
+    if (!isNil(this.#clientSecret) && !isString(this.#clientSecret)) throw new Error('invalid value: clientSecret');
+    if (!isNil(this.#refreshToken) && !isString(this.#refreshToken)) throw new Error('invalid value: refreshToken');
+    if (!isNil(this.#onTokenRefresh) && !isFunction(this.#onTokenRefresh))
+      throw new Error('invalid value: onTokenRefresh');
+    if (!isNil(this.#refreshLock) && !isFunction(this.#refreshLock)) throw new Error('invalid value: refreshLock');
+    if (!isNil(config.idempotency)) this.#idempotency = config.idempotency;
+    if (!isNil(this.#idempotency) && !IDEMPOTENCY_MODES.includes(this.#idempotency))
+      throw new Error('invalid value: idempotency');
+    this.#retry = normalizeRetryOptions(config.retry);
+    if (config.rateLimit instanceof QuickBooksRateLimiter) this.#rateLimiter = config.rateLimit;
+    else if (config.rateLimit !== false) this.#rateLimiter = new QuickBooksRateLimiter(config.rateLimit ?? {});
+    if (isNaN(this.#accessTokenExpiresAt)) throw new Error('invalid value: accessTokenExpiresAt');
+    this.#cassette = normalizeCassetteOptions(config.cassette);
+    let baseUrl =
+      config.baseUrl ??
+      (this.#useSandbox ? QuickBooksAccountingClient.BASE_URL_SANDBOX : QuickBooksAccountingClient.BASE_URL_PRODUCTION);
+    if (!isString(baseUrl) || !/^https?:\/\/[^/]+/.test(baseUrl)) throw new Error('invalid value: baseUrl');
 
     this.#axios = axios.create({
-      baseURL: new URL(
-        '/v3/company',
-        this.#useSandbox ? QuickBooksAccountingClient.BASE_URL_SANDBOX : QuickBooksAccountingClient.BASE_URL_PRODUCTION
-      ).toString(),
+      baseURL: new URL('/v3/company', baseUrl).toString(),
       headers: { 'user-agent': `quickbooks-node: version ${packageJson.version}` },
       params: { minorversion: this.#minorVersion },
     });
+    if (this.#cassette) this.#useCassette();
     if (this.#debug) {
       let loggerConfig = { prefixText: 'QuickBooks', dateFormat: 'HH:MM:ss', headers: true, params: true };
       this.#axios.interceptors.request.use((request) => {
@@ -78,6 +177,99 @@ class QuickBooksAccountingClient {
         return AxiosLogger.responseLogger(response, loggerConfig);
       });
     }
+    if (this.#rateLimiter) this.#useRateLimiter();
+    if (this.#canRefreshToken()) this.#useTokenRefresh();
+    if (this.#retry) this.#useRetry();
+  }
+
+  /**
+   * Register interceptors holding requests until the rate limiter allows them.
+   * Slot is released before other response interceptors retry the request.
+   */
+  #useRateLimiter() {
+    this.#axios.interceptors.request.use(async (config) => {
+      let category = 'default';
+      if (/\/batch$/.test(config.url)) category = 'batch';
+      else if (/\/reports\//.test(config.url)) category = 'report';
+      config._rateLimitRelease = await this.#rateLimiter.acquire(category);
+      return config;
+    });
+    this.#axios.interceptors.response.use(
+      (response) => {
+        response.config?._rateLimitRelease?.();
+        return response;
+      },
+      (error) => {
+        error.config?._rateLimitRelease?.();
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Record HTTP interactions into the cassette file, or serve them from it instead of sending requests.
+   * Registered first so that responses are recorded before being handled by token refresh and retry.
+   */
+  #useCassette() {
+    if (this.#cassette.mode === 'replay') {
+      this.#axios.defaults.adapter = createReplayAdapter(this.#cassette, this.#realmId);
+      return;
+    }
+
+    let record = createRecorder(this.#cassette, this.#realmId);
+    this.#axios.interceptors.response.use(
+      async (response) => {
+        await record(response);
+        return response;
+      },
+      async (error) => {
+        if (error.response) await record(error.response);
+        throw error;
+      }
+    );
+  }
+
+  /**
+   * Register interceptor that retries throttled and failed requests with exponential backoff
+   */
+  #useRetry() {
+    this.#axios.interceptors.response.use(undefined, async (error) => {
+      let attempt = (error.config?._retryAttempt ?? 0) + 1;
+      if (!isRetryable(error, this.#retry, attempt)) throw error;
+
+      await new Promise((resolve) => setTimeout(resolve, getRetryDelay(error, this.#retry, attempt)));
+      return await this.#axios({ ...error.config, _retryAttempt: attempt });
+    });
+  }
+
+  /**
+   * Register interceptors that refresh access token when it is (about to be) expired
+   * and retry requests rejected with 401 once using the new access token
+   */
+  #useTokenRefresh() {
+    this.#axios.interceptors.request.use(async (config) => {
+      let expiresAt = this.#accessTokenExpiresAt;
+      if (expiresAt && Date.now() >= expiresAt - QuickBooksAccountingClient.TOKEN_EXPIRY_MARGIN)
+        await this.refreshAccessToken();
+      config.headers.authorization = `Bearer ${this.#accessToken}`;
+      return config;
+    });
+    this.#axios.interceptors.response.use(undefined, async (error) => {
+      let { config, response } = error;
+      if (response?.status !== 401 || !config || config._tokenRefreshed) throw error;
+
+      // Other request might have refreshed the token while this one is in-flight
+      if (config.headers?.authorization === `Bearer ${this.#accessToken}`) await this.refreshAccessToken();
+      return await this.#axios({ ...config, _tokenRefreshed: true });
+    });
+  }
+
+  /**
+   * Whether instance has credentials to refresh access token
+   * @returns {Boolean}
+   */
+  #canRefreshToken() {
+    return Boolean(this.#clientId && this.#clientSecret && this.#refreshToken);
   }
 
   /**
@@ -87,6 +279,9 @@ class QuickBooksAccountingClient {
    * @param {'head'|'get'|'post'|'put'|'patch'|'delete'|'options'} options.method
    * @param {Object} options.headers
    * @param {Object} options.params
+   * @param {'json'|'arraybuffer'|'stream'=} options.responseType Response type, overriding the one based on URL
+   * @param {String=} options.entityName Entity name attached to thrown error
+   * @param {String=} options.operation Operation name attached to thrown error
    * @param {Object|FormData|null} entity
    * @returns {Promise<Object>}
    */
@@ -106,12 +301,13 @@ class QuickBooksAccountingClient {
       defaultHeaders['accept'] = 'application/pdf';
       responseType = 'arraybuffer';
     }
+    if (options.responseType) responseType = options.responseType;
 
     if (entity?.allowDuplicateDocNum) {
       delete entity.allowDuplicateDocNum;
       params.include = 'allowduplicatedocnum';
     }
-    if (entity?.requestId) {
+    if (hasRequestId(entity)) {
       params.requestid = params.requestid || entity.requestId; // Do not override if exist
       delete entity.requestId;
     }
@@ -127,15 +323,24 @@ class QuickBooksAccountingClient {
       isUndefined
     );
 
-    const response = await this.#axios({
-      url,
-      method,
-      headers: aggregatedHeaders,
-      params,
-      data,
-      responseType,
-    });
-    return response.data;
+    try {
+      const response = await this.#axios({
+        url,
+        method,
+        headers: aggregatedHeaders,
+        params: omitBy(params, isUndefined),
+        data,
+        responseType,
+      });
+      return response.data;
+    } catch (error) {
+      if (!axios.isAxiosError(error)) throw error;
+      throw QuickBooksError.from(error, {
+        entity: options.entityName,
+        operation: options.operation,
+        requestId: params.requestid,
+      });
+    }
   }
 
   /**
@@ -149,6 +354,118 @@ class QuickBooksAccountingClient {
    * @returns {Promise<Object>}
    */
   async #query(entity, parameters) {
+    let { query, builder, parameters: queryParams, count, fetchAll } = this.#buildQuery(entity, parameters);
+    let parallel = find(queryParams, ['field', 'parallel'])?.value;
+    if (fetchAll && !count && parallel) return await this.#queryParallel(entity, builder, queryParams, parallel);
+
+    let response = await this.#request('/query', {
+      method: 'get',
+      params: { query },
+      entityName: entity,
+      operation: 'query',
+    });
+    if (fetchAll && !count) {
+      let limitObject = find(queryParams, ['field', 'limit']);
+      let offsetObject = find(queryParams, ['field', 'offset']);
+      if (response?.QueryResponse?.maxResults === limitObject.value) {
+        offsetObject.value += limitObject.value;
+        let responseFields = Object.keys(response.QueryResponse);
+        let entityKey = responseFields.find((value) => value.toLowerCase() === entity.toLowerCase());
+        let recursiveResponse = await this.#query(entity, queryParams);
+
+        response.QueryResponse[entityKey] = response.QueryResponse[entityKey].concat(
+          recursiveResponse?.QueryResponse?.[entityKey] || []
+        );
+        response.QueryResponse.maxResults += recursiveResponse?.QueryResponse?.maxResults || 0;
+        response.time = recursiveResponse.time || response.time;
+      }
+    }
+    return response;
+  }
+
+  /**
+   * Fetch every page of a query concurrently, using count query to compute page offsets
+   * @param {String} entity Entity name to be queried
+   * @param {QuickBooksQueryBuilder} builder Query builder of the first page
+   * @param {Object[]} queryParams Normalized query parameters
+   * @param {Boolean|Number} parallel true, or maximum number of concurrent page requests
+   * @returns {Promise<Object>} Query response containing records of every page, in order
+   */
+  async #queryParallel(entity, builder, queryParams, parallel) {
+    let concurrency = isNumber(parallel) ? parallel : this.#rateLimiter?.maxConcurrent ?? 10;
+    if (!isInteger(concurrency) || concurrency < 1) throw new Error('invalid value: parallel');
+
+    let limit = find(queryParams, ['field', 'limit']).value;
+    let offset = find(queryParams, ['field', 'offset']).value;
+    let send = (query) =>
+      this.#request('/query', { method: 'get', params: { query }, entityName: entity, operation: 'query' });
+
+    let countResponse = await send(builder.clone().count().toString());
+    let totalCount = countResponse?.QueryResponse?.totalCount ?? 0;
+    let offsets = [];
+    for (let position = offset; position <= Math.max(totalCount, offset); position += limit) offsets.push(position);
+
+    let responses = await this.#mapConcurrent(offsets, concurrency, (position) =>
+      send(builder.clone().offset(position).limit(limit).toString())
+    );
+
+    // Records created after the count query are fetched sequentially
+    let lastResponse = responses[responses.length - 1];
+    for (
+      let position = offsets[offsets.length - 1] + limit;
+      this.#getQueryRecords(lastResponse, entity).length === limit;
+      position += limit
+    ) {
+      lastResponse = await send(builder.clone().offset(position).limit(limit).toString());
+      responses.push(lastResponse);
+    }
+
+    let response = responses.find((pageResponse) => this.#getQueryRecords(pageResponse, entity).length) || responses[0];
+    let records = responses.flatMap((pageResponse) => this.#getQueryRecords(pageResponse, entity));
+    let entityKey = Object.keys(response?.QueryResponse || {}).find(
+      (key) => key.toLowerCase() === entity.toLowerCase()
+    );
+    if (!entityKey) return response;
+
+    return {
+      ...response,
+      QueryResponse: {
+        ...response.QueryResponse,
+        [entityKey]: records,
+        startPosition: offset,
+        maxResults: records.length,
+      },
+      time: lastResponse?.time || response.time,
+    };
+  }
+
+  /**
+   * Map items with async function, running at most `concurrency` calls at once
+   * @param {Array} items
+   * @param {Number} concurrency
+   * @param {Function} fn Async function called with each item
+   * @returns {Promise<Array>} Results in the same order as items
+   */
+  async #mapConcurrent(items, concurrency, fn) {
+    let results = new Array(items.length);
+    let next = 0;
+    let worker = async () => {
+      while (next < items.length) {
+        let index = next++;
+        results[index] = await fn(items[index]);
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Build QuickBooks query statement from query parameters
+   * @param {String} entity Entity name to be queried
+   * @param {Object=|Object[]=} parameters object or array of object to be used as query condition / filter
+   * @returns {{query: String, builder: QuickBooksQueryBuilder, parameters: Object[], count: Boolean, fetchAll: Boolean}}
+   */
+  #buildQuery(entity, parameters) {
     if (isNil(parameters)) parameters = [];
     if (!isObject(parameters)) throw new Error('Invalid query');
     parameters = cloneDeep(parameters); // Create a deep copy of parameters
@@ -166,86 +483,161 @@ class QuickBooksAccountingClient {
     let count = countIndex !== -1 ? true : false;
     if (count) parameters.splice(countIndex, 1);
 
-    let query = `${count ? 'select count(*) from' : 'select * from'} ${entity}`;
-
     let limitParams = find(parameters, ['field', 'limit']);
     let offsetParams = find(parameters, ['field', 'offset']);
     if (!limitParams) parameters.push({ field: 'limit', value: 1000 });
     if (!offsetParams) parameters.push({ field: 'offset', value: 1 });
     let fetchAll = Boolean(find(parameters, { field: 'fetchAll', value: true }));
 
-    query += this.#parseQueryParams(parameters, count);
+    let builder = this.query(entity).count(count);
+    for (let { field, value, operator } of parameters) {
+      if (['fetchAll', 'parallel', 'count'].includes(field)) continue;
+      else if (['asc', 'desc'].includes(field)) builder.orderBy(value, field);
+      else if (field === 'limit') builder.limit(value);
+      else if (field === 'offset') builder.offset(value);
+      else builder.where(field, operator, value);
+    }
 
-    let response = await this.#request('/query', {
-      method: 'get',
-      params: { query },
-    });
-    if (fetchAll && !count) {
-      let limitObject = find(parameters, ['field', 'limit']);
-      let offsetObject = find(parameters, ['field', 'offset']);
-      if (response?.QueryResponse?.maxResults === limitObject.value) {
-        offsetObject.value += limitObject.value;
-        let responseFields = Object.keys(response.QueryResponse);
-        let entityKey = responseFields.find((value) => value.toLowerCase() === entity.toLowerCase());
-        let recursiveResponse = await this.#query(entity, parameters);
+    return { query: builder.toString(), builder, parameters, count, fetchAll };
+  }
 
-        response.QueryResponse[entityKey] = response.QueryResponse[entityKey].concat(
-          recursiveResponse?.QueryResponse?.[entityKey] || []
-        );
-        response.QueryResponse.maxResults += recursiveResponse?.QueryResponse?.maxResults || 0;
-        response.time = recursiveResponse.time || response.time;
-      }
-    }
-    return response;
+  /**
+   * Get QuickBooks report
+   * @param {String} reportType Report type
+   * @param {Object=} params Query parameters
+   * @param {Object=} options
+   * @param {'raw'|'table'|'csv'|'jsonl'|'spreadsheetml'=} options.format `table` to parse the report with `parseReport`,
+   * or one of export formats to get exported report string (Default value: 'raw')
+   * @param {Boolean=} options.strict `true` to reject every parameter not listed for the report type, `false` to send them
+   * all as-is, likely typos (e.g. `start_dat`) are rejected by default
+   * @param {Number=} options.chunkDays Split start_date - end_date range into chunks of given days, merged into one report
+   * @param {Number=} options.concurrency Maximum number of chunks fetched at once (Default value: 3)
+   * @returns {Promise<Object>}
+   */
+  async #report(reportType, params, options = {}) {
+    params = normalizeReportParams(reportType, params, { strict: options.strict });
+    let format = options.format ?? 'raw';
+    if (!QuickBooksAccountingClient.REPORT_FORMATS.includes(format)) throw new Error('invalid value: format');
+
+    let response = isNil(options.chunkDays)
+      ? await this.#fetchReport(reportType, params)
+      : await this.#fetchReportChunks(reportType, params, options);
+    if (format === 'table') return parseReport(response);
+    return format === 'raw' ? response : exportReport(response, format, options);
   }
 
   /**
-   *
-   * @param {Object[]} params Array of query params objects
-   * @param {Boolean} count Whether it's a count query or not
-   * @returns {String} Parsed query parameters
+   * Send report request
+   * @param {String} reportType
+   * @param {Object} params Normalized report parameters
+   * @returns {Promise<Object>}
    */
-  #parseQueryParams(params, count = false) {
-    let { query, asc, desc, limit, offset } = params.reduce(
-      (result, current) => {
-        let { field, value, operator } = current;
-        if (field === 'fetchAll') return result;
-        else if (['asc', 'desc', 'limit', 'offset'].includes(field)) result[field] = value;
-        else {
-          result['query'] += `${result['query'] ? ' and ' : ''}${field} ${operator} ${
-            isArray(value) ? '(' + sqlstring.escape(value) + ')' : sqlstring.escape(value)
-          }`;
+  async #fetchReport(reportType, params) {
+    let url = path.posix.join('/reports', reportType);
+    return await this.#request(url, { method: 'get', params, entityName: reportType, operation: 'report' });
+  }
+
+  /**
+   * Fetch report by date range chunks and merge them into one report.
+   * Chunks truncated by QuickBooks are split in half and fetched again until they fit, or are a single day.
+   * @param {String} reportType
+   * @param {Object} params Normalized report parameters
+   * @param {Object} options `#report` options
+   * @returns {Promise<Object>} Merged report
+   */
+  async #fetchReportChunks(reportType, params, options) {
+    let { chunkDays, concurrency = QuickBooksAccountingClient.REPORT_CHUNK_CONCURRENCY } = options;
+    if (!CHUNKED_REPORTS.includes(reportType))
+      throw new Error(`invalid value: chunkDays (${reportType} can't be chunked)`);
+    if (!isInteger(chunkDays) || chunkDays < 1) throw new Error('invalid value: chunkDays');
+    if (!isInteger(concurrency) || concurrency < 1) throw new Error('invalid value: concurrency');
+    if (!params.start_date || !params.end_date) throw new Error('start_date and end_date not defined');
+
+    let rangeParams = omit(params, 'date_macro');
+    let queue = splitDateRange(params.start_date, params.end_date, chunkDays);
+    let chunks = [];
+    let workers = [];
+    let running = 0;
+    let failure = null;
+    let worker = async () => {
+      try {
+        while (queue.length && !failure) {
+          let [startDate, endDate] = queue.shift();
+          let report = await this.#fetchReport(reportType, {
+            ...rangeParams,
+            start_date: startDate,
+            end_date: endDate,
+          });
+          let days = countDays(startDate, endDate);
+          if (!isReportTruncated(report) || days === 1) {
+            chunks.push({ startDate, report });
+            continue;
+          }
+          queue.unshift(...splitDateRange(startDate, endDate, Math.ceil(days / 2)));
+          startWorkers();
         }
-        return result;
-      },
-      {
-        query: '',
-        asc: null,
-        desc: null,
-        limit: 1000,
-        offset: 1,
+      } catch (error) {
+        failure = failure || { error };
+      } finally {
+        running--;
       }
-    );
+    };
+    // Split halves are queued, so idle slots are refilled without ever exceeding `concurrency` requests at once
+    let startWorkers = () => {
+      while (running < Math.min(concurrency, queue.length)) {
+        running++;
+        workers.push(worker());
+      }
+    };
 
-    if (query) query = ` where ${query}`;
-    if (!count) {
-      if (asc) query += ` orderby ${asc} asc`;
-      if (desc) query += ` orderby ${desc} desc`;
-      query += ` startposition ${offset} maxresults ${limit}`;
-    }
-    return query;
+    startWorkers();
+    for (let index = 0; index < workers.length; index++) await workers[index];
+    if (failure) throw failure.error;
+
+    let reports = sortBy(chunks, 'startDate').map(({ report }) => report);
+    return mergeReports(reports);
   }
 
   /**
-   * Get QuickBooks report
-   * @param {String} reportType Report type
-   * @param {Object=} params Query parameters
+   * Get QuickBooks record as PDF
+   * @param {String} entityName
+   * @param {String} id
+   * @returns {Promise<Buffer>}
+   */
+  async #pdf(entityName, id) {
+    let url = path.posix.join('/', entityName.toLowerCase(), String(id), 'pdf');
+    let response = await this.#request(url, { method: 'get', entityName, operation: 'pdf' });
+    return Buffer.isBuffer(response) ? response : Buffer.from(response);
+  }
+
+  /**
+   * Stream QuickBooks record as PDF into a writable stream
+   * @param {String} entityName
+   * @param {String} id
+   * @param {stream.Writable} writable
+   * @returns {Promise<void>}
+   */
+  async #pipePdf(entityName, id, writable) {
+    if (!isFunction(writable?.write)) throw new Error('invalid value: writable');
+    let url = path.posix.join('/', entityName.toLowerCase(), String(id), 'pdf');
+    let response = await this.#request(url, { method: 'get', responseType: 'stream', entityName, operation: 'pdf' });
+    await pipeline(response, writable);
+  }
+
+  /**
+   * Send QuickBooks record by email
+   * @param {String} entityName
+   * @param {String} id
+   * @param {String=} email Email address to send to, QuickBooks uses the record's address when not defined
    * @returns {Promise<Object>}
    */
-  async #report(reportType, params) {
-    params = params || {};
-    let url = path.posix.join('/reports', reportType);
-    return await this.#request(url, { method: 'get', params });
+  async #send(entityName, id, email) {
+    if (!isNil(email) && !isString(email)) throw new Error('invalid value: email');
+    let url = path.posix.join('/', entityName.toLowerCase(), String(id), 'send');
+    let params = email ? { sendTo: email } : {};
+    let headers = { 'content-type': 'application/octet-stream' };
+    let response = await this.#request(url, { method: 'post', headers, params, entityName, operation: 'send' });
+    return response?.[upperFirst(entityName)] || response;
   }
 
   /**
@@ -255,9 +647,11 @@ class QuickBooksAccountingClient {
    * @returns {Promise<Object>}
    */
   async #create(entityName, entity) {
+    this.#validateEntity(entityName, entity, 'create');
     let url = path.posix.join('/', entityName.toLowerCase());
-    let response = await this.#request(url, { method: 'post' }, entity);
-    return response?.[upperFirst(entityName)] || response;
+    let params = { requestid: this.#generateRequestId(entityName, 'create', entity) };
+    let response = await this.#request(url, { method: 'post', params, entityName, operation: 'create' }, entity);
+    return attachRequestId(response?.[upperFirst(entityName)] || response, params.requestid);
   }
 
   /**
@@ -268,7 +662,7 @@ class QuickBooksAccountingClient {
    */
   async #read(entityName, id) {
     let url = path.posix.join('/', entityName.toLowerCase(), String(id));
-    let response = await this.#request(url, { method: 'get' });
+    let response = await this.#request(url, { method: 'get', entityName, operation: 'read' });
     return response?.[upperFirst(entityName)] || response;
   }
 
@@ -295,10 +689,13 @@ class QuickBooksAccountingClient {
       if (entityName === 'invoice') params.operation = 'void';
       else params.include = 'void';
     }
+    let operation = entity.void === true ? 'void' : 'update';
     delete entity.void;
+    this.#validateEntity(entityName, entity, operation);
+    params.requestid = this.#generateRequestId(entityName, operation, entity);
 
-    let response = await this.#request(url, { method: 'post', params }, entity);
-    return response?.[upperFirst(entityName)] || response;
+    let response = await this.#request(url, { method: 'post', params, entityName, operation }, entity);
+    return attachRequestId(response?.[upperFirst(entityName)] || response, params.requestid);
   }
 
   /**
@@ -311,7 +708,43 @@ class QuickBooksAccountingClient {
     let url = path.posix.join('/', entityName.toLowerCase());
     let params = { operation: 'delete' };
     let entity = await this.#getEntity(entityName, idOrEntity);
-    return await this.#request(url, { method: 'post', params }, entity);
+    params.requestid = this.#generateRequestId(entityName, 'delete', entity);
+    let response = await this.#request(url, { method: 'post', params, entityName, operation: 'delete' }, entity);
+    return attachRequestId(response, params.requestid);
+  }
+
+  /**
+   * Validate entity against its schema when validation is enabled.
+   * Sparse updates only carry changed fields, so the entity's own required fields aren't checked.
+   * @param {String} entityName
+   * @param {Object} entity
+   * @param {String} operation
+   */
+  #validateEntity(entityName, entity, operation) {
+    if (!this.#validate) return;
+    let errors = validateEntity(entityName, entity, { partial: operation !== 'create' && entity.sparse !== false });
+    if (!errors.length) return;
+
+    let [first] = errors;
+    throw new SchemaValidationError(
+      `invalid ${upperFirst(entityName)}: ${errors.map(({ message }) => message).join(', ')}`,
+      { element: first.element, errors, entity: entityName, operation }
+    );
+  }
+
+  /**
+   * Generate requestid for a write according to idempotency mode.
+   * Nothing is generated when idempotency is disabled or the entity already carries its own requestId.
+   * @param {String} entityName
+   * @param {String} operation
+   * @param {Object} entity
+   * @returns {String|undefined}
+   */
+  #generateRequestId(entityName, operation, entity) {
+    if (!this.#idempotency || hasRequestId(entity)) return undefined;
+    if (this.#idempotency === 'deterministic')
+      return deterministicRequestId(this.#realmId, entityName.toLowerCase(), operation, entity);
+    return randomRequestId();
   }
 
   /**
@@ -325,6 +758,159 @@ class QuickBooksAccountingClient {
     else return await this.#read(entityName, idOrEntity);
   }
 
+  /**
+   * Get canonical name of a batch operation's entity (e.g. 'creditmemo' -> 'CreditMemo')
+   * @param {String} operation Batch operation
+   * @param {String} entity Entity name, case-insensitive
+   * @returns {String}
+   */
+  #getBatchEntityName(operation, entity) {
+    if (!QuickBooksAccountingClient.BATCH_OPERATIONS.includes(operation))
+      throw new Error(`invalid batch operation: ${operation}`);
+    let entityName = find(QuickBooksAccountingClient.BATCH_ENTITIES[operation], (name) => {
+      return isString(entity) && name.toLowerCase() === entity.trim().toLowerCase();
+    });
+    if (!entityName) throw new Error(`invalid batch entity: ${entity}`);
+    return entityName;
+  }
+
+  /**
+   * Fetch entities of delete operations given by ID, with one `Id IN (...)` query per entity and BATCH_LIMIT IDs
+   * @param {Object[]} operations Batch operations
+   * @param {String[]} entityNames Canonical entity names of the operations
+   * @returns {Promise<Map<String, Object>>} Entities keyed by entity name and ID (e.g. 'Invoice:130')
+   */
+  async #getBatchEntities(operations, entityNames) {
+    let ids = {};
+    for (let [index, { operation, data }] of operations.entries()) {
+      if (operation !== 'delete' || isNil(data) || isObject(data)) continue;
+      ids[entityNames[index]] = union(ids[entityNames[index]], [String(data)]);
+    }
+
+    let entities = new Map();
+    for (let [entityName, entityIds] of Object.entries(ids)) {
+      for (let idChunk of chunk(entityIds, QuickBooksAccountingClient.BATCH_LIMIT)) {
+        let response = await this.#query(entityName, [{ field: 'Id', value: idChunk, operator: 'IN' }]);
+        for (let record of response?.QueryResponse?.[entityName] || [])
+          entities.set(`${entityName}:${record.Id}`, record);
+      }
+    }
+    return entities;
+  }
+
+  /**
+   * Build a single BatchItemRequest from a batch operation
+   * @param {Object} operation Batch operation
+   * @param {String} bId Batch item ID used to correlate the response
+   * @param {String} entityName Canonical entity name, see `#getBatchEntityName`
+   * @param {Map<String, Object>} entities Entities of delete operations given by ID, see `#getBatchEntities`
+   * @returns {Object} BatchItemRequest object
+   */
+  #buildBatchItem({ operation, data, query }, bId, entityName, entities) {
+    if (operation === 'query') {
+      let statement = isString(query) ? query : this.#buildQuery(entityName, query).query;
+      return { bId, Query: statement };
+    }
+
+    let entity = cloneDeep(data);
+    if (operation === 'delete' && !isNil(data) && !isObject(data)) entity = entities.get(`${entityName}:${data}`);
+    if (!isObject(entity)) throw new Error(`invalid batch data for ${operation} ${entityName}`);
+    if (operation !== 'create' && (!entity.Id || !entity.SyncToken))
+      throw new Error(
+        `${entityName} must contain Id and SyncToken fields: ${util.inspect(entity, {
+          showHidden: false,
+          depth: null,
+        })}`
+      );
+    if (operation === 'update' && isNil(entity.sparse)) entity.sparse = true;
+    if (operation !== 'delete') this.#validateEntity(entityName, entity, operation);
+
+    return { bId, operation, [entityName]: entity };
+  }
+
+  /**
+   * Refresh instance's access token using the refresh token.
+   * Concurrent calls share the same refresh request.
+   * @returns {Promise<Object>} New token pair: `{ accessToken, refreshToken, accessTokenExpiresAt, refreshTokenExpiresAt }`
+   */
+  async refreshAccessToken() {
+    if (!this.#canRefreshToken())
+      throw new Error('clientId, clientSecret and refreshToken must be defined to refresh access token');
+    if (!this.#refreshPromise) {
+      this.#refreshPromise = this.#refreshTokens().finally(() => {
+        this.#refreshPromise = null;
+      });
+    }
+    return await this.#refreshPromise;
+  }
+
+  /**
+   * Refresh token pair (through refreshLock if defined) and apply it to the instance
+   * @returns {Promise<Object>}
+   */
+  async #refreshTokens() {
+    let refresh = (refreshToken) => this.#requestToken(refreshToken);
+    let tokens = this.#refreshLock ? await this.#refreshLock(refresh) : await refresh();
+
+    this.#accessToken = tokens.accessToken;
+    this.#refreshToken = tokens.refreshToken;
+    this.#accessTokenExpiresAt = isNil(tokens.accessTokenExpiresAt)
+      ? null
+      : new Date(tokens.accessTokenExpiresAt).getTime();
+
+    if (this.#onTokenRefresh) await this.#onTokenRefresh(tokens);
+    return tokens;
+  }
+
+  /**
+   * Request new token pair from Intuit OAuth2 token endpoint
+   * @param {String=} refreshToken Refresh token to be used (Default: instance's refresh token)
+   * @returns {Promise<Object>}
+   */
+  async #requestToken(refreshToken = this.#refreshToken) {
+    let credentials = Buffer.from(`${this.#clientId}:${this.#clientSecret}`).toString('base64');
+    let response;
+    try {
+      response = await axios.post(
+        QuickBooksAccountingClient.TOKEN_URL,
+        new URLSearchParams({ grant_type: 'refresh_token', refresh_token: refreshToken }).toString(),
+        {
+          headers: {
+            authorization: `Basic ${credentials}`,
+            accept: 'application/json',
+            'content-type': 'application/x-www-form-urlencoded',
+          },
+        }
+      );
+    } catch (error) {
+      if (!axios.isAxiosError(error)) throw error;
+      let reason = error.response?.data?.error_description || error.response?.data?.error || error.message;
+      throw new AuthenticationError(`Failed to refresh access token: ${reason}`, {
+        status: error.response?.status,
+        code: error.response?.data?.error,
+        intuitTid: error.response?.headers?.['intuit_tid'],
+        operation: 'refreshToken',
+        cause: error,
+      });
+    }
+
+    let { access_token, refresh_token, expires_in, x_refresh_token_expires_in } = response.data;
+    return {
+      accessToken: access_token,
+      refreshToken: refresh_token,
+      accessTokenExpiresAt: new Date(Date.now() + expires_in * 1000),
+      refreshTokenExpiresAt: new Date(Date.now() + x_refresh_token_expires_in * 1000),
+    };
+  }
+
+  /**
+   * Get instance's rate limiter metrics
+   * @returns {Object|null} Rate limiter metrics, null when rate limiter is disabled
+   */
+  getRateLimiterMetrics() {
+    return this.#rateLimiter?.getMetrics() ?? null;
+  }
+
   /**
    * Get instance's access token
    * @returns {String}
@@ -336,13 +922,294 @@ class QuickBooksAccountingClient {
   /**
    * Update instance's access token
    * @param {String} token
+   * @param {Date|Number|String=} expiresAt Access token expiry time
    * @returns {String}
    */
-  setAccessToken(token) {
+  setAccessToken(token, expiresAt) {
     this.#accessToken = token;
+    this.#accessTokenExpiresAt = isNil(expiresAt) ? null : new Date(expiresAt).getTime();
     return this.#accessToken;
   }
 
+  /**
+   * Get instance's refresh token
+   * @returns {String}
+   */
+  getRefreshToken() {
+    return this.#refreshToken;
+  }
+
+  /**
+   * Update instance's refresh token
+   * @param {String} token
+   * @returns {String}
+   */
+  setRefreshToken(token) {
+    this.#refreshToken = token;
+    return this.#refreshToken;
+  }
+
+  /**
+   * Create a fluent query builder for given entity
+   * @param {String} entity Entity name to be queried (e.g. 'Invoice')
+   * @returns {QuickBooksQueryBuilder}
+   */
+  query(entity) {
+    return new QuickBooksQueryBuilder(entity, {
+      operators: QuickBooksAccountingClient.QUERY_OPERATORS,
+      execute: async (query) => {
+        return await this.#request('/query', {
+          method: 'get',
+          params: { query },
+          entityName: entity,
+          operation: 'query',
+        });
+      },
+    });
+  }
+
+  /**
+   * Lazily iterate entities page by page instead of loading every page into memory
+   * @param {String} entity Entity name to be queried (e.g. 'Invoice')
+   * @param {Object=|Object[]=|QuickBooksQueryBuilder=} query Query parameters (same as find* methods) or query builder, limit and offset are managed by the iterator
+   * @param {Object=} options
+   * @param {Number=} options.pageSize Number of records fetched per request, up to QUERY_MAX_RESULTS (Default value: 1000)
+   * @param {Boolean=} options.pages Yield arrays of records (one per page) instead of records (Default value: false)
+   * @returns {AsyncGenerator<Object|Object[]>}
+   */
+  async *paginate(entity, query, options = {}) {
+    let pageSize = options.pageSize ?? QuickBooksAccountingClient.QUERY_MAX_RESULTS;
+    if (!isInteger(pageSize) || !inRange(pageSize, 1, QuickBooksAccountingClient.QUERY_MAX_RESULTS + 1))
+      throw new Error('invalid value: pageSize');
+
+    let builder = query instanceof QuickBooksQueryBuilder ? query : this.#buildQuery(entity, query).builder;
+    for (let position = 1; ; position += pageSize) {
+      let response = await builder.clone().offset(position).limit(pageSize).execute();
+      let records = this.#getQueryRecords(response, builder.entity);
+
+      if (options.pages) {
+        if (records.length) yield records;
+      } else yield* records;
+      if (records.length < pageSize) return;
+    }
+  }
+
+  /**
+   * Readable stream (object mode) adapter of paginate method
+   * @param {String} entity Entity name to be queried (e.g. 'Invoice')
+   * @param {Object=|Object[]=|QuickBooksQueryBuilder=} query Query parameters or query builder
+   * @param {Object=} options Same as paginate options
+   * @returns {stream.Readable}
+   */
+  paginateStream(entity, query, options = {}) {
+    return stream.Readable.from(this.paginate(entity, query, options), { objectMode: true });
+  }
+
+  /**
+   * Get entity records from query response
+   * @param {Object} response Query response
+   * @param {String} entity Entity name
+   * @returns {Object[]}
+   */
+  #getQueryRecords(response, entity) {
+    let queryResponse = response?.QueryResponse || {};
+    let entityKey = Object.keys(queryResponse).find((value) => value.toLowerCase() === entity.toLowerCase());
+    return entityKey ? queryResponse[entityKey] : [];
+  }
+
+  /**
+   * Send multiple operations to QuickBooks batch endpoint.
+   * Operations are split into chunks of BATCH_LIMIT items, and the results are returned in the same order as the input.
+   * Items missing from the response, or of a chunk failing as a whole (e.g. network error), get a fault instead of a
+   * result, keeping other chunks' results. Entities of delete operations given by ID are fetched beforehand,
+   * with one query per entity and BATCH_LIMIT IDs.
+   * @param {Object[]} operations Array of batch operations
+   * @param {'create'|'update'|'delete'|'query'} operations[].operation Operation to be performed
+   * @param {String} operations[].entity Entity name, case-insensitive (e.g. 'invoice', 'creditMemo')
+   * @param {Object|String=} operations[].data Entity object (or ID for delete operation)
+   * @param {Object|Object[]|String=} operations[].query Query parameters or query statement for query operation
+   * @param {String=} operations[].bId Batch item ID, generated when not defined
+   * @returns {Promise<Object[]>} Array of `{ bId, operation, entity, result, fault }` objects
+   */
+  async batch(operations) {
+    if (!isArray(operations)) throw new Error('invalid value: operations');
+
+    let bIds = operations.map((operation, index) => (isNil(operation?.bId) ? `bid${index}` : String(operation.bId)));
+    if (new Set(bIds).size !== bIds.length) throw new Error('duplicate batch bId');
+
+    let entityNames = operations.map((operation) => this.#getBatchEntityName(operation?.operation, operation?.entity));
+    let entities = await this.#getBatchEntities(operations, entityNames);
+    let items = operations.map((operation, index) =>
+      this.#buildBatchItem(operation, bIds[index], entityNames[index], entities)
+    );
+
+    let responses = {};
+    for (let batchItems of chunk(items, QuickBooksAccountingClient.BATCH_LIMIT)) {
+      let itemResponses;
+      try {
+        let response = await this.#request(
+          '/batch',
+          { method: 'post', operation: 'batch' },
+          { BatchItemRequest: batchItems }
+        );
+        itemResponses = response?.BatchItemResponse || [];
+      } catch (error) {
+        let fault = QuickBooksError.from(error, { operation: 'batch' }).toFault();
+        itemResponses = batchItems.map(({ bId }) => ({ bId, Fault: cloneDeep(fault) }));
+      }
+      for (let itemResponse of itemResponses) responses[itemResponse.bId] = itemResponse;
+    }
+
+    return operations.map(({ operation, entity }, index) => {
+      let bId = bIds[index];
+      if (!responses[bId]) {
+        let fault = { Error: [{ Message: `bId ${bId} not found in BatchItemResponse` }], type: 'SystemFault' };
+        return { bId, operation, entity, result: null, fault };
+      }
+      let { Fault, ...itemResponse } = responses[bId];
+      let result = operation === 'query' ? itemResponse.QueryResponse : itemResponse[entityNames[index]];
+      return { bId, operation, entity, result: result ?? null, fault: Fault ?? null };
+    });
+  }
+
+  /**
+   * Create a fluent builder for batch operations
+   * @returns {QuickBooksBatchBuilder}
+   */
+  createBatch() {
+    return new QuickBooksBatchBuilder(this);
+  }
+
+  /**
+   * Retrieve entities changed since given time through QuickBooks Change Data Capture (CDC) endpoint
+   * @param {String[]|String} entities Array or comma separated entity names (e.g. ['Customer', 'Invoice'])
+   * @param {Date|String} changedSince Point in time (at most CDC_MAX_DAYS ago) to look back for changes
+   * @returns {Promise<Object>} Object of changed entities keyed by entity name, with removed entities in `deleted` key
+   */
+  async changeDataCapture(entities, changedSince) {
+    if (isString(entities)) entities = entities.split(',');
+    if (!isArray(entities) || !entities.length) throw new Error('invalid value: entities');
+    entities = entities.map((entity) => {
+      let entityName = find(QuickBooksAccountingClient.CDC_ENTITIES, (name) => {
+        return name.toLowerCase() === String(entity).trim().toLowerCase();
+      });
+      if (!entityName) throw new Error(`invalid CDC entity: ${entity}`);
+      return entityName;
+    });
+
+    let since = new Date(changedSince);
+    if (isNil(changedSince) || isNaN(since.getTime())) throw new Error('invalid value: changedSince');
+    if (Date.now() - since.getTime() > QuickBooksAccountingClient.CDC_MAX_DAYS * 24 * 60 * 60 * 1000)
+      throw new Error(`changedSince must be within the last ${QuickBooksAccountingClient.CDC_MAX_DAYS} days`);
+
+    let response = await this.#request('/cdc', {
+      method: 'get',
+      params: { entities: entities.join(','), changedSince: since.toISOString() },
+      operation: 'cdc',
+    });
+
+    let result = {};
+    for (let entityName of entities) result[entityName] = [];
+    result.deleted = [];
+    for (let cdcResponse of response?.CDCResponse || []) {
+      for (let queryResponse of cdcResponse?.QueryResponse || []) {
+        for (let entityName of entities) {
+          for (let record of queryResponse?.[entityName] || []) {
+            if (record.status === 'Deleted') result.deleted.push({ entity: entityName, ...record });
+            else result[entityName].push(record);
+          }
+        }
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Upload file to QuickBooks as Attachable, optionally linked to other entities
+   * @param {Object} attachment
+   * @param {Buffer|stream.Readable|String} attachment.file File content, readable stream or file path
+   * @param {String=} attachment.fileName File name, required unless file is a path
+   * @param {String=} attachment.contentType MIME type (Default: based on file name extension)
+   * @param {Object[]=} attachment.attachTo Entities to attach the file to: `[{ type: 'Invoice', id: '123', includeOnSend }]`
+   * @param {String=} attachment.note Attachable note
+   * @returns {Promise<Object>} Attachable object response
+   */
+  async uploadAttachment(attachment = {}) {
+    let attachTo = attachment.attachTo ?? [];
+    if (!isArray(attachTo) || attachTo.some((ref) => !ref?.type || isNil(ref?.id)))
+      throw new Error('invalid value: attachTo');
+    let { content, fileName, contentType } = await resolveAttachmentFile(attachment);
+
+    let metadata = omitBy(
+      {
+        FileName: fileName,
+        ContentType: contentType,
+        Note: attachment.note,
+        AttachableRef: attachTo.map(({ type, id, includeOnSend }) =>
+          omitBy({ EntityRef: { type: upperFirst(type), value: String(id) }, IncludeOnSend: includeOnSend }, isNil)
+        ),
+      },
+      isNil
+    );
+
+    let form = new FormData();
+    form.append('file_metadata_01', JSON.stringify(metadata), {
+      filename: 'attachment.json',
+      contentType: 'application/json',
+    });
+    form.append('file_content_01', content, { filename: fileName, contentType });
+
+    let streamError = null;
+    if (content instanceof stream.Readable) content.once('error', (error) => (streamError = error));
+    let response;
+    try {
+      response = await this.#request(
+        '/upload',
+        { method: 'post', headers: form.getHeaders(), entityName: 'attachable', operation: 'upload' },
+        form
+      );
+    } catch (error) {
+      throw streamError ?? error; // Failed file stream (e.g. exceeding maximum size) aborts the request
+    }
+    let [result] = response?.AttachableResponse || [];
+    if (result?.Fault) throw QuickBooksError.fromFault(result.Fault, { entity: 'attachable', operation: 'upload' });
+    return result?.Attachable || response;
+  }
+
+  /**
+   * Download Attachable's file content through its temporary download URI
+   * @param {String} id Attachable's ID
+   * @returns {Promise<stream.Readable>} File content stream
+   */
+  async downloadAttachable(id) {
+    let attachable = await this.#read('attachable', id);
+    if (!attachable?.TempDownloadUri) throw new Error(`attachable has no downloadable file: ${id}`);
+
+    try {
+      let response = await axios.get(attachable.TempDownloadUri, { responseType: 'stream' });
+      return response.data;
+    } catch (error) {
+      if (!axios.isAxiosError(error)) throw error;
+      throw QuickBooksError.from(error, { entity: 'attachable', operation: 'download' });
+    }
+  }
+
+  /**
+   * Find Attachable entities linked to given entity
+   * @param {String} entityType Linked entity type (e.g. 'Invoice')
+   * @param {String} entityId Linked entity's ID
+   * @returns {Promise<Object>} attachable object response
+   */
+  async findAttachablesFor(entityType, entityId) {
+    if (!entityType || !isString(entityType)) throw new Error('invalid value: entityType');
+    if (isNil(entityId)) throw new Error('entityId not defined');
+    return await this.#query('Attachable', [
+      { field: 'AttachableRef.EntityRef.Type', value: entityType.toLowerCase() },
+      { field: 'AttachableRef.EntityRef.value', value: String(entityId) },
+      { field: 'fetchAll', value: true },
+    ]);
+  }
+
   /** --- CODE BELOW THIS POINT IS GENERATED */
 
   /**
@@ -1455,6 +2322,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Account', query);
   }
 
+  /**
+   * Lazily iterate Account entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} account objects
+   */
+  iterateAccounts(query, options) {
+    return this.paginate('Account', query, options);
+  }
+
   /**
    * Find Attachable entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1465,6 +2343,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Attachable', query);
   }
 
+  /**
+   * Lazily iterate Attachable entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} attachable objects
+   */
+  iterateAttachables(query, options) {
+    return this.paginate('Attachable', query, options);
+  }
+
   /**
    * Find Bill entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1475,6 +2364,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Bill', query);
   }
 
+  /**
+   * Lazily iterate Bill entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} bill objects
+   */
+  iterateBills(query, options) {
+    return this.paginate('Bill', query, options);
+  }
+
   /**
    * Find BillPayment entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1485,6 +2385,17 @@ class QuickBooksAccountingClient {
     return await this.#query('BillPayment', query);
   }
 
+  /**
+   * Lazily iterate BillPayment entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} billPayment objects
+   */
+  iterateBillPayments(query, options) {
+    return this.paginate('BillPayment', query, options);
+  }
+
   /**
    * Find Budget entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1495,6 +2406,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Budget', query);
   }
 
+  /**
+   * Lazily iterate Budget entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} budget objects
+   */
+  iterateBudgets(query, options) {
+    return this.paginate('Budget', query, options);
+  }
+
   /**
    * Find Class entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1505,6 +2427,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Class', query);
   }
 
+  /**
+   * Lazily iterate Class entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} class objects
+   */
+  iterateClasses(query, options) {
+    return this.paginate('Class', query, options);
+  }
+
   /**
    * Find CompanyInfo entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1516,13 +2449,35 @@ class QuickBooksAccountingClient {
   }
 
   /**
-   * Find CreditMemo entities in QuickBooks, optionally sending parameters to be used as query condition / filter
+   * Lazily iterate CompanyInfo entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} companyInfo objects
+   */
+  iterateCompanyInfos(query, options) {
+    return this.paginate('CompanyInfo', query, options);
+  }
+
+  /**
+   * Find CreditMemo entities in QuickBooks, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @return {Promise<Object>} creditMemo object response
+   */
+  async findCreditMemos(query) {
+    return await this.#query('CreditMemo', query);
+  }
+
+  /**
+   * Lazily iterate CreditMemo entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
    *
    * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
-   * @return {Promise<Object>} creditMemo object response
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} creditMemo objects
    */
-  async findCreditMemos(query) {
-    return await this.#query('CreditMemo', query);
+  iterateCreditMemos(query, options) {
+    return this.paginate('CreditMemo', query, options);
   }
 
   /**
@@ -1535,6 +2490,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Customer', query);
   }
 
+  /**
+   * Lazily iterate Customer entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} customer objects
+   */
+  iterateCustomers(query, options) {
+    return this.paginate('Customer', query, options);
+  }
+
   /**
    * Find Department entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1545,6 +2511,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Department', query);
   }
 
+  /**
+   * Lazily iterate Department entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} department objects
+   */
+  iterateDepartments(query, options) {
+    return this.paginate('Department', query, options);
+  }
+
   /**
    * Find Deposit entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1555,6 +2532,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Deposit', query);
   }
 
+  /**
+   * Lazily iterate Deposit entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} deposit objects
+   */
+  iterateDeposits(query, options) {
+    return this.paginate('Deposit', query, options);
+  }
+
   /**
    * Find Employee entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1565,6 +2553,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Employee', query);
   }
 
+  /**
+   * Lazily iterate Employee entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} employee objects
+   */
+  iterateEmployees(query, options) {
+    return this.paginate('Employee', query, options);
+  }
+
   /**
    * Find Estimate entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1575,6 +2574,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Estimate', query);
   }
 
+  /**
+   * Lazily iterate Estimate entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} estimate objects
+   */
+  iterateEstimates(query, options) {
+    return this.paginate('Estimate', query, options);
+  }
+
   /**
    * Find ExchangeRate entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1585,6 +2595,17 @@ class QuickBooksAccountingClient {
     return await this.#query('ExchangeRate', query);
   }
 
+  /**
+   * Lazily iterate ExchangeRate entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} exchangeRate objects
+   */
+  iterateExchangeRates(query, options) {
+    return this.paginate('ExchangeRate', query, options);
+  }
+
   /**
    * Find Invoice entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1595,6 +2616,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Invoice', query);
   }
 
+  /**
+   * Lazily iterate Invoice entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} invoice objects
+   */
+  iterateInvoices(query, options) {
+    return this.paginate('Invoice', query, options);
+  }
+
   /**
    * Find Item entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1605,6 +2637,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Item', query);
   }
 
+  /**
+   * Lazily iterate Item entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} item objects
+   */
+  iterateItems(query, options) {
+    return this.paginate('Item', query, options);
+  }
+
   /**
    * Find JournalCode entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1615,6 +2658,17 @@ class QuickBooksAccountingClient {
     return await this.#query('JournalCode', query);
   }
 
+  /**
+   * Lazily iterate JournalCode entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} journalCode objects
+   */
+  iterateJournalCodes(query, options) {
+    return this.paginate('JournalCode', query, options);
+  }
+
   /**
    * Find JournalEntry entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1625,6 +2679,17 @@ class QuickBooksAccountingClient {
     return await this.#query('JournalEntry', query);
   }
 
+  /**
+   * Lazily iterate JournalEntry entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} journalEntry objects
+   */
+  iterateJournalEntries(query, options) {
+    return this.paginate('JournalEntry', query, options);
+  }
+
   /**
    * Find Payment entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1635,6 +2700,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Payment', query);
   }
 
+  /**
+   * Lazily iterate Payment entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} payment objects
+   */
+  iteratePayments(query, options) {
+    return this.paginate('Payment', query, options);
+  }
+
   /**
    * Find PaymentMethod entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1645,6 +2721,17 @@ class QuickBooksAccountingClient {
     return await this.#query('PaymentMethod', query);
   }
 
+  /**
+   * Lazily iterate PaymentMethod entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} paymentMethod objects
+   */
+  iteratePaymentMethods(query, options) {
+    return this.paginate('PaymentMethod', query, options);
+  }
+
   /**
    * Find Preferences entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1655,6 +2742,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Preferences', query);
   }
 
+  /**
+   * Lazily iterate Preferences entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} preferences objects
+   */
+  iteratePreferences(query, options) {
+    return this.paginate('Preferences', query, options);
+  }
+
   /**
    * Find Purchase entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1665,6 +2763,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Purchase', query);
   }
 
+  /**
+   * Lazily iterate Purchase entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} purchase objects
+   */
+  iteratePurchases(query, options) {
+    return this.paginate('Purchase', query, options);
+  }
+
   /**
    * Find PurchaseOrder entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1675,6 +2784,17 @@ class QuickBooksAccountingClient {
     return await this.#query('PurchaseOrder', query);
   }
 
+  /**
+   * Lazily iterate PurchaseOrder entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} purchaseOrder objects
+   */
+  iteratePurchaseOrders(query, options) {
+    return this.paginate('PurchaseOrder', query, options);
+  }
+
   /**
    * Find RefundReceipt entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1685,6 +2805,17 @@ class QuickBooksAccountingClient {
     return await this.#query('RefundReceipt', query);
   }
 
+  /**
+   * Lazily iterate RefundReceipt entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} refundReceipt objects
+   */
+  iterateRefundReceipts(query, options) {
+    return this.paginate('RefundReceipt', query, options);
+  }
+
   /**
    * Find SalesReceipt entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1695,6 +2826,17 @@ class QuickBooksAccountingClient {
     return await this.#query('SalesReceipt', query);
   }
 
+  /**
+   * Lazily iterate SalesReceipt entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} salesReceipt objects
+   */
+  iterateSalesReceipts(query, options) {
+    return this.paginate('SalesReceipt', query, options);
+  }
+
   /**
    * Find TaxAgency entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1705,6 +2847,17 @@ class QuickBooksAccountingClient {
     return await this.#query('TaxAgency', query);
   }
 
+  /**
+   * Lazily iterate TaxAgency entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} taxAgency objects
+   */
+  iterateTaxAgencies(query, options) {
+    return this.paginate('TaxAgency', query, options);
+  }
+
   /**
    * Find TaxCode entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1715,6 +2868,17 @@ class QuickBooksAccountingClient {
     return await this.#query('TaxCode', query);
   }
 
+  /**
+   * Lazily iterate TaxCode entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} taxCode objects
+   */
+  iterateTaxCodes(query, options) {
+    return this.paginate('TaxCode', query, options);
+  }
+
   /**
    * Find TaxRate entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1725,6 +2889,17 @@ class QuickBooksAccountingClient {
     return await this.#query('TaxRate', query);
   }
 
+  /**
+   * Lazily iterate TaxRate entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} taxRate objects
+   */
+  iterateTaxRates(query, options) {
+    return this.paginate('TaxRate', query, options);
+  }
+
   /**
    * Find Term entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1735,6 +2910,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Term', query);
   }
 
+  /**
+   * Lazily iterate Term entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} term objects
+   */
+  iterateTerms(query, options) {
+    return this.paginate('Term', query, options);
+  }
+
   /**
    * Find TimeActivity entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1745,6 +2931,17 @@ class QuickBooksAccountingClient {
     return await this.#query('TimeActivity', query);
   }
 
+  /**
+   * Lazily iterate TimeActivity entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} timeActivity objects
+   */
+  iterateTimeActivities(query, options) {
+    return this.paginate('TimeActivity', query, options);
+  }
+
   /**
    * Find Vendor entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1755,6 +2952,17 @@ class QuickBooksAccountingClient {
     return await this.#query('Vendor', query);
   }
 
+  /**
+   * Lazily iterate Vendor entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} vendor objects
+   */
+  iterateVendors(query, options) {
+    return this.paginate('Vendor', query, options);
+  }
+
   /**
    * Find VendorCredit entities in QuickBooks, optionally sending parameters to be used as query condition / filter
    *
@@ -1765,304 +2973,537 @@ class QuickBooksAccountingClient {
     return await this.#query('VendorCredit', query);
   }
 
+  /**
+   * Lazily iterate VendorCredit entities in QuickBooks page by page, optionally sending parameters to be used as query condition / filter
+   *
+   * @param {Object=|Object[]=} query - object or array of object to be used as query condition / filter
+   * @param {Object=} options - pagination options: pageSize (Default: 1000) and pages (yield page arrays instead of records)
+   * @return {AsyncGenerator<Object>} vendorCredit objects
+   */
+  iterateVendorCredits(query, options) {
+    return this.paginate('VendorCredit', query, options);
+  }
+
   /**
    * Retrieve AccountList report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} AccountList object response
    */
-  async reportAccountList(params) {
-    return await this.#report('AccountList', params);
+  async reportAccountList(params, options) {
+    return await this.#report('AccountList', params, options);
   }
 
   /**
    * Retrieve AgedPayableDetail report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} AgedPayableDetail object response
    */
-  async reportAgedPayableDetail(params) {
-    return await this.#report('AgedPayableDetail', params);
+  async reportAgedPayableDetail(params, options) {
+    return await this.#report('AgedPayableDetail', params, options);
   }
 
   /**
    * Retrieve AgedPayables report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} AgedPayables object response
    */
-  async reportAgedPayables(params) {
-    return await this.#report('AgedPayables', params);
+  async reportAgedPayables(params, options) {
+    return await this.#report('AgedPayables', params, options);
   }
 
   /**
    * Retrieve AgedReceivableDetail report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} AgedReceivableDetail object response
    */
-  async reportAgedReceivableDetail(params) {
-    return await this.#report('AgedReceivableDetail', params);
+  async reportAgedReceivableDetail(params, options) {
+    return await this.#report('AgedReceivableDetail', params, options);
   }
 
   /**
    * Retrieve AgedReceivables report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} AgedReceivables object response
    */
-  async reportAgedReceivables(params) {
-    return await this.#report('AgedReceivables', params);
+  async reportAgedReceivables(params, options) {
+    return await this.#report('AgedReceivables', params, options);
   }
 
   /**
    * Retrieve BalanceSheet report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} BalanceSheet object response
    */
-  async reportBalanceSheet(params) {
-    return await this.#report('BalanceSheet', params);
+  async reportBalanceSheet(params, options) {
+    return await this.#report('BalanceSheet', params, options);
   }
 
   /**
    * Retrieve CashFlow report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} CashFlow object response
    */
-  async reportCashFlow(params) {
-    return await this.#report('CashFlow', params);
+  async reportCashFlow(params, options) {
+    return await this.#report('CashFlow', params, options);
   }
 
   /**
    * Retrieve CustomerBalance report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} CustomerBalance object response
    */
-  async reportCustomerBalance(params) {
-    return await this.#report('CustomerBalance', params);
+  async reportCustomerBalance(params, options) {
+    return await this.#report('CustomerBalance', params, options);
   }
 
   /**
    * Retrieve CustomerBalanceDetail report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} CustomerBalanceDetail object response
    */
-  async reportCustomerBalanceDetail(params) {
-    return await this.#report('CustomerBalanceDetail', params);
+  async reportCustomerBalanceDetail(params, options) {
+    return await this.#report('CustomerBalanceDetail', params, options);
   }
 
   /**
    * Retrieve CustomerIncome report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} CustomerIncome object response
    */
-  async reportCustomerIncome(params) {
-    return await this.#report('CustomerIncome', params);
+  async reportCustomerIncome(params, options) {
+    return await this.#report('CustomerIncome', params, options);
   }
 
   /**
    * Retrieve FECReport report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} FECReport object response
    */
-  async reportFECReport(params) {
-    return await this.#report('FECReport', params);
+  async reportFECReport(params, options) {
+    return await this.#report('FECReport', params, options);
   }
 
   /**
    * Retrieve GeneralLedger report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} GeneralLedger object response
    */
-  async reportGeneralLedger(params) {
-    return await this.#report('GeneralLedger', params);
+  async reportGeneralLedger(params, options) {
+    return await this.#report('GeneralLedger', params, options);
   }
 
   /**
    * Retrieve GeneralLedgerFR report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} GeneralLedgerFR object response
    */
-  async reportGeneralLedgerFR(params) {
-    return await this.#report('GeneralLedgerFR', params);
+  async reportGeneralLedgerFR(params, options) {
+    return await this.#report('GeneralLedgerFR', params, options);
   }
 
   /**
    * Retrieve InventoryValuationSummary report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} InventoryValuationSummary object response
    */
-  async reportInventoryValuationSummary(params) {
-    return await this.#report('InventoryValuationSummary', params);
+  async reportInventoryValuationSummary(params, options) {
+    return await this.#report('InventoryValuationSummary', params, options);
   }
 
   /**
    * Retrieve JournalReport report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} JournalReport object response
    */
-  async reportJournalReport(params) {
-    return await this.#report('JournalReport', params);
+  async reportJournalReport(params, options) {
+    return await this.#report('JournalReport', params, options);
   }
 
   /**
    * Retrieve ProfitAndLoss report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} ProfitAndLoss object response
    */
-  async reportProfitAndLoss(params) {
-    return await this.#report('ProfitAndLoss', params);
+  async reportProfitAndLoss(params, options) {
+    return await this.#report('ProfitAndLoss', params, options);
   }
 
   /**
    * Retrieve ProfitAndLossDetail report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} ProfitAndLossDetail object response
    */
-  async reportProfitAndLossDetail(params) {
-    return await this.#report('ProfitAndLossDetail', params);
+  async reportProfitAndLossDetail(params, options) {
+    return await this.#report('ProfitAndLossDetail', params, options);
   }
 
   /**
    * Retrieve ClassSales report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} ClassSales object response
    */
-  async reportClassSales(params) {
-    return await this.#report('ClassSales', params);
+  async reportClassSales(params, options) {
+    return await this.#report('ClassSales', params, options);
   }
 
   /**
    * Retrieve CustomerSales report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} CustomerSales object response
    */
-  async reportCustomerSales(params) {
-    return await this.#report('CustomerSales', params);
+  async reportCustomerSales(params, options) {
+    return await this.#report('CustomerSales', params, options);
   }
 
   /**
    * Retrieve DepartmentSales report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} DepartmentSales object response
    */
-  async reportDepartmentSales(params) {
-    return await this.#report('DepartmentSales', params);
+  async reportDepartmentSales(params, options) {
+    return await this.#report('DepartmentSales', params, options);
   }
 
   /**
    * Retrieve ItemSales report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} ItemSales object response
    */
-  async reportItemSales(params) {
-    return await this.#report('ItemSales', params);
+  async reportItemSales(params, options) {
+    return await this.#report('ItemSales', params, options);
   }
 
   /**
    * Retrieve TaxSummary report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TaxSummary object response
    */
-  async reportTaxSummary(params) {
-    return await this.#report('TaxSummary', params);
+  async reportTaxSummary(params, options) {
+    return await this.#report('TaxSummary', params, options);
   }
 
   /**
    * Retrieve TransactionList report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TransactionList object response
    */
-  async reportTransactionList(params) {
-    return await this.#report('TransactionList', params);
+  async reportTransactionList(params, options) {
+    return await this.#report('TransactionList', params, options);
   }
 
   /**
    * Retrieve TransactionListByCustomer report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TransactionListByCustomer object response
    */
-  async reportTransactionListByCustomer(params) {
-    return await this.#report('TransactionListByCustomer', params);
+  async reportTransactionListByCustomer(params, options) {
+    return await this.#report('TransactionListByCustomer', params, options);
   }
 
   /**
    * Retrieve TransactionListByVendor report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TransactionListByVendor object response
    */
-  async reportTransactionListByVendor(params) {
-    return await this.#report('TransactionListByVendor', params);
+  async reportTransactionListByVendor(params, options) {
+    return await this.#report('TransactionListByVendor', params, options);
   }
 
   /**
    * Retrieve TransactionListWithSplits report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TransactionListWithSplits object response
    */
-  async reportTransactionListWithSplits(params) {
-    return await this.#report('TransactionListWithSplits', params);
+  async reportTransactionListWithSplits(params, options) {
+    return await this.#report('TransactionListWithSplits', params, options);
   }
 
   /**
    * Retrieve TrialBalance report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} TrialBalance object response
    */
-  async reportTrialBalance(params) {
-    return await this.#report('TrialBalance', params);
+  async reportTrialBalance(params, options) {
+    return await this.#report('TrialBalance', params, options);
   }
 
   /**
    * Retrieve VendorBalance report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} VendorBalance object response
    */
-  async reportVendorBalance(params) {
-    return await this.#report('VendorBalance', params);
+  async reportVendorBalance(params, options) {
+    return await this.#report('VendorBalance', params, options);
   }
 
   /**
    * Retrieve VendorBalanceDetail report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} VendorBalanceDetail object response
    */
-  async reportVendorBalanceDetail(params) {
-    return await this.#report('VendorBalanceDetail', params);
+  async reportVendorBalanceDetail(params, options) {
+    return await this.#report('VendorBalanceDetail', params, options);
   }
 
   /**
    * Retrieve VendorExpenses report from QuickBooks
    *
    * @param {Object=} params - parameter object to be send as condition / filter
+   * @param {Object=} options - response options, `{ format: 'table' }` to get parsed report or `csv`, `jsonl`, `spreadsheetml` to export it
    * @return {Promise<Object>} VendorExpenses object response
    */
-  async reportVendorExpenses(params) {
-    return await this.#report('VendorExpenses', params);
+  async reportVendorExpenses(params, options) {
+    return await this.#report('VendorExpenses', params, options);
+  }
+
+  /**
+   * Retrieve CreditMemo as PDF from QuickBooks
+   *
+   * @param {String} id - creditMemo's ID to be retrieved.
+   * @return {Promise<Buffer>} creditMemo PDF content
+   */
+  async getCreditMemoPdf(id) {
+    return await this.#pdf('creditMemo', id);
+  }
+
+  /**
+   * Stream CreditMemo PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - creditMemo's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipeCreditMemoPdf(id, writable) {
+    return await this.#pipePdf('creditMemo', id, writable);
+  }
+
+  /**
+   * Retrieve Estimate as PDF from QuickBooks
+   *
+   * @param {String} id - estimate's ID to be retrieved.
+   * @return {Promise<Buffer>} estimate PDF content
+   */
+  async getEstimatePdf(id) {
+    return await this.#pdf('estimate', id);
+  }
+
+  /**
+   * Stream Estimate PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - estimate's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipeEstimatePdf(id, writable) {
+    return await this.#pipePdf('estimate', id, writable);
+  }
+
+  /**
+   * Retrieve Invoice as PDF from QuickBooks
+   *
+   * @param {String} id - invoice's ID to be retrieved.
+   * @return {Promise<Buffer>} invoice PDF content
+   */
+  async getInvoicePdf(id) {
+    return await this.#pdf('invoice', id);
+  }
+
+  /**
+   * Stream Invoice PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - invoice's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipeInvoicePdf(id, writable) {
+    return await this.#pipePdf('invoice', id, writable);
+  }
+
+  /**
+   * Retrieve PurchaseOrder as PDF from QuickBooks
+   *
+   * @param {String} id - purchaseOrder's ID to be retrieved.
+   * @return {Promise<Buffer>} purchaseOrder PDF content
+   */
+  async getPurchaseOrderPdf(id) {
+    return await this.#pdf('purchaseOrder', id);
+  }
+
+  /**
+   * Stream PurchaseOrder PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - purchaseOrder's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipePurchaseOrderPdf(id, writable) {
+    return await this.#pipePdf('purchaseOrder', id, writable);
+  }
+
+  /**
+   * Retrieve RefundReceipt as PDF from QuickBooks
+   *
+   * @param {String} id - refundReceipt's ID to be retrieved.
+   * @return {Promise<Buffer>} refundReceipt PDF content
+   */
+  async getRefundReceiptPdf(id) {
+    return await this.#pdf('refundReceipt', id);
+  }
+
+  /**
+   * Stream RefundReceipt PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - refundReceipt's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipeRefundReceiptPdf(id, writable) {
+    return await this.#pipePdf('refundReceipt', id, writable);
+  }
+
+  /**
+   * Retrieve SalesReceipt as PDF from QuickBooks
+   *
+   * @param {String} id - salesReceipt's ID to be retrieved.
+   * @return {Promise<Buffer>} salesReceipt PDF content
+   */
+  async getSalesReceiptPdf(id) {
+    return await this.#pdf('salesReceipt', id);
+  }
+
+  /**
+   * Stream SalesReceipt PDF from QuickBooks into a writable stream
+   *
+   * @param {String} id - salesReceipt's ID to be retrieved.
+   * @param {stream.Writable} writable - stream where the PDF content is written to
+   * @return {Promise<void>}
+   */
+  async pipeSalesReceiptPdf(id, writable) {
+    return await this.#pipePdf('salesReceipt', id, writable);
+  }
+
+  /**
+   * Send CreditMemo by email from QuickBooks
+   *
+   * @param {String} id - creditMemo's ID to be sent.
+   * @param {String=} email - email address to send to (Default: creditMemo's BillEmail address)
+   * @return {Promise<Object>} creditMemo object response
+   */
+  async sendCreditMemo(id, email) {
+    return await this.#send('creditMemo', id, email);
+  }
+
+  /**
+   * Send Estimate by email from QuickBooks
+   *
+   * @param {String} id - estimate's ID to be sent.
+   * @param {String=} email - email address to send to (Default: estimate's BillEmail address)
+   * @return {Promise<Object>} estimate object response
+   */
+  async sendEstimate(id, email) {
+    return await this.#send('estimate', id, email);
+  }
+
+  /**
+   * Send Invoice by email from QuickBooks
+   *
+   * @param {String} id - invoice's ID to be sent.
+   * @param {String=} email - email address to send to (Default: invoice's BillEmail address)
+   * @return {Promise<Object>} invoice object response
+   */
+  async sendInvoice(id, email) {
+    return await this.#send('invoice', id, email);
+  }
+
+  /**
+   * Send PurchaseOrder by email from QuickBooks
+   *
+   * @param {String} id - purchaseOrder's ID to be sent.
+   * @param {String=} email - email address to send to (Default: purchaseOrder's BillEmail address)
+   * @return {Promise<Object>} purchaseOrder object response
+   */
+  async sendPurchaseOrder(id, email) {
+    return await this.#send('purchaseOrder', id, email);
+  }
+
+  /**
+   * Send RefundReceipt by email from QuickBooks
+   *
+   * @param {String} id - refundReceipt's ID to be sent.
+   * @param {String=} email - email address to send to (Default: refundReceipt's BillEmail address)
+   * @return {Promise<Object>} refundReceipt object response
+   */
+  async sendRefundReceipt(id, email) {
+    return await this.#send('refundReceipt', id, email);
+  }
+
+  /**
+   * Send SalesReceipt by email from QuickBooks
+   *
+   * @param {String} id - salesReceipt's ID to be sent.
+   * @param {String=} email - email address to send to (Default: salesReceipt's BillEmail address)
+   * @return {Promise<Object>} salesReceipt object response
+   */
+  async sendSalesReceipt(id, email) {
+    return await this.#send('salesReceipt', id, email);
   }
 }
 
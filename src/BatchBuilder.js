@@ -0,0 +1,80 @@
+class QuickBooksBatchBuilder {
+  #client;
+  #operations = [];
+
+  /**
+   * Create QuickBooksBatchBuilder instance
+   * @param {QuickBooksAccountingClient} client Client used to execute the batch
+   */
+  constructor(client) {
+    if (!client) throw new Error('client not defined');
+    this.#client = client;
+  }
+
+  /**
+   * Add create operation to the batch
+   * @param {String} entity Entity name (e.g. 'invoice', 'customer')
+   * @param {Object} data Entity object to be persisted in QuickBooks
+   * @param {String=} bId Batch item ID
+   * @returns {QuickBooksBatchBuilder}
+   */
+  create(entity, data, bId) {
+    return this.#add({ operation: 'create', entity, data, bId });
+  }
+
+  /**
+   * Add update operation to the batch
+   * @param {String} entity Entity name (e.g. 'invoice', 'customer')
+   * @param {Object} data Entity object to be updated in QuickBooks (Must include Id and SyncToken fields)
+   * @param {String=} bId Batch item ID
+   * @returns {QuickBooksBatchBuilder}
+   */
+  update(entity, data, bId) {
+    return this.#add({ operation: 'update', entity, data, bId });
+  }
+
+  /**
+   * Add delete operation to the batch
+   * @param {String} entity Entity name (e.g. 'invoice', 'customer')
+   * @param {Object|String} idOrEntity Entity's ID or object to be removed from QuickBooks
+   * @param {String=} bId Batch item ID
+   * @returns {QuickBooksBatchBuilder}
+   */
+  delete(entity, idOrEntity, bId) {
+    return this.#add({ operation: 'delete', entity, data: idOrEntity, bId });
+  }
+
+  /**
+   * Add query operation to the batch
+   * @param {String} entity Entity name (e.g. 'Invoice', 'Customer')
+   * @param {Object=|Object[]=|String=} query Query parameters or query statement
+   * @param {String=} bId Batch item ID
+   * @returns {QuickBooksBatchBuilder}
+   */
+  query(entity, query, bId) {
+    return this.#add({ operation: 'query', entity, query, bId });
+  }
+
+  /**
+   * Get queued batch operations
+   * @returns {Object[]}
+   */
+  getOperations() {
+    return [...this.#operations];
+  }
+
+  /**
+   * Execute queued operations
+   * @returns {Promise<Object[]>} Array of `{ bId, operation, entity, result, fault }` objects
+   */
+  async execute() {
+    return await this.#client.batch(this.#operations);
+  }
+
+  #add(operation) {
+    this.#operations.push(operation);
+    return this;
+  }
+}
+
+export default QuickBooksBatchBuilder;
@@ -0,0 +1,148 @@
+import { isFunction, isNil, isNumber } from 'lodash-es';
+
+import QuickBooksAccountingClient from './AccountingClient.js';
+
+class QuickBooksClientPool {
+  #tokenStore;
+  #clientConfig;
+  #onTokenRefresh;
+  #idleTimeout = 10 * 60 * 1000;
+  #clients = new Map();
+  #sweeper = null;
+
+  /**
+   * Create QuickBooksClientPool instance, lazily creating one QuickBooksAccountingClient per realm
+   * @param {Object} config
+   * @param {Object} config.tokenStore Token store implementing get(realmId), set(realmId, tokens) and lock(realmId, fn)
+   * @param {String=} config.clientId App's client ID, required to refresh access token
+   * @param {String=} config.clientSecret App's client secret, required to refresh access token
+   * @param {Number=} config.idleTimeout Time (ms) after which unused client is evicted, 0 to disable (Default value: 600000)
+   * @param {Function=} config.onTokenRefresh Callback receiving realmId and the new token pair after each refresh
+   * @param {...*} config.clientConfig Other configuration shared by every client (minorVersion, useSandbox, debug, ...)
+   */
+  constructor(config = {}) {
+    let { tokenStore, idleTimeout, onTokenRefresh, ...clientConfig } = config;
+    this.#tokenStore = tokenStore;
+    this.#onTokenRefresh = onTokenRefresh;
+    this.#clientConfig = clientConfig;
+    if (!isNil(idleTimeout)) this.#idleTimeout = idleTimeout;
+
+    if (!this.#tokenStore) throw new Error('tokenStore not defined');
+    for (let method of ['get', 'set', 'lock'])
+      if (!isFunction(this.#tokenStore[method])) throw new Error(`invalid value: tokenStore.${method}`);
+    if (!isNumber(this.#idleTimeout) || this.#idleTimeout < 0) throw new Error('invalid value: idleTimeout');
+    if (!isNil(this.#onTokenRefresh) && !isFunction(this.#onTokenRefresh))
+      throw new Error('invalid value: onTokenRefresh');
+
+    if (this.#idleTimeout) {
+      this.#sweeper = setInterval(() => this.evictIdle(), this.#idleTimeout);
+      this.#sweeper.unref();
+    }
+  }
+
+  /**
+   * Get realm's client, creating it from the token store when needed
+   * @param {String} realmId
+   * @returns {Promise<QuickBooksAccountingClient>}
+   */
+  async getClient(realmId) {
+    if (!realmId) throw new Error('realmId not defined');
+    realmId = String(realmId);
+
+    let entry = this.#clients.get(realmId);
+    if (!entry) {
+      entry = { client: this.#createClient(realmId) };
+      this.#clients.set(realmId, entry);
+      entry.client.catch(() => {
+        if (this.#clients.get(realmId) === entry) this.#clients.delete(realmId); // Allow retry on next call
+      });
+    }
+    entry.lastUsedAt = Date.now();
+    return await entry.client;
+  }
+
+  /**
+   * Remove realm's client from the pool
+   * @param {String} realmId
+   * @returns {Boolean} Whether a client was removed
+   */
+  evict(realmId) {
+    return this.#clients.delete(String(realmId));
+  }
+
+  /**
+   * Remove clients which have not been used for longer than idleTimeout
+   * @returns {String[]} Evicted realmIds
+   */
+  evictIdle() {
+    let evicted = [];
+    for (let [realmId, { lastUsedAt }] of this.#clients) {
+      if (Date.now() - lastUsedAt >= this.#idleTimeout) {
+        this.#clients.delete(realmId);
+        evicted.push(realmId);
+      }
+    }
+    return evicted;
+  }
+
+  /**
+   * Number of clients in the pool
+   * @returns {Number}
+   */
+  get size() {
+    return this.#clients.size;
+  }
+
+  /**
+   * Remove every client and stop idle eviction
+   */
+  close() {
+    clearInterval(this.#sweeper);
+    this.#sweeper = null;
+    this.#clients.clear();
+  }
+
+  /**
+   * Create realm's client from stored token pair
+   * @param {String} realmId
+   * @returns {Promise<QuickBooksAccountingClient>}
+   */
+  async #createClient(realmId) {
+    let tokens = await this.#tokenStore.get(realmId);
+    if (!tokens?.accessToken) throw new Error(`tokens not found for realmId: ${realmId}`);
+
+    let client = new QuickBooksAccountingClient({
+      ...this.#clientConfig,
+      realmId,
+      accessToken: tokens.accessToken,
+      refreshToken: tokens.refreshToken,
+      accessTokenExpiresAt: tokens.accessTokenExpiresAt,
+      refreshLock: (refresh) => this.#refreshLock(realmId, client, refresh),
+      onTokenRefresh: this.#onTokenRefresh && ((newTokens) => this.#onTokenRefresh(realmId, newTokens)),
+    });
+    return client;
+  }
+
+  /**
+   * Refresh realm's token pair while holding the store's lock.
+   * Token pair already refreshed by other client (or process) is reused instead of refreshed again.
+   * @param {String} realmId
+   * @param {QuickBooksAccountingClient} client
+   * @param {Function} refresh Function requesting new token pair from a refresh token
+   * @returns {Promise<Object>}
+   */
+  async #refreshLock(realmId, client, refresh) {
+    return await this.#tokenStore.lock(realmId, async () => {
+      let stored = await this.#tokenStore.get(realmId);
+      let expiresAt = isNil(stored?.accessTokenExpiresAt) ? null : new Date(stored.accessTokenExpiresAt).getTime();
+      let isFresh = expiresAt && Date.now() < expiresAt - QuickBooksAccountingClient.TOKEN_EXPIRY_MARGIN;
+      if (stored?.accessToken && stored.accessToken !== client.getAccessToken() && isFresh) return stored;
+
+      let tokens = await refresh(stored?.refreshToken || client.getRefreshToken());
+      await this.#tokenStore.set(realmId, tokens);
+      return tokens;
+    });
+  }
+}
+
+export default QuickBooksClientPool;
@@ -0,0 +1,200 @@
+import sqlstring from 'sqlstring';
+import { isArray, isDate, isFunction, isInteger, isNil, isString } from 'lodash-es';
+
+const FIELD_PATTERN = /^[A-Za-z][\w.]*$/;
+
+class QuickBooksQueryBuilder {
+  #entity;
+  #operators;
+  #executor;
+  #fields = [];
+  #conditions = [];
+  #sorts = [];
+  #limit = null;
+  #offset = null;
+  #count = false;
+
+  /**
+   * Create QuickBooksQueryBuilder instance
+   * @param {String} entity Entity name to be queried (e.g. 'Invoice')
+   * @param {Object=} options
+   * @param {String[]} options.operators Allowed condition operators
+   * @param {Function=} options.execute Function sending the query statement, used by execute()
+   */
+  constructor(entity, options = {}) {
+    if (!entity || !isString(entity) || !FIELD_PATTERN.test(entity)) throw new Error('invalid value: entity');
+    if (!isArray(options.operators)) throw new Error('invalid value: operators');
+    this.#entity = entity;
+    this.#operators = options.operators;
+    this.#executor = options.execute;
+  }
+
+  /**
+   * Entity name to be queried
+   * @returns {String}
+   */
+  get entity() {
+    return this.#entity;
+  }
+
+  /**
+   * Select only given fields instead of every field
+   * @param {...String|String[]} fields
+   * @returns {QuickBooksQueryBuilder}
+   */
+  select(...fields) {
+    for (let field of fields.flat()) this.#fields.push(validateField(field));
+    return this;
+  }
+
+  /**
+   * Add condition, multiple conditions are joined with `and`
+   * @param {String} field
+   * @param {String} operator One of allowed operators, or the value when called with two arguments
+   * @param {*=} value
+   * @returns {QuickBooksQueryBuilder}
+   */
+  where(field, operator, value) {
+    if (arguments.length === 2) [operator, value] = [isArray(operator) ? 'IN' : '=', operator];
+    operator = String(operator).toUpperCase();
+    if (!this.#operators.includes(operator)) throw new Error(`invalid query operator: ${operator}`);
+    if ((operator === 'IN') !== isArray(value))
+      throw new Error(`invalid value for ${field}: ${operator === 'IN' ? 'IN requires an array' : 'unexpected array'}`);
+    if (operator === 'IN' && !value.length) throw new Error(`invalid value for ${field}: IN requires non-empty array`);
+    if (isNil(value)) throw new Error(`invalid value for ${field}: ${value}`);
+    if ([value].flat().some((item) => isDate(item) && isNaN(item.getTime())))
+      throw new Error(`invalid value for ${field}: Invalid Date`);
+
+    this.#conditions.push({ field: validateField(field), operator, value });
+    return this;
+  }
+
+  /**
+   * Add `IN` condition
+   * @param {String} field
+   * @param {Array} values
+   * @returns {QuickBooksQueryBuilder}
+   */
+  whereIn(field, values) {
+    return this.where(field, 'IN', values);
+  }
+
+  /**
+   * Add sort key, multiple sort keys are applied in the order they are added
+   * @param {String} field
+   * @param {'asc'|'desc'=} direction (Default value: 'asc')
+   * @returns {QuickBooksQueryBuilder}
+   */
+  orderBy(field, direction = 'asc') {
+    direction = String(direction).toLowerCase();
+    if (!['asc', 'desc'].includes(direction)) throw new Error(`invalid sort direction: ${direction}`);
+    this.#sorts.push({ field: validateField(field), direction });
+    return this;
+  }
+
+  /**
+   * Set maximum number of records to be returned (`maxresults`)
+   * @param {Number} limit
+   * @returns {QuickBooksQueryBuilder}
+   */
+  limit(limit) {
+    if (!isInteger(limit) || limit < 1) throw new Error('invalid value: limit');
+    this.#limit = limit;
+    return this;
+  }
+
+  /**
+   * Set 1-based position of the first record to be returned (`startposition`)
+   * @param {Number} offset
+   * @returns {QuickBooksQueryBuilder}
+   */
+  offset(offset) {
+    if (!isInteger(offset) || offset < 1) throw new Error('invalid value: offset');
+    this.#offset = offset;
+    return this;
+  }
+
+  /**
+   * Count records instead of returning them
+   * @param {Boolean=} count
+   * @returns {QuickBooksQueryBuilder}
+   */
+  count(count = true) {
+    this.#count = Boolean(count);
+    return this;
+  }
+
+  /**
+   * Create independent copy of the builder
+   * @returns {QuickBooksQueryBuilder}
+   */
+  clone() {
+    let builder = new QuickBooksQueryBuilder(this.#entity, { operators: this.#operators, execute: this.#executor });
+    builder.#fields = [...this.#fields];
+    builder.#conditions = [...this.#conditions];
+    builder.#sorts = [...this.#sorts];
+    builder.#limit = this.#limit;
+    builder.#offset = this.#offset;
+    builder.#count = this.#count;
+    return builder;
+  }
+
+  /**
+   * Build query statement
+   * @returns {String}
+   */
+  toString() {
+    let projection = this.#count ? 'count(*)' : this.#fields.length ? this.#fields.join(', ') : '*';
+    let query = `select ${projection} from ${this.#entity}`;
+
+    if (this.#conditions.length) {
+      query += ` where ${this.#conditions
+        .map(({ field, operator, value }) => {
+          return `${field} ${operator} ${
+            isArray(value) ? `(${value.map(escapeValue).join(', ')})` : escapeValue(value)
+          }`;
+        })
+        .join(' and ')}`;
+    }
+    if (!this.#count) {
+      if (this.#sorts.length)
+        query += ` orderby ${this.#sorts.map(({ field, direction }) => `${field} ${direction}`).join(', ')}`;
+      if (!isNil(this.#offset)) query += ` startposition ${this.#offset}`;
+      if (!isNil(this.#limit)) query += ` maxresults ${this.#limit}`;
+    }
+    return query;
+  }
+
+  /**
+   * Send the query to QuickBooks
+   * @returns {Promise<Object>} Query response
+   */
+  async execute() {
+    if (!isFunction(this.#executor)) throw new Error('query builder is not bound to a client');
+    return await this.#executor(this.toString());
+  }
+}
+
+/**
+ * Make sure field name can't alter the query statement
+ * @param {String} field
+ * @returns {String}
+ */
+const validateField = (field) => {
+  if (!isString(field) || !FIELD_PATTERN.test(field)) throw new Error(`invalid query field: ${field}`);
+  return field;
+};
+
+/**
+ * Escape condition value. Date is sent as `YYYY-MM-DD` when it's at UTC midnight (e.g. `new Date('2024-01-01')`),
+ * otherwise as ISO 8601 UTC date time, instead of sqlstring's local time format QuickBooks doesn't understand
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeValue = (value) => {
+  if (!isDate(value)) return sqlstring.escape(value);
+  let isoString = value.toISOString();
+  return sqlstring.escape(isoString.endsWith('T00:00:00.000Z') ? isoString.slice(0, 10) : isoString);
+};
+
+export default QuickBooksQueryBuilder;
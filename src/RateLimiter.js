@@ -0,0 +1,156 @@
+import { isNil, isNumber, isPlainObject, mapValues } from 'lodash-es';
+
+class QuickBooksRateLimiter {
+  #maxConcurrent = 10;
+  #buckets = {};
+  #queue = [];
+  #inFlight = 0;
+  #timer = null;
+  #stats = { requests: 0, waited: 0, totalWaitTime: 0, maxWaitTime: 0 };
+
+  static CATEGORIES = ['default', 'batch', 'report'];
+  static DEFAULT_REQUESTS_PER_MINUTE = { default: 500, batch: 40, report: 200 };
+
+  /**
+   * Create QuickBooksRateLimiter instance, a token bucket per request category sharing one concurrency limit
+   * @param {Object=} config
+   * @param {Number=} config.requestsPerMinute Requests per minute for regular requests (Default value: 500)
+   * @param {Number=} config.maxConcurrent Maximum number of in-flight requests (Default value: 10)
+   * @param {Object=} config.batch Budget for `/batch` requests: `{ requestsPerMinute, burst }` (Default value: 40 per minute)
+   * @param {Object=} config.report Budget for report requests: `{ requestsPerMinute, burst }` (Default value: 200 per minute)
+   * @param {Number=} config.burst Number of regular requests that can be sent at once (Default value: 10% of requestsPerMinute)
+   */
+  constructor(config = {}) {
+    if (!isPlainObject(config)) throw new Error('invalid value: rateLimit');
+    if (!isNil(config.maxConcurrent)) this.#maxConcurrent = config.maxConcurrent;
+    if (!isNumber(this.#maxConcurrent) || this.#maxConcurrent < 1) throw new Error('invalid value: maxConcurrent');
+
+    for (let category of QuickBooksRateLimiter.CATEGORIES) {
+      let budget = category === 'default' ? config : config[category] ?? {};
+      let requestsPerMinute = budget.requestsPerMinute ?? QuickBooksRateLimiter.DEFAULT_REQUESTS_PER_MINUTE[category];
+      let burst = budget.burst ?? Math.max(1, Math.ceil(requestsPerMinute / 10));
+      if (!isNumber(requestsPerMinute) || requestsPerMinute <= 0)
+        throw new Error(`invalid value: ${category === 'default' ? '' : `${category}.`}requestsPerMinute`);
+      if (!isNumber(burst) || burst < 1)
+        throw new Error(`invalid value: ${category === 'default' ? '' : `${category}.`}burst`);
+
+      this.#buckets[category] = {
+        requestsPerMinute,
+        capacity: burst,
+        tokens: burst,
+        refillRate: requestsPerMinute / (60 * 1000), // tokens per ms
+        updatedAt: Date.now(),
+      };
+    }
+  }
+
+  /**
+   * Maximum number of in-flight requests
+   * @returns {Number}
+   */
+  get maxConcurrent() {
+    return this.#maxConcurrent;
+  }
+
+  /**
+   * Wait until a request of given category can be sent
+   * @param {'default'|'batch'|'report'=} category
+   * @returns {Promise<Function>} Function to be called once the request is finished
+   */
+  acquire(category = 'default') {
+    if (!this.#buckets[category]) throw new Error(`invalid rate limit category: ${category}`);
+    return new Promise((resolve) => {
+      this.#queue.push({ category, resolve, enqueuedAt: Date.now() });
+      this.#drain();
+    });
+  }
+
+  /**
+   * Get limiter metrics
+   * @returns {Object} `{ queueDepth, inFlight, requests, waited, totalWaitTime, maxWaitTime, averageWaitTime, buckets }`
+   */
+  getMetrics() {
+    this.#refill();
+    return {
+      queueDepth: this.#queue.length,
+      inFlight: this.#inFlight,
+      ...this.#stats,
+      averageWaitTime: this.#stats.requests ? this.#stats.totalWaitTime / this.#stats.requests : 0,
+      buckets: mapValues(this.#buckets, ({ requestsPerMinute, capacity, tokens }) => ({
+        requestsPerMinute,
+        capacity,
+        tokens: Math.floor(tokens),
+      })),
+    };
+  }
+
+  /**
+   * Refill every bucket according to elapsed time
+   */
+  #refill() {
+    let now = Date.now();
+    for (let bucket of Object.values(this.#buckets)) {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillRate);
+      bucket.updatedAt = now;
+    }
+  }
+
+  /**
+   * Start as many queued requests as budgets allow, in order per category,
+   * and schedule next attempt when a queued request waits for its bucket to refill
+   */
+  #drain() {
+    this.#refill();
+    let nextRefill = Infinity;
+    for (let index = 0; index < this.#queue.length && this.#inFlight < this.#maxConcurrent; ) {
+      let waiter = this.#queue[index];
+      let bucket = this.#buckets[waiter.category];
+      if (bucket.tokens < 1) {
+        nextRefill = Math.min(nextRefill, (1 - bucket.tokens) / bucket.refillRate);
+        index++;
+        continue;
+      }
+
+      bucket.tokens -= 1;
+      this.#inFlight++;
+      this.#queue.splice(index, 1);
+      this.#record(Date.now() - waiter.enqueuedAt);
+      waiter.resolve(this.#createRelease());
+    }
+
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    if (nextRefill === Infinity || this.#inFlight >= this.#maxConcurrent) return;
+    this.#timer = setTimeout(() => {
+      this.#timer = null;
+      this.#drain();
+    }, Math.ceil(nextRefill));
+  }
+
+  /**
+   * Create function releasing the concurrency slot, safe to be called more than once
+   * @returns {Function}
+   */
+  #createRelease() {
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      this.#inFlight--;
+      this.#drain();
+    };
+  }
+
+  /**
+   * Record request waiting time
+   * @param {Number} waitTime
+   */
+  #record(waitTime) {
+    this.#stats.requests++;
+    if (waitTime > 0) this.#stats.waited++;
+    this.#stats.totalWaitTime += waitTime;
+    this.#stats.maxWaitTime = Math.max(this.#stats.maxWaitTime, waitTime);
+  }
+}
+
+export default QuickBooksRateLimiter;
@@ -0,0 +1,268 @@
+import { isArray, isFunction, isNil, isNumber, isString } from 'lodash-es';
+
+import QuickBooksAccountingClient from './AccountingClient.js';
+
+class QuickBooksWebhookSync {
+  #store;
+  #client;
+  #pool;
+  #entities;
+  #realmIds;
+  #onEvent;
+  #onError;
+  #interval = 15 * 60 * 1000;
+  #lookback = 5 * 60 * 1000;
+  #dedupeSize = 10000;
+  #seen = new Map();
+  #timer = null;
+  #running = null;
+
+  /**
+   * Create QuickBooksWebhookSync instance, recording the last catch up time per realm (checkpoint)
+   * and replaying changes missed since then through Change Data Capture (CDC)
+   * @param {Object} config
+   * @param {Object} config.store Checkpoint store implementing get(realmId), set(realmId, checkpoint) and lock(realmId, fn)
+   * @param {String[]} config.entities Entities subscribed to webhooks (e.g. ['Customer', 'Invoice'])
+   * @param {Function} config.onEvent Handler called with every event, one event at a time
+   * @param {QuickBooksAccountingClient=} config.client Client used to call CDC for a single realm
+   * @param {QuickBooksClientPool=} config.pool Client pool used to call CDC for any realm
+   * @param {String[]|Function=} config.realmIds Realms caught up by `start`, or async function returning them
+   * @param {Number=} config.interval Time (ms) between scheduled catch ups (Default value: 900000)
+   * @param {Number=} config.lookback Time (ms) before the checkpoint also requested on catch up (Default value: 300000)
+   * @param {Function=} config.onError Callback receiving realmId (null if `realmIds` failed) and the error of a failed scheduled catch up
+   * @param {Number=} config.dedupeSize Number of recently processed events remembered for deduplication (Default value: 10000)
+   */
+  constructor(config = {}) {
+    this.#store = config.store;
+    this.#client = config.client;
+    this.#pool = config.pool;
+    this.#entities = config.entities;
+    this.#realmIds = config.realmIds;
+    this.#onEvent = config.onEvent;
+    this.#onError = config.onError;
+    if (!isNil(config.interval)) this.#interval = config.interval;
+    if (!isNil(config.lookback)) this.#lookback = config.lookback;
+    if (!isNil(config.dedupeSize)) this.#dedupeSize = config.dedupeSize;
+
+    if (!this.#store) throw new Error('store not defined');
+    for (let method of ['get', 'set', 'lock'])
+      if (!isFunction(this.#store[method])) throw new Error(`invalid value: store.${method}`);
+    if (!this.#client && !this.#pool) throw new Error('client or pool not defined');
+    if (!isArray(this.#entities) || !this.#entities.length) throw new Error('invalid value: entities');
+    if (!isFunction(this.#onEvent)) throw new Error('onEvent not defined');
+    if (!isNil(this.#onError) && !isFunction(this.#onError)) throw new Error('invalid value: onError');
+    if (!isNil(this.#realmIds) && !isArray(this.#realmIds) && !isFunction(this.#realmIds))
+      throw new Error('invalid value: realmIds');
+    if (!isNumber(this.#interval) || this.#interval <= 0) throw new Error('invalid value: interval');
+    if (!isNumber(this.#lookback) || this.#lookback < 0) throw new Error('invalid value: lookback');
+    if (!isNumber(this.#dedupeSize) || this.#dedupeSize < 0) throw new Error('invalid value: dedupeSize');
+
+    this.onEvent = this.onEvent.bind(this);
+  }
+
+  /**
+   * Handle webhook event, to be used as QuickBooksWebhooks `onEvent` handler.
+   * Duplicated events are skipped. Realm's checkpoint is left as is, since earlier events may have been dropped.
+   * @param {Object} event `{ realmId, entity, id, operation, lastUpdated }` event
+   * @returns {Promise<void>}
+   */
+  async onEvent(event) {
+    if (this.#isProcessed(event)) return;
+    await this.#onEvent(event);
+    this.#remember(event);
+  }
+
+  /**
+   * Replay changes made since realm's checkpoint (minus `lookback`) through `onEvent` handler, ordered by their time,
+   * then move the checkpoint to the time the catch up started.
+   * When an entity reaches CDC_MAX_RESULTS changes, only changes up to its latest one are replayed
+   * and CDC is called again from there, so the checkpoint never skips changes that weren't returned.
+   * First catch up of a realm only saves the checkpoint, as there's no known gap yet.
+   * @param {String} realmId
+   * @returns {Promise<Object[]>} Replayed events
+   */
+  async catchUp(realmId) {
+    if (!realmId) throw new Error('realmId not defined');
+    realmId = String(realmId);
+
+    return await this.#store.lock(realmId, async () => {
+      let checkpoint = await this.#store.get(realmId);
+      let startedAt = new Date().toISOString();
+      if (!checkpoint?.lastUpdated) {
+        await this.#store.set(realmId, { lastUpdated: startedAt });
+        return [];
+      }
+
+      let maxAge = QuickBooksAccountingClient.CDC_MAX_DAYS * 24 * 60 * 60 * 1000 - 60 * 1000;
+      let changedSince = Math.max(Date.parse(checkpoint.lastUpdated) - this.#lookback, Date.now() - maxAge);
+      let client = this.#pool ? await this.#pool.getClient(realmId) : this.#client;
+
+      let replayed = [];
+      for (;;) {
+        let changes = await client.changeDataCapture(this.#entities, new Date(changedSince));
+        let pageEnd = getPageEnd(changes);
+        for (let event of toEvents(realmId, changes)) {
+          if (!isNil(pageEnd) && toTime(event.lastUpdated) > pageEnd) break;
+          if (this.#isProcessed(event)) continue;
+          await this.#onEvent(event);
+          this.#remember(event);
+          await this.#saveCheckpoint(realmId, event.lastUpdated);
+          replayed.push(event);
+        }
+        if (isNil(pageEnd)) break;
+        if (pageEnd <= changedSince)
+          throw new Error(
+            `more than ${QuickBooksAccountingClient.CDC_MAX_RESULTS} changes at ${new Date(changedSince).toISOString()}`
+          );
+        changedSince = pageEnd;
+      }
+      await this.#saveCheckpoint(realmId, startedAt);
+      return replayed;
+    });
+  }
+
+  /**
+   * Catch up every realm now, then on every interval
+   * @returns {QuickBooksWebhookSync}
+   */
+  start() {
+    if (this.#timer) return this;
+    if (isNil(this.#realmIds)) throw new Error('realmIds not defined');
+    this.#timer = setInterval(() => this.#catchUpAll(), this.#interval);
+    this.#timer.unref();
+    this.#catchUpAll();
+    return this;
+  }
+
+  /**
+   * Stop scheduled catch ups
+   */
+  stop() {
+    clearInterval(this.#timer);
+    this.#timer = null;
+  }
+
+  /**
+   * Catch up every realm, skipped while the previous run is still in progress
+   * @returns {Promise<void>}
+   */
+  async #catchUpAll() {
+    if (this.#running) return;
+    this.#running = (async () => {
+      let realmIds = [];
+      try {
+        realmIds = isFunction(this.#realmIds) ? await this.#realmIds() : this.#realmIds;
+      } catch (error) {
+        this.#onError?.(null, error);
+      }
+      for (let realmId of realmIds) {
+        try {
+          await this.catchUp(realmId);
+        } catch (error) {
+          this.#onError?.(realmId, error);
+        }
+      }
+    })();
+    try {
+      await this.#running;
+    } finally {
+      this.#running = null;
+    }
+  }
+
+  /**
+   * Move realm's checkpoint forward, must be called while holding realm's lock
+   * @param {String} realmId
+   * @param {String} lastUpdated
+   * @returns {Promise<void>}
+   */
+  async #saveCheckpoint(realmId, lastUpdated) {
+    let time = Date.parse(lastUpdated);
+    if (isNaN(time)) return;
+    let checkpoint = await this.#store.get(realmId);
+    if (checkpoint?.lastUpdated && Date.parse(checkpoint.lastUpdated) >= time) return;
+    await this.#store.set(realmId, { lastUpdated: new Date(time).toISOString() });
+  }
+
+  /**
+   * Whether event was recently processed
+   * @param {Object} event
+   * @returns {Boolean}
+   */
+  #isProcessed(event) {
+    return this.#seen.has(getEventKey(event));
+  }
+
+  /**
+   * Remember processed event, keeping only the most recent ones
+   * @param {Object} event
+   */
+  #remember(event) {
+    this.#seen.set(getEventKey(event), true);
+    if (this.#seen.size > this.#dedupeSize) this.#seen.delete(this.#seen.keys().next().value);
+  }
+}
+
+/**
+ * Convert CDC result into events ordered by time, with the changed entity in `data`
+ * @param {String} realmId
+ * @param {Object} changes Result of `changeDataCapture`
+ * @returns {Object[]}
+ */
+const toEvents = (realmId, changes) => {
+  let events = [];
+  for (let [entity, records] of Object.entries(changes)) {
+    if (entity === 'deleted') continue;
+    for (let record of records) {
+      let { CreateTime, LastUpdatedTime } = record.MetaData ?? {};
+      let operation = CreateTime && CreateTime === LastUpdatedTime ? 'Create' : 'Update';
+      events.push({ realmId, entity, id: String(record.Id), operation, lastUpdated: LastUpdatedTime, data: record });
+    }
+  }
+  for (let { entity, ...record } of changes.deleted ?? []) {
+    let lastUpdated = record.MetaData?.LastUpdatedTime;
+    events.push({ realmId, entity, id: String(record.Id), operation: 'Delete', lastUpdated, data: null });
+  }
+  return events.sort((a, b) => toTime(a.lastUpdated) - toTime(b.lastUpdated));
+};
+
+/**
+ * Latest change time common to every entity of CDC result, when any entity reached CDC_MAX_RESULTS changes.
+ * Changes of a full entity after its latest returned one are missing, so later changes of other entities wait too.
+ * @param {Object} changes Result of `changeDataCapture`
+ * @returns {Number|null} Time of the earliest latest change among full entities, or null if nothing is missing
+ */
+const getPageEnd = (changes) => {
+  let pages = {};
+  let count = (entity, record) => {
+    let page = pages[entity] || (pages[entity] = { count: 0, end: 0 });
+    page.count++;
+    page.end = Math.max(page.end, toTime(record.MetaData?.LastUpdatedTime));
+  };
+  for (let [entity, records] of Object.entries(changes))
+    if (entity !== 'deleted') for (let record of records) count(entity, record);
+  for (let record of changes.deleted ?? []) count(record.entity, record);
+
+  let ends = Object.values(pages)
+    .filter((page) => page.count >= QuickBooksAccountingClient.CDC_MAX_RESULTS)
+    .map((page) => page.end);
+  return ends.length ? Math.min(...ends) : null;
+};
+
+/**
+ * Event deduplication key, made of entity ID and its last update time
+ * @param {Object} event
+ * @returns {String}
+ */
+const getEventKey = (event) => {
+  return [event.realmId, event.entity, event.id, toTime(event.lastUpdated) || event.lastUpdated].join(':');
+};
+
+/**
+ * Parse event time, events without valid time are sorted first
+ * @param {String=} value
+ * @returns {Number}
+ */
+const toTime = (value) => (isString(value) && !isNaN(Date.parse(value)) ? Date.parse(value) : 0);
+
+export default QuickBooksWebhookSync;
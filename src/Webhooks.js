@@ -0,0 +1,187 @@
+import crypto from 'node:crypto';
+
+import { isArray, isFunction, isNil, isString, upperFirst } from 'lodash-es';
+
+import { WebhookSignatureError } from './errors.js';
+
+class QuickBooksWebhooks {
+  #verifierToken;
+  #client;
+  #pool;
+  #hydrate = false;
+  #onEvent;
+
+  static SIGNATURE_HEADER = 'intuit-signature';
+
+  /**
+   * Create QuickBooksWebhooks instance
+   * @param {Object} config
+   * @param {String} config.verifierToken Webhooks verifier token of the app, used to verify `intuit-signature` header
+   * @param {Function=} config.onEvent Handler called with every event, one event at a time
+   * @param {Boolean=} config.hydrate Fetch changed entity with matching `get*` method (Default value: false)
+   * @param {QuickBooksAccountingClient=} config.client Client used to hydrate events of a single realm
+   * @param {QuickBooksClientPool=} config.pool Client pool used to hydrate events of any realm
+   */
+  constructor(config = {}) {
+    this.#verifierToken = config.verifierToken;
+    this.#onEvent = config.onEvent;
+    this.#client = config.client;
+    this.#pool = config.pool;
+    if (!isNil(config.hydrate)) this.#hydrate = config.hydrate;
+
+    if (!this.#verifierToken || !isString(this.#verifierToken)) throw new Error('verifierToken not defined');
+    if (!isNil(this.#onEvent) && !isFunction(this.#onEvent)) throw new Error('invalid value: onEvent');
+    if (this.#hydrate && !this.#client && !this.#pool) throw new Error('client or pool not defined');
+  }
+
+  /**
+   * Verify `intuit-signature` header, HMAC-SHA256 of the raw request body signed with verifier token
+   * @param {Buffer|String} rawBody Request body, exactly as received
+   * @param {String} signature `intuit-signature` header value
+   * @returns {Boolean}
+   */
+  verify(rawBody, signature) {
+    if (!isString(signature) || !signature || isNil(rawBody)) return false;
+    let expected = crypto.createHmac('sha256', this.#verifierToken).update(rawBody).digest();
+    let received = Buffer.from(signature, 'base64');
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+  }
+
+  /**
+   * Parse webhook payload into events
+   * @param {Buffer|String|Object} body Request body, raw or parsed
+   * @returns {Object[]} Array of `{ realmId, entity, id, operation, lastUpdated, deletedId }` objects
+   */
+  parse(body) {
+    if (Buffer.isBuffer(body)) body = body.toString('utf8');
+    if (isString(body)) {
+      try {
+        body = JSON.parse(body);
+      } catch (error) {
+        throw new Error('invalid webhook payload');
+      }
+    }
+    if (!isArray(body?.eventNotifications)) throw new Error('invalid webhook payload');
+
+    return body.eventNotifications.flatMap(({ realmId, dataChangeEvent }) =>
+      (dataChangeEvent?.entities ?? []).map(({ name, id, operation, lastUpdated, deletedId }) =>
+        Object.assign(
+          { realmId: String(realmId), entity: name, id: String(id), operation, lastUpdated },
+          isNil(deletedId) ? {} : { deletedId: String(deletedId) }
+        )
+      )
+    );
+  }
+
+  /**
+   * Fetch the changed entity with matching `get*` method, deleted entities and entities without `get*` method
+   * are hydrated with null
+   * @param {Object} event Event returned by `parse`
+   * @returns {Promise<Object>} Event with `data` field
+   */
+  async hydrate(event) {
+    let client = this.#pool ? await this.#pool.getClient(event.realmId) : this.#client;
+    if (!client) throw new Error('client or pool not defined');
+
+    let method = `get${upperFirst(event.entity)}`;
+    if (event.operation === 'Delete' || !isFunction(client[method])) return { ...event, data: null };
+    let response = await client[method](event.id);
+    return { ...event, data: response?.[upperFirst(event.entity)] ?? response };
+  }
+
+  /**
+   * Verify, parse and (optionally) hydrate webhook request, passing every event to `onEvent` handler
+   * @param {Buffer|String} rawBody Request body, exactly as received
+   * @param {String} signature `intuit-signature` header value
+   * @returns {Promise<Object[]>} Handled events
+   */
+  async handle(rawBody, signature) {
+    if (!this.verify(rawBody, signature)) throw new WebhookSignatureError('invalid webhook signature');
+    return await this.dispatch(this.parse(rawBody));
+  }
+
+  /**
+   * Hydrate events (when enabled) and pass them to `onEvent` handler in order
+   * @param {Object[]} events Events returned by `parse`
+   * @returns {Promise<Object[]>} Handled events
+   */
+  async dispatch(events) {
+    let handled = [];
+    for (let event of events) {
+      if (this.#hydrate) event = await this.hydrate(event);
+      if (this.#onEvent) await this.#onEvent(event);
+      handled.push(event);
+    }
+    return handled;
+  }
+
+  /**
+   * Create Express middleware, the route must receive raw body (e.g. `express.raw({ type: 'application/json' })`)
+   * or no body parser at all
+   * @returns {Function} `(req, res, next)` middleware
+   */
+  express() {
+    return async (req, res, next) => {
+      try {
+        let rawBody = Buffer.isBuffer(req.body) || isString(req.body) ? req.body : await readBody(req);
+        await this.handle(rawBody, req.get(QuickBooksWebhooks.SIGNATURE_HEADER));
+        res.sendStatus(200);
+      } catch (error) {
+        if (error instanceof WebhookSignatureError) res.sendStatus(401);
+        else next(error);
+      }
+    };
+  }
+
+  /**
+   * Create Fastify plugin registering `POST` route, which receives the JSON body as raw buffer
+   * @returns {Function} Fastify plugin, accepting `{ path }` option (Default value: '/')
+   */
+  fastify() {
+    return async (instance, options = {}) => {
+      instance.addContentTypeParser('application/json', { parseAs: 'buffer' }, (request, body, done) =>
+        done(null, body)
+      );
+      instance.post(options.path ?? '/', async (request, reply) => {
+        try {
+          await this.handle(request.body, request.headers[QuickBooksWebhooks.SIGNATURE_HEADER]);
+        } catch (error) {
+          if (error instanceof WebhookSignatureError) return reply.code(401).send();
+          throw error;
+        }
+        return reply.code(200).send();
+      });
+    };
+  }
+
+  /**
+   * Create plain `node:http` request listener
+   * @param {Function=} onError Callback receiving errors other than invalid signature, responded with status 500
+   * @returns {Function} `(req, res)` request listener
+   */
+  http(onError) {
+    return async (req, res) => {
+      let status = 200;
+      try {
+        await this.handle(await readBody(req), req.headers[QuickBooksWebhooks.SIGNATURE_HEADER]);
+      } catch (error) {
+        status = error instanceof WebhookSignatureError ? 401 : 500;
+        if (status === 500 && isFunction(onError)) onError(error);
+      }
+      res.writeHead(status).end();
+    };
+  }
+}
+
+/**
+ * Read whole request body
+ * @param {Readable} req
+ * @returns {Promise<Buffer>}
+ */
+const readBody = async (req) => {
+  let chunks = [];
+  for await (let chunk of req) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+export default QuickBooksWebhooks;
@@ -0,0 +1,90 @@
+import path from 'node:path';
+import fs from 'node:fs';
+import stream from 'node:stream';
+
+import { isNil, isString } from 'lodash-es';
+
+const MAX_ATTACHMENT_SIZE = 100 * 1024 * 1024;
+
+/** File types accepted by QuickBooks, keyed by extension */
+const ATTACHMENT_CONTENT_TYPES = {
+  ai: 'application/postscript',
+  csv: 'text/csv',
+  doc: 'application/msword',
+  docx: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  eps: 'application/postscript',
+  gif: 'image/gif',
+  jpeg: 'image/jpeg',
+  jpg: 'image/jpeg',
+  ods: 'application/vnd.oasis.opendocument.spreadsheet',
+  pdf: 'application/pdf',
+  png: 'image/png',
+  rtf: 'text/rtf',
+  tif: 'image/tiff',
+  tiff: 'image/tiff',
+  txt: 'text/plain',
+  xls: 'application/vnd.ms-excel',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xml: 'text/xml',
+};
+
+const ALLOWED_CONTENT_TYPES = [
+  ...new Set([...Object.values(ATTACHMENT_CONTENT_TYPES), 'application/rtf', 'application/xml', 'image/jpg']),
+];
+
+/**
+ * Pass readable stream through, failing once it yields more than maxSize bytes
+ * @param {stream.Readable} readable
+ * @param {Number} maxSize Maximum number of bytes
+ * @param {String} fileName File name used in error message
+ * @returns {stream.Readable}
+ */
+const limitStreamSize = (readable, maxSize, fileName) => {
+  let size = 0;
+  let limiter = new stream.Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > maxSize) callback(new Error(`attachment exceeds maximum size of ${maxSize} bytes: ${fileName}`));
+      else callback(null, chunk);
+    },
+  });
+  return stream.pipeline(readable, limiter, () => {});
+};
+
+/**
+ * Resolve and validate attachment file, reading size from the file system when a path is given.
+ * Size of a stream is unknown upfront, so it's counted while the stream is read and fails once past the limit.
+ * @param {Object} attachment
+ * @param {Buffer|stream.Readable|String} attachment.file File content, readable stream or file path
+ * @param {String=} attachment.fileName File name (Default: file path's base name)
+ * @param {String=} attachment.contentType MIME type (Default: based on file name extension)
+ * @returns {Promise<{content: Buffer|stream.Readable, fileName: String, contentType: String, size: Number|null}>}
+ */
+const resolveAttachmentFile = async ({ file, fileName, contentType }) => {
+  let size = null;
+  if (isString(file)) {
+    let stat = await fs.promises.stat(file);
+    if (!stat.isFile()) throw new Error(`invalid value: file (${file} is not a file)`);
+    size = stat.size;
+    fileName = fileName ?? path.basename(file);
+  } else if (Buffer.isBuffer(file)) {
+    size = file.length;
+  } else if (!(file instanceof stream.Readable)) {
+    throw new Error('invalid value: file');
+  }
+
+  if (!fileName || !isString(fileName)) throw new Error('invalid value: fileName');
+  let extension = path.extname(fileName).slice(1).toLowerCase();
+  contentType = contentType ?? ATTACHMENT_CONTENT_TYPES[extension];
+  if (!contentType || !ALLOWED_CONTENT_TYPES.includes(contentType.toLowerCase()))
+    throw new Error(`unsupported attachment type: ${contentType || extension || fileName}`);
+  if (!isNil(size) && size > MAX_ATTACHMENT_SIZE)
+    throw new Error(`attachment exceeds maximum size of ${MAX_ATTACHMENT_SIZE} bytes: ${fileName}`);
+
+  let content = file;
+  if (isString(file)) content = fs.createReadStream(file);
+  else if (isNil(size)) content = limitStreamSize(file, MAX_ATTACHMENT_SIZE, fileName);
+  return { content, fileName, contentType, size };
+};
+
+export { MAX_ATTACHMENT_SIZE, ATTACHMENT_CONTENT_TYPES, ALLOWED_CONTENT_TYPES, limitStreamSize, resolveAttachmentFile };
@@ -0,0 +1,163 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+import stream from 'node:stream';
+
+import { AxiosError } from 'axios';
+import { isNil, isPlainObject, isString, omit, toPairs, sortBy } from 'lodash-es';
+
+const CASSETTE_MODES = ['record', 'replay'];
+const CASSETTE_VERSION = 1;
+
+/**
+ * Normalize cassette configuration
+ * @param {Object=} options `{ mode, path }`
+ * @returns {Object|null} Cassette options, null when disabled
+ */
+const normalizeCassetteOptions = (options) => {
+  if (isNil(options) || options === false) return null;
+  if (!isPlainObject(options)) throw new Error('invalid value: cassette');
+  if (!CASSETTE_MODES.includes(options.mode)) throw new Error('invalid value: cassette.mode');
+  if (!isString(options.path) || !options.path) throw new Error('invalid value: cassette.path');
+  return { mode: options.mode, path: options.path };
+};
+
+/**
+ * Create recorder saving every HTTP interaction into the cassette file, which is overwritten on the first interaction.
+ * Request headers (bearer token included) aren't recorded and realmId is replaced with `{realmId}` in request path.
+ * @param {Object} options Cassette options
+ * @param {String} realmId
+ * @returns {Function} Async function receiving axios response (or AxiosError response)
+ */
+const createRecorder = (options, realmId) => {
+  let interactions = [];
+  let writing = Promise.resolve();
+  return async (response) => {
+    let { config } = response;
+    let data = response.data;
+    let encoding;
+    if (data instanceof stream.Readable) {
+      data = await readStream(data);
+      response.data = stream.Readable.from([data]);
+    }
+    if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+      data = Buffer.from(data).toString('base64');
+      encoding = 'base64';
+    }
+
+    interactions.push({
+      request: { ...getRequestIdentity(config, realmId), body: parseBody(config.data) },
+      response: {
+        status: response.status,
+        headers: omit(toPlainHeaders(response.headers), ['set-cookie']),
+        data,
+        ...(encoding ? { encoding } : {}),
+      },
+    });
+    let cassette = { version: CASSETTE_VERSION, interactions };
+    writing = writing.then(async () => {
+      await fs.mkdir(path.dirname(options.path), { recursive: true });
+      await fs.writeFile(options.path, `${JSON.stringify(cassette, null, 2)}\n`);
+    });
+    await writing;
+  };
+};
+
+/**
+ * Create axios adapter serving recorded interactions instead of sending requests.
+ * Interactions are matched by method, path and parameters (except requestid), in recorded order.
+ * @param {Object} options Cassette options
+ * @param {String} realmId
+ * @returns {Function} axios adapter
+ */
+const createReplayAdapter = (options, realmId) => {
+  let queues = null;
+  let load = async () => {
+    let cassette = JSON.parse(await fs.readFile(options.path, 'utf8'));
+    if (cassette.version !== CASSETTE_VERSION) throw new Error(`unsupported cassette version: ${cassette.version}`);
+    let loaded = new Map();
+    for (let interaction of cassette.interactions ?? []) {
+      let key = getRequestKey(interaction.request);
+      if (!loaded.has(key)) loaded.set(key, []);
+      loaded.get(key).push(interaction);
+    }
+    return loaded;
+  };
+
+  return async (config) => {
+    queues = queues ?? load();
+    let identity = getRequestIdentity(config, realmId);
+    let interaction = (await queues).get(getRequestKey(identity))?.shift();
+    if (!interaction)
+      throw new Error(
+        `no recorded interaction for ${identity.method.toUpperCase()} ${identity.path} in ${options.path}`
+      );
+
+    let { status, headers = {}, data, encoding } = interaction.response;
+    if (encoding === 'base64') data = Buffer.from(data, 'base64');
+    if (config.responseType === 'stream')
+      data = stream.Readable.from([Buffer.isBuffer(data) ? data : JSON.stringify(data)]);
+    let response = { data, status, statusText: '', headers, config, request: {} };
+    if (config.validateStatus && !config.validateStatus(status)) {
+      let code = status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST;
+      throw new AxiosError(`Request failed with status code ${status}`, code, config, response.request, response);
+    }
+    return response;
+  };
+};
+
+/**
+ * Get scrubbed request identity
+ * @param {Object} config axios request config
+ * @param {String} realmId
+ * @returns {{method: String, path: String, params: Object}}
+ */
+const getRequestIdentity = (config, realmId) => {
+  let url = new URL(config.url, 'http://localhost');
+  let segments = url.pathname.split('/').map((segment) => (segment === realmId ? '{realmId}' : segment));
+  let params = omit({ ...Object.fromEntries(url.searchParams), ...config.params }, ['requestid']);
+  return { method: (config.method ?? 'get').toLowerCase(), path: segments.join('/'), params };
+};
+
+/**
+ * Get request matching key
+ * @param {Object} identity `{ method, path, params }`
+ * @returns {String}
+ */
+const getRequestKey = ({ method, path: requestPath, params = {} }) => {
+  let sortedParams = sortBy(toPairs(params), ([key]) => key).map(([key, value]) => [key, String(value)]);
+  return JSON.stringify([method, requestPath, sortedParams]);
+};
+
+/**
+ * Parse JSON request body, other bodies (e.g. multipart upload) aren't recorded
+ * @param {*} data
+ * @returns {*}
+ */
+const parseBody = (data) => {
+  if (!isString(data)) return isPlainObject(data) ? data : null;
+  try {
+    return JSON.parse(data);
+  } catch (error) {
+    return data;
+  }
+};
+
+/**
+ * Convert response headers into plain object
+ * @param {Object} headers
+ * @returns {Object}
+ */
+const toPlainHeaders = (headers) => (typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers });
+
+/**
+ * Read whole stream
+ * @param {Readable} readable
+ * @returns {Promise<Buffer>}
+ */
+const readStream = async (readable) => {
+  let chunks = [];
+  for await (let chunk of readable) chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk));
+  return Buffer.concat(chunks);
+};
+
+export { CASSETTE_MODES, normalizeCassetteOptions, createRecorder, createReplayAdapter };
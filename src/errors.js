@@ -0,0 +1,179 @@
+import { isArray, isNil, isObject, isString } from 'lodash-es';
+
+import { parseRetryAfter } from './retry.js';
+
+class QuickBooksError extends Error {
+  /**
+   * Create QuickBooksError instance
+   * @param {String} message
+   * @param {Object=} details
+   * @param {Number=} details.status HTTP status code
+   * @param {String=} details.code QuickBooks error code of the first fault error
+   * @param {String=} details.detail QuickBooks error detail of the first fault error
+   * @param {String=} details.element Element causing the first fault error
+   * @param {Object[]=} details.errors Every fault error as `{ message, detail, code, element }` objects
+   * @param {String=} details.faultType QuickBooks fault type (e.g. 'ValidationFault')
+   * @param {String=} details.intuitTid Intuit transaction ID (`intuit_tid` response header)
+   * @param {String=} details.entity Entity name of the originating request
+   * @param {String=} details.operation Operation of the originating request
+   * @param {String=} details.requestId requestid sent with the originating request
+   * @param {Error=} details.cause Original error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = details.status;
+    this.code = details.code;
+    this.detail = details.detail;
+    this.element = details.element;
+    this.errors = details.errors ?? [];
+    this.faultType = details.faultType;
+    this.intuitTid = details.intuitTid;
+    this.entity = details.entity;
+    this.operation = details.operation;
+    this.requestId = details.requestId;
+    if (details.cause) this.cause = details.cause;
+  }
+
+  /**
+   * Create QuickBooksError (or its subclass) from an AxiosError
+   * @param {Error} error AxiosError thrown by the request
+   * @param {Object=} context
+   * @param {String=} context.entity Entity name of the originating request
+   * @param {String=} context.operation Operation of the originating request
+   * @param {String=} context.requestId requestid sent with the originating request
+   * @returns {QuickBooksError}
+   */
+  static from(error, context = {}) {
+    if (error instanceof QuickBooksError) return error;
+
+    let response = error.response;
+    let status = response?.status;
+    let { errors, faultType } = parseFault(response?.data);
+    let [first = {}] = errors;
+    let details = {
+      ...context,
+      status,
+      code: first.code,
+      detail: first.detail,
+      element: first.element,
+      errors,
+      faultType,
+      intuitTid: response?.headers?.['intuit_tid'],
+      cause: error instanceof Error ? error : undefined,
+    };
+    let message = first.message
+      ? `${first.message}${first.detail ? `: ${first.detail}` : ''}`
+      : error.message || 'QuickBooks request failed';
+
+    let ErrorClass = QuickBooksError;
+    if (status === 401) ErrorClass = AuthenticationError;
+    else if (status === 403) ErrorClass = AuthorizationError;
+    else if (status === 429 || first.code === '003001') ErrorClass = RateLimitError;
+    else if (first.code === '5010') ErrorClass = StaleObjectError;
+    else if (first.code === '6140') ErrorClass = DuplicateDocumentError;
+    else if (status >= 500) ErrorClass = ServiceUnavailableError;
+    else if (status === 400 || faultType === 'ValidationFault') ErrorClass = ValidationError;
+
+    return new ErrorClass(message, details, response);
+  }
+
+  /**
+   * Create QuickBooksError (or its subclass) from a Fault object returned inside a successful response
+   * @param {Object} fault QuickBooks Fault object
+   * @param {Object=} context Same as `from` context
+   * @returns {QuickBooksError}
+   */
+  static fromFault(fault, context = {}) {
+    return QuickBooksError.from({ response: { data: { Fault: fault } } }, context);
+  }
+
+  /**
+   * Convert error into a QuickBooks Fault object, e.g. to report a failed request in batch results
+   * @returns {Object} `{ Error: [{ Message, Detail, code, element }], type }`
+   */
+  toFault() {
+    let errors = this.errors.length ? this.errors : [{ message: this.message }];
+    return {
+      Error: errors.map(({ message, detail, code, element }) => ({
+        Message: message,
+        Detail: detail,
+        code,
+        element,
+      })),
+      type: this.faultType,
+    };
+  }
+}
+
+class AuthenticationError extends QuickBooksError {}
+
+class AuthorizationError extends QuickBooksError {}
+
+class ValidationError extends QuickBooksError {}
+
+class StaleObjectError extends ValidationError {}
+
+class DuplicateDocumentError extends ValidationError {}
+
+class RateLimitError extends QuickBooksError {
+  /**
+   * Create RateLimitError instance
+   * @param {String} message
+   * @param {Object=} details Same as QuickBooksError details
+   * @param {Object=} response HTTP response, used to read `retry-after` header
+   */
+  constructor(message, details = {}, response) {
+    super(message, details);
+    this.retryAfter = parseRetryAfter(response?.headers?.['retry-after']);
+  }
+}
+
+class ServiceUnavailableError extends QuickBooksError {}
+
+class SchemaValidationError extends ValidationError {}
+
+class WebhookSignatureError extends QuickBooksError {}
+
+/**
+ * Parse QuickBooks Fault payload into list of errors
+ * @param {*} data Response body
+ * @returns {{errors: Object[], faultType: String=}}
+ */
+const parseFault = (data) => {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) data = Buffer.from(data).toString('utf8');
+  if (isString(data)) {
+    try {
+      data = JSON.parse(data);
+    } catch (error) {
+      return { errors: [] };
+    }
+  }
+  if (!isObject(data)) return { errors: [] };
+
+  let fault = data.Fault ?? data.fault;
+  let errors = fault?.Error ?? fault?.error;
+  if (!isArray(errors)) return { errors: [], faultType: fault?.type };
+  return {
+    errors: errors.map((error) => ({
+      message: error.Message ?? error.message,
+      detail: error.Detail ?? error.detail,
+      code: isNil(error.code) ? undefined : String(error.code),
+      element: error.element,
+    })),
+    faultType: fault.type,
+  };
+};
+
+export {
+  QuickBooksError,
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+  StaleObjectError,
+  DuplicateDocumentError,
+  RateLimitError,
+  ServiceUnavailableError,
+  SchemaValidationError,
+  WebhookSignatureError,
+};
@@ -0,0 +1,46 @@
+import crypto from 'node:crypto';
+
+const IDEMPOTENCY_MODES = ['auto', 'deterministic'];
+
+/**
+ * Generate random (version 4) UUID to be used as requestid
+ * @returns {String}
+ */
+const randomRequestId = () => crypto.randomUUID();
+
+/**
+ * Generate name-based (version 5 layout) UUID from given values, so the same write always gets the same requestid
+ * @param {...*} values Values identifying the write (realmId, entity name, operation, payload)
+ * @returns {String}
+ */
+const deterministicRequestId = (...values) => {
+  let hash = crypto.createHash('sha1').update(JSON.stringify(values)).digest();
+  hash[6] = (hash[6] & 0x0f) | 0x50; // version 5
+  hash[8] = (hash[8] & 0x3f) | 0x80; // RFC 4122 variant
+  let hex = hash.toString('hex', 0, 16);
+  return [hex.slice(0, 8), hex.slice(8, 12), hex.slice(12, 16), hex.slice(16, 20), hex.slice(20)].join('-');
+};
+
+/**
+ * Whether object carries its own requestId set by the caller.
+ * Non-enumerable requestId attached to the client's responses is ignored, so sending back a returned entity
+ * never reuses the requestid of the request that produced it.
+ * @param {*} entity
+ * @returns {Boolean}
+ */
+const hasRequestId = (entity) =>
+  Boolean(entity?.requestId) && Object.prototype.propertyIsEnumerable.call(entity, 'requestId');
+
+/**
+ * Attach requestId to a response object without making it part of its serialized form
+ * @param {*} response
+ * @param {String=} requestId
+ * @returns {*} The same response
+ */
+const attachRequestId = (response, requestId) => {
+  if (requestId && response && typeof response === 'object')
+    Object.defineProperty(response, 'requestId', { value: requestId, enumerable: false, configurable: true });
+  return response;
+};
+
+export { IDEMPOTENCY_MODES, randomRequestId, deterministicRequestId, hasRequestId, attachRequestId };
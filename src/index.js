@@ -1,3 +1,54 @@
 import QuickBooksAccountingClient from './AccountingClient.js';
+import QuickBooksBatchBuilder from './BatchBuilder.js';
+import QuickBooksQueryBuilder from './QueryBuilder.js';
+import QuickBooksClientPool from './ClientPool.js';
+import QuickBooksRateLimiter from './RateLimiter.js';
+import QuickBooksWebhooks from './Webhooks.js';
+import QuickBooksWebhookSync from './WebhookSync.js';
+import MemoryTokenStore from './tokenStores/MemoryTokenStore.js';
+import FileTokenStore from './tokenStores/FileTokenStore.js';
+import { parseReport } from './reports/parser.js';
+import { normalizeReportParams } from './reports/params.js';
+import { exportReport, toCsv, toJsonLines, toSpreadsheetML } from './reports/exporters.js';
+import { validateEntity } from './validation.js';
+import {
+  QuickBooksError,
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+  StaleObjectError,
+  DuplicateDocumentError,
+  RateLimitError,
+  ServiceUnavailableError,
+  SchemaValidationError,
+  WebhookSignatureError,
+} from './errors.js';
 
-export { QuickBooksAccountingClient };
+export {
+  QuickBooksAccountingClient,
+  QuickBooksBatchBuilder,
+  QuickBooksQueryBuilder,
+  QuickBooksClientPool,
+  QuickBooksRateLimiter,
+  QuickBooksWebhooks,
+  QuickBooksWebhookSync,
+  MemoryTokenStore,
+  FileTokenStore,
+  parseReport,
+  normalizeReportParams,
+  exportReport,
+  toCsv,
+  toJsonLines,
+  toSpreadsheetML,
+  validateEntity,
+  QuickBooksError,
+  AuthenticationError,
+  AuthorizationError,
+  ValidationError,
+  StaleObjectError,
+  DuplicateDocumentError,
+  RateLimitError,
+  ServiceUnavailableError,
+  SchemaValidationError,
+  WebhookSignatureError,
+};
@@ -0,0 +1,171 @@
+import { cloneDeep, findIndex, isNil, isString } from 'lodash-es';
+
+import { NUMERIC_COLUMN_TYPES, parseColumns } from './parser.js';
+
+const CHUNKED_REPORTS = [
+  'GeneralLedger',
+  'GeneralLedgerFR',
+  'ProfitAndLossDetail',
+  'TransactionList',
+  'TransactionListByCustomer',
+  'TransactionListByVendor',
+  'TransactionListWithSplits',
+];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Split date range into consecutive ranges of at most `days` days
+ * @param {String} startDate YYYY-MM-DD
+ * @param {String} endDate YYYY-MM-DD
+ * @param {Number} days
+ * @returns {String[][]} Array of `[startDate, endDate]` pairs
+ */
+const splitDateRange = (startDate, endDate, days) => {
+  let ranges = [];
+  let end = Date.parse(endDate);
+  for (let start = Date.parse(startDate); start <= end; start += days * DAY) {
+    ranges.push([toDateString(start), toDateString(Math.min(start + (days - 1) * DAY, end))]);
+  }
+  return ranges;
+};
+
+/**
+ * Number of days of a date range, both ends included
+ * @param {String} startDate YYYY-MM-DD
+ * @param {String} endDate YYYY-MM-DD
+ * @returns {Number}
+ */
+const countDays = (startDate, endDate) => Math.round((Date.parse(endDate) - Date.parse(startDate)) / DAY) + 1;
+
+/**
+ * Whether QuickBooks truncated the report for being too large, which is reported through `Header.Option`
+ * @param {Object} report Report response
+ * @returns {Boolean}
+ */
+const isReportTruncated = (report) => {
+  let options = report?.Header?.Option ?? [];
+  return [].concat(options).some(({ Name, Value } = {}) => /truncat/i.test(`${Name} ${Value}`));
+};
+
+/**
+ * Merge reports of consecutive date ranges into one report.
+ * Sections are matched by their header and merged, keeping only the first "Beginning Balance" row of each section,
+ * and summaries are recalculated by adding amounts up, except running balances which are taken from the last report.
+ * @param {Object[]} reports Report responses ordered by date range
+ * @returns {Object} Merged report
+ */
+const mergeReports = (reports) => {
+  let [first, ...others] = reports;
+  let columns = parseColumns(first.Columns?.Column);
+  let merged = cloneDeep(first);
+  for (let report of others) {
+    merged.Rows = { ...merged.Rows, Row: mergeRows(merged.Rows?.Row ?? [], report.Rows?.Row ?? [], columns) };
+  }
+
+  let last = reports[reports.length - 1];
+  let options = [].concat(merged.Header.Option ?? []);
+  for (let report of others) {
+    for (let option of [].concat(report.Header?.Option ?? [])) {
+      let index = findIndex(options, ['Name', option.Name]);
+      if (index === -1) options.push(option);
+      else if (option.Name === 'NoReportData' && option.Value === 'false') options[index] = option;
+    }
+  }
+  merged.Header = { ...merged.Header, EndPeriod: last.Header?.EndPeriod, Time: last.Header?.Time, Option: options };
+  return merged;
+};
+
+/**
+ * Append rows of the next date range to rows of the previous one
+ * @param {Object[]} rows Merged rows
+ * @param {Object[]} nextRows Rows of the next date range
+ * @param {Object[]} columns Leaf columns returned by `parseColumns`
+ * @returns {Object[]}
+ */
+const mergeRows = (rows, nextRows, columns) => {
+  rows = [].concat(rows);
+  for (let row of [].concat(nextRows)) {
+    if (row.ColData) {
+      if (!isBeginningBalance(row) || !rows.length) rows.push(cloneDeep(row));
+      continue;
+    }
+
+    let index = findIndex(rows, (existing) => !existing.ColData && getSectionKey(existing) === getSectionKey(row));
+    if (index === -1) {
+      rows.push(cloneDeep(row));
+      continue;
+    }
+    let section = { ...rows[index] };
+    section.Rows = { ...section.Rows, Row: mergeRows(section.Rows?.Row ?? [], row.Rows?.Row ?? [], columns) };
+    if (section.Summary && row.Summary) section.Summary = mergeSummary(section.Summary, row.Summary, columns);
+    rows[index] = section;
+  }
+  return rows;
+};
+
+/**
+ * Add section summaries up
+ * @param {Object} summary Summary of merged rows
+ * @param {Object} nextSummary Summary of the next date range
+ * @param {Object[]} columns
+ * @returns {Object}
+ */
+const mergeSummary = (summary, nextSummary, columns) => {
+  let ColData = columns.map((column, index) => {
+    let cell = summary.ColData?.[index] ?? {};
+    let nextCell = nextSummary.ColData?.[index] ?? {};
+    if (!NUMERIC_COLUMN_TYPES.includes(column.type)) return cell;
+    if (isRunningBalance(column)) return nextCell;
+    return { ...cell, value: addValues(cell.value, nextCell.value) };
+  });
+  return { ...summary, ColData };
+};
+
+/**
+ * Add two amounts, keeping the precision of the most precise one
+ * @param {String=} value
+ * @param {String=} nextValue
+ * @returns {String}
+ */
+const addValues = (value, nextValue) => {
+  let values = [value, nextValue].filter((item) => !isNil(item) && item !== '' && !isNaN(Number(item)));
+  if (!values.length) return value ?? '';
+  let decimals = Math.max(...values.map((item) => (String(item).split('.')[1] ?? '').length));
+  return values.reduce((total, item) => total + Number(item), 0).toFixed(decimals);
+};
+
+/**
+ * Section key, made of its header cell (or group when it has no header)
+ * @param {Object} row
+ * @returns {String}
+ */
+const getSectionKey = (row) => {
+  let cell = row.Header?.ColData?.[0];
+  return cell ? `${cell.id ?? ''}:${cell.value ?? ''}` : `group:${row.group ?? ''}`;
+};
+
+/**
+ * Whether data row is the opening balance of a section
+ * @param {Object} row
+ * @returns {Boolean}
+ */
+const isBeginningBalance = (row) => {
+  let value = row.ColData?.[0]?.value;
+  return isString(value) && value.trim().toLowerCase() === 'beginning balance';
+};
+
+/**
+ * Whether column holds running balance, which can't be added up
+ * @param {Object} column
+ * @returns {Boolean}
+ */
+const isRunningBalance = (column) => /^rbal/i.test(column.key) || /balance/i.test(column.title);
+
+/**
+ * Format timestamp as YYYY-MM-DD
+ * @param {Number} time
+ * @returns {String}
+ */
+const toDateString = (time) => new Date(time).toISOString().slice(0, 10);
+
+export { CHUNKED_REPORTS, splitDateRange, countDays, isReportTruncated, mergeReports };
@@ -0,0 +1,158 @@
+import { escape, isArray, isNil, isNumber, isString } from 'lodash-es';
+
+import { parseReport } from './parser.js';
+
+const EXPORT_FORMATS = ['csv', 'jsonl', 'spreadsheetml'];
+const CSV_LINE_BREAK = '\r\n';
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMERIC_TEXT = /^[+-]?(\d+(\.\d*)?|\.\d+)$/;
+// eslint-disable-next-line no-control-regex
+const XML_INVALID_CHARACTERS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Export report to CSV, section header and summary rows are kept so subtotals stay next to their rows
+ * @param {Object} report Report response or table returned by `parseReport`
+ * @param {Object=} options
+ * @param {Boolean=} options.sections Prepend `Section` (section path) and `Row Type` columns (Default value: true)
+ * @param {String=} options.indent Indentation of the first column per section level (Default value: 2 spaces)
+ * @returns {String}
+ */
+const toCsv = (report, options = {}) => {
+  let { sections = true, indent = '  ' } = options;
+  let table = toTable(report);
+  let lines = [[...(sections ? ['Section', 'Row Type'] : []), ...table.columns.map(getColumnTitle)]];
+  for (let row of table.rows) {
+    let values = table.columns.map(({ key }, index) => {
+      let value = escapeFormula(row.values[key]);
+      return index === 0 && !isNil(value) ? `${indent.repeat(row.depth)}${value}` : value;
+    });
+    lines.push([...(sections ? [row.path.join(' > '), row.type] : []), ...values]);
+  }
+  return lines.map((line) => line.map(escapeCsv).join(',')).join(CSV_LINE_BREAK) + CSV_LINE_BREAK;
+};
+
+/**
+ * Export report to JSON Lines, one `{ type, group, path, depth, values, ids }` row per line
+ * @param {Object} report Report response or table returned by `parseReport`
+ * @returns {String}
+ */
+const toJsonLines = (report) => {
+  return toTable(report)
+    .rows.map((row) => `${JSON.stringify(row)}\n`)
+    .join('');
+};
+
+/**
+ * Export report to SpreadsheetML (Excel 2003 XML workbook), which Excel and LibreOffice open as a spreadsheet.
+ * Rows are indented per section level, and section header and summary rows are bold.
+ * @param {Object} report Report response or table returned by `parseReport`
+ * @returns {String}
+ */
+const toSpreadsheetML = (report) => {
+  let table = toTable(report);
+  let styles = new Map([['header', '<Font ss:Bold="1"/>']]);
+  let getStyle = ({ type, depth }) => {
+    let id = `${type}${depth}`;
+    if (!styles.has(id)) {
+      let font = type === 'data' ? '' : '<Font ss:Bold="1"/>';
+      let border =
+        type === 'summary'
+          ? '<Borders><Border ss:Position="Top" ss:LineStyle="Continuous" ss:Weight="1"/></Borders>'
+          : '';
+      styles.set(id, `<Alignment ss:Indent="${depth}"/>${font}${border}`);
+    }
+    return id;
+  };
+
+  let rows = [
+    `<Row ss:StyleID="header">${table.columns.map((column) => toCell(getColumnTitle(column))).join('')}</Row>`,
+    ...table.rows.map((row) => {
+      let cells = table.columns.map(({ key }) => toCell(row.values[key])).join('');
+      return `<Row ss:StyleID="${getStyle(row)}">${cells}</Row>`;
+    }),
+  ];
+  let sheetName = (table.name || 'Report')
+    .replace(XML_INVALID_CHARACTERS, '')
+    .replace(/[[\]:*?/\\]/g, ' ')
+    .slice(0, 31);
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<?mso-application progid="Excel.Sheet"?>',
+    '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet" xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+    '<Styles>',
+    ...[...styles].map(([id, style]) => `<Style ss:ID="${id}">${style}</Style>`),
+    '</Styles>',
+    `<Worksheet ss:Name="${escape(sheetName)}">`,
+    '<Table>',
+    ...rows,
+    '</Table>',
+    '</Worksheet>',
+    '</Workbook>',
+    '',
+  ].join('\n');
+};
+
+/**
+ * Export report to given format
+ * @param {Object} report Report response or table returned by `parseReport`
+ * @param {'csv'|'jsonl'|'spreadsheetml'} format
+ * @param {Object=} options Exporter options
+ * @returns {String}
+ */
+const exportReport = (report, format, options) => {
+  if (format === 'csv') return toCsv(report, options);
+  if (format === 'jsonl') return toJsonLines(report);
+  if (format === 'spreadsheetml') return toSpreadsheetML(report);
+  throw new Error('invalid value: format');
+};
+
+/**
+ * Parse report response unless it's already parsed
+ * @param {Object} report
+ * @returns {Object}
+ */
+const toTable = (report) => (isArray(report?.rows) && isArray(report?.columns) ? report : parseReport(report));
+
+/**
+ * Get column title, falling back to column key for untitled columns (e.g. account column)
+ * @param {Object} column
+ * @returns {String}
+ */
+const getColumnTitle = (column) => column.title || column.key;
+
+/**
+ * Prefix text starting with a formula character (e.g. '=', '@') with a quote, so spreadsheet applications
+ * don't evaluate it, numbers (e.g. -100) are kept as is
+ * @param {*} value
+ * @returns {*}
+ */
+const escapeFormula = (value) => {
+  if (!isString(value) || !FORMULA_PREFIX.test(value) || NUMERIC_TEXT.test(value)) return value;
+  return `'${value}`;
+};
+
+/**
+ * Escape CSV field
+ * @param {*} value
+ * @returns {String}
+ */
+const escapeCsv = (value) => {
+  if (isNil(value)) return '';
+  value = String(escapeFormula(value));
+  return /[",\r\n]|^\s|\s$/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+};
+
+/**
+ * Create SpreadsheetML cell
+ * @param {*} value
+ * @returns {String}
+ */
+const toCell = (value) => {
+  if (isNil(value)) return '<Cell/>';
+  let type = isNumber(value) ? 'Number' : 'String';
+  let text = String(escapeFormula(value)).replace(XML_INVALID_CHARACTERS, '');
+  return `<Cell><Data ss:Type="${type}">${escape(text)}</Data></Cell>`;
+};
+
+export { EXPORT_FORMATS, toCsv, toJsonLines, toSpreadsheetML, exportReport };
@@ -0,0 +1,373 @@
+import { isArray, isBoolean, isDate, isInteger, isNil, isNumber, isPlainObject, isString, padStart } from 'lodash-es';
+
+const DATE_MACROS = [
+  'Today',
+  'Yesterday',
+  'This Week',
+  'Last Week',
+  'This Week-to-date',
+  'Last Week-to-date',
+  'Next Week',
+  'Next 4 Weeks',
+  'This Month',
+  'Last Month',
+  'This Month-to-date',
+  'Last Month-to-date',
+  'Next Month',
+  'This Fiscal Quarter',
+  'Last Fiscal Quarter',
+  'This Fiscal Quarter-to-date',
+  'Last Fiscal Quarter-to-date',
+  'Next Fiscal Quarter',
+  'This Fiscal Year',
+  'Last Fiscal Year',
+  'This Fiscal Year-to-date',
+  'Last Fiscal Year-to-date',
+  'Next Fiscal Year',
+];
+
+const PARAMETER_TYPES = {
+  date_macro: { type: 'enum', values: DATE_MACROS },
+  start_date: { type: 'date' },
+  end_date: { type: 'date' },
+  report_date: { type: 'date' },
+  duedate_macro: { type: 'enum', values: DATE_MACROS },
+  start_duedate: { type: 'date' },
+  end_duedate: { type: 'date' },
+  moddate_macro: { type: 'enum', values: DATE_MACROS },
+  start_moddate: { type: 'date' },
+  end_moddate: { type: 'date' },
+  createdate_macro: { type: 'enum', values: DATE_MACROS },
+  start_createdate: { type: 'date' },
+  end_createdate: { type: 'date' },
+  accounting_method: { type: 'enum', values: ['Cash', 'Accrual'] },
+  summarize_column_by: {
+    type: 'enum',
+    values: [
+      'Total',
+      'Month',
+      'Week',
+      'Days',
+      'Quarter',
+      'Year',
+      'Customers',
+      'Vendors',
+      'Classes',
+      'Departments',
+      'Employees',
+      'ProductsAndServices',
+    ],
+  },
+  aging_method: { type: 'enum', values: ['Report_Date', 'Current'] },
+  aging_period: { type: 'integer' },
+  num_periods: { type: 'integer' },
+  past_due: { type: 'integer' },
+  account_status: { type: 'enum', values: ['Deleted', 'Not_Deleted'] },
+  appaid: { type: 'enum', values: ['Paid', 'Unpaid', 'All'] },
+  arpaid: { type: 'enum', values: ['Paid', 'Unpaid', 'All'] },
+  cleared: { type: 'enum', values: ['Cleared', 'Uncleared', 'Reconciled', 'Deposited'] },
+  printed: { type: 'enum', values: ['Printed', 'To_be_printed'] },
+  sort_order: { type: 'enum', values: ['ascend', 'descend'] },
+  sort_by: { type: 'string' },
+  group_by: { type: 'string' },
+  columns: { type: 'list' },
+  customer: { type: 'list' },
+  vendor: { type: 'list' },
+  employee: { type: 'list' },
+  item: { type: 'list' },
+  class: { type: 'list' },
+  department: { type: 'list' },
+  account: { type: 'list' },
+  account_type: { type: 'list' },
+  source_account: { type: 'list' },
+  source_account_type: { type: 'list' },
+  payment_method: { type: 'list' },
+  transaction_type: { type: 'list' },
+  term: { type: 'list' },
+  agency_id: { type: 'string' },
+  add_due_date: { type: 'string' },
+  docnum: { type: 'string' },
+  memo: { type: 'list' },
+  name: { type: 'list' },
+  shipvia: { type: 'string' },
+};
+
+// Parameters accepted by every report type
+const COMMON_PARAMETERS = ['minorversion'];
+// Maximum edit distance for an unknown parameter to be reported as a likely typo of a known one
+const TYPO_DISTANCE = 2;
+
+const DATE_RANGE = ['date_macro', 'start_date', 'end_date'];
+const DUE_DATE_RANGE = ['duedate_macro', 'start_duedate', 'end_duedate'];
+const AGING = ['report_date', 'aging_method', 'aging_period', 'num_periods', 'past_due'];
+const SORTING = ['columns', 'sort_by', 'sort_order'];
+const SALES = [...DATE_RANGE, 'accounting_method', 'summarize_column_by', 'customer', 'item', 'class', 'department'];
+const GENERAL_LEDGER = [
+  ...DATE_RANGE,
+  ...SORTING,
+  'accounting_method',
+  'customer',
+  'vendor',
+  'employee',
+  'item',
+  'class',
+  'department',
+  'account',
+  'account_type',
+  'source_account',
+  'source_account_type',
+];
+const TRANSACTION_LIST = [
+  ...DATE_RANGE,
+  ...DUE_DATE_RANGE,
+  'moddate_macro',
+  'start_moddate',
+  'end_moddate',
+  'createdate_macro',
+  'start_createdate',
+  'end_createdate',
+  ...SORTING,
+  'group_by',
+  'accounting_method',
+  'customer',
+  'vendor',
+  'employee',
+  'item',
+  'class',
+  'department',
+  'source_account_type',
+  'payment_method',
+  'transaction_type',
+  'term',
+  'cleared',
+  'printed',
+  'arpaid',
+  'appaid',
+  'docnum',
+  'memo',
+  'name',
+];
+
+const REPORT_PARAMETERS = {
+  AccountList: [
+    ...DATE_RANGE,
+    ...SORTING,
+    'account_type',
+    'account_status',
+    'moddate_macro',
+    'start_moddate',
+    'end_moddate',
+    'createdate_macro',
+    'start_createdate',
+    'end_createdate',
+  ],
+  AgedPayableDetail: [...AGING, ...DUE_DATE_RANGE, ...SORTING, 'vendor', 'term', 'shipvia'],
+  AgedPayables: [...AGING, 'date_macro', 'vendor', 'columns'],
+  AgedReceivableDetail: [...AGING, ...DUE_DATE_RANGE, ...SORTING, 'customer', 'term', 'shipvia'],
+  AgedReceivables: [...AGING, 'date_macro', 'customer', 'columns'],
+  BalanceSheet: [...SALES, 'vendor'],
+  CashFlow: [...DATE_RANGE, 'summarize_column_by', 'customer', 'vendor', 'item', 'class', 'department'],
+  CustomerBalance: [
+    'date_macro',
+    'report_date',
+    'accounting_method',
+    'summarize_column_by',
+    'customer',
+    'department',
+    'arpaid',
+  ],
+  CustomerBalanceDetail: [
+    ...DUE_DATE_RANGE,
+    ...SORTING,
+    'report_date',
+    'aging_method',
+    'customer',
+    'department',
+    'arpaid',
+    'term',
+    'shipvia',
+  ],
+  CustomerIncome: [...SALES, 'vendor', 'term'],
+  FECReport: [...DATE_RANGE, 'accounting_method', 'add_due_date'],
+  GeneralLedger: GENERAL_LEDGER,
+  GeneralLedgerFR: GENERAL_LEDGER,
+  InventoryValuationSummary: ['date_macro', 'report_date', 'summarize_column_by', 'item'],
+  JournalReport: [...DATE_RANGE, ...SORTING],
+  ProfitAndLoss: [...SALES, 'vendor'],
+  ProfitAndLossDetail: [
+    ...DATE_RANGE,
+    ...SORTING,
+    'accounting_method',
+    'customer',
+    'vendor',
+    'employee',
+    'item',
+    'class',
+    'department',
+    'account',
+    'account_type',
+    'payment_method',
+  ],
+  ClassSales: SALES,
+  CustomerSales: SALES,
+  DepartmentSales: SALES,
+  ItemSales: SALES,
+  TaxSummary: [...DATE_RANGE, 'accounting_method', 'agency_id'],
+  TransactionList: TRANSACTION_LIST,
+  TransactionListByCustomer: TRANSACTION_LIST,
+  TransactionListByVendor: TRANSACTION_LIST,
+  TransactionListWithSplits: TRANSACTION_LIST,
+  TrialBalance: [...DATE_RANGE, 'accounting_method', 'summarize_column_by'],
+  VendorBalance: [
+    'date_macro',
+    'report_date',
+    'accounting_method',
+    'summarize_column_by',
+    'vendor',
+    'department',
+    'appaid',
+  ],
+  VendorBalanceDetail: [...DUE_DATE_RANGE, ...SORTING, 'report_date', 'vendor', 'department', 'appaid', 'term'],
+  VendorExpenses: [...SALES, 'vendor'],
+};
+
+/**
+ * Validate and normalize report parameters against the report type's parameter list.
+ * Dates are converted to `YYYY-MM-DD` (in local time), arrays to comma separated lists and enum values to their canonical case.
+ * Parameters not listed for the report type are sent as-is, unless they look like a typo of a known one (e.g. `start_dat`).
+ * @param {String} reportType Report type (e.g. 'ProfitAndLoss')
+ * @param {Object=} params Report parameters
+ * @param {Object=} options
+ * @param {Boolean=} options.strict `true` to reject every parameter not listed for the report type, `false` to send them
+ * all as-is (only warning about likely typos), likely typos are rejected by default
+ * @returns {Object} Normalized parameters
+ */
+const normalizeReportParams = (reportType, params, options = {}) => {
+  let { strict } = options;
+  if (!isNil(strict) && !isBoolean(strict)) throw new Error('invalid value: strict');
+  if (isNil(params)) return {};
+  if (!isPlainObject(params)) throw new Error('invalid value: params');
+
+  let supported = REPORT_PARAMETERS[reportType];
+  let normalized = {};
+  for (let [key, value] of Object.entries(params)) {
+    if (isNil(value)) continue;
+    if (supported && !supported.includes(key) && !COMMON_PARAMETERS.includes(key)) {
+      if (strict) throw new Error(`invalid ${reportType} report parameter: ${key}`);
+      let suggestion = !PARAMETER_TYPES[key] && findSimilarParameter(key, supported);
+      if (suggestion && strict !== false)
+        throw new Error(`invalid ${reportType} report parameter: ${key} (did you mean ${suggestion}?)`);
+      if (suggestion)
+        process.emitWarning(`unknown ${reportType} report parameter: ${key} (did you mean ${suggestion}?)`, {
+          code: 'QUICKBOOKS_REPORT_PARAMETER',
+        });
+    }
+    normalized[key] = PARAMETER_TYPES[key] ? normalizeValue(key, value, PARAMETER_TYPES[key]) : value;
+  }
+
+  for (let [start, end] of [
+    ['start_date', 'end_date'],
+    ['start_duedate', 'end_duedate'],
+    ['start_moddate', 'end_moddate'],
+    ['start_createdate', 'end_createdate'],
+  ]) {
+    if (normalized[start] && normalized[end] && normalized[start] > normalized[end])
+      throw new Error(`invalid value: ${start} is after ${end}`);
+  }
+  return normalized;
+};
+
+/**
+ * Find known parameter close to an unknown one, report type's own parameters first
+ * @param {String} key Unknown parameter name
+ * @param {String[]} supported Report type's parameters
+ * @returns {String|undefined}
+ */
+const findSimilarParameter = (key, supported) => {
+  let candidates = [...supported, ...Object.keys(PARAMETER_TYPES)];
+  let distances = candidates.map((candidate) => getEditDistance(key.toLowerCase(), candidate));
+  let best = Math.min(...distances);
+  return best <= TYPO_DISTANCE ? candidates[distances.indexOf(best)] : undefined;
+};
+
+/**
+ * Levenshtein distance between two strings
+ * @param {String} a
+ * @param {String} b
+ * @returns {Number}
+ */
+const getEditDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      let cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Normalize single parameter value
+ * @param {String} key Parameter name
+ * @param {*} value
+ * @param {Object} definition `{ type, values }`
+ * @returns {String|Number}
+ */
+const normalizeValue = (key, value, definition) => {
+  let invalid = () => new Error(`invalid value for ${key}: ${value}`);
+  switch (definition.type) {
+    case 'date':
+      if (isDate(value)) {
+        if (isNaN(value.getTime())) throw invalid();
+        return formatDate(value);
+      }
+      if (!isString(value) || !isCalendarDate(value)) throw invalid();
+      return value;
+    case 'enum': {
+      let match = definition.values.find((allowed) => allowed.toLowerCase() === String(value).toLowerCase());
+      if (!match) throw invalid();
+      return match;
+    }
+    case 'integer':
+      if (isString(value) && /^\d+$/.test(value)) value = Number(value);
+      if (!isInteger(value) || value < 0) throw invalid();
+      return value;
+    case 'list': {
+      let values = isArray(value) ? value : [value];
+      if (!values.length || values.some((item) => !isString(item) && !isNumber(item))) throw invalid();
+      return values.join(',');
+    }
+    default:
+      if (!isString(value) && !isNumber(value)) throw invalid();
+      return String(value);
+  }
+};
+
+/**
+ * Whether string is a `YYYY-MM-DD` date existing on the calendar (e.g. not `2024-02-31`)
+ * @param {String} value
+ * @returns {Boolean}
+ */
+const isCalendarDate = (value) => {
+  let match = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return false;
+  let [year, month, day] = match.slice(1).map(Number);
+  let date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Format date as YYYY-MM-DD
+ * @param {Date} date
+ * @returns {String}
+ */
+const formatDate = (date) => {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part, index) => padStart(String(part), index ? 2 : 4, '0'))
+    .join('-');
+};
+
+export { DATE_MACROS, PARAMETER_TYPES, REPORT_PARAMETERS, normalizeReportParams, formatDate };
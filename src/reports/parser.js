@@ -0,0 +1,117 @@
+import { camelCase, isArray, isNil, isObject } from 'lodash-es';
+
+const NUMERIC_COLUMN_TYPES = ['Money', 'Amount', 'Number', 'Quantity', 'Rate', 'Percent'];
+
+/**
+ * Convert QuickBooks report response (nested `Header/Columns/Rows` tree) into a flat table
+ * @param {Object} report Report response returned by `report*` methods
+ * @returns {Object} `{ name, header, options, columns, rows, summaries }`
+ */
+const parseReport = (report) => {
+  if (!isObject(report) || !isObject(report.Header)) throw new Error('invalid value: report');
+
+  let columns = parseColumns(report.Columns?.Column);
+  let rows = [];
+  let summaries = {};
+  parseRows(report.Rows?.Row, { columns, rows, summaries, path: [], depth: 0 });
+
+  let { ReportName, Option, ...header } = report.Header;
+  return {
+    name: ReportName,
+    header,
+    options: Object.fromEntries(toArray(Option).map(({ Name, Value }) => [Name, Value])),
+    columns,
+    rows,
+    summaries,
+  };
+};
+
+/**
+ * Flatten (possibly nested) report columns
+ * @param {Object[]=} columns `Columns.Column` of the report
+ * @param {String[]=} parents Titles of the parent columns
+ * @returns {Object[]} Array of `{ key, title, type, path, metadata }` objects
+ */
+const parseColumns = (columns, parents = []) => {
+  return toArray(columns).flatMap((column, index) => {
+    let title = column.ColTitle ?? '';
+    if (column.Columns?.Column) return parseColumns(column.Columns.Column, [...parents, title]);
+
+    let metadata = Object.fromEntries(toArray(column.MetaData).map(({ Name, Value }) => [Name, Value]));
+    return [
+      {
+        key: metadata.ColKey ?? (camelCase([...parents, title].join(' ')) || `column${index}`),
+        title,
+        type: column.ColType,
+        path: [...parents, title],
+        metadata,
+      },
+    ];
+  });
+};
+
+/**
+ * Walk report rows, pushing section headers, data rows and section summaries into `context.rows`.
+ * Section header and summary rows share the depth of their section, while its rows are one level deeper.
+ * @param {Object[]=} rows `Rows.Row` of the report or of a section
+ * @param {Object} context `{ columns, rows, summaries, path, depth }`
+ */
+const parseRows = (rows, context) => {
+  for (let row of toArray(rows)) {
+    if (row.ColData) {
+      context.rows.push(createRow('data', row.ColData, row, context));
+      continue;
+    }
+
+    let title = row.Header?.ColData?.[0]?.value || row.group || '';
+    let path = [...context.path, title];
+    if (row.Header) context.rows.push(createRow('section', row.Header.ColData, row, { ...context, path }));
+    parseRows(row.Rows?.Row, { ...context, path, depth: context.depth + 1 });
+    if (row.Summary) {
+      let summary = createRow('summary', row.Summary.ColData, row, { ...context, path });
+      context.rows.push(summary);
+      if (row.group) context.summaries[row.group] = summary.values;
+    }
+  }
+};
+
+/**
+ * Create flat row from report cells
+ * @param {'data'|'section'|'summary'} type
+ * @param {Object[]} cells `ColData` of the row
+ * @param {Object} row Original report row
+ * @param {Object} context `{ columns, path, depth }`
+ * @returns {Object} `{ type, group, path, depth, values, ids }`
+ */
+const createRow = (type, cells, row, context) => {
+  let values = {};
+  let ids = {};
+  context.columns.forEach((column, index) => {
+    let cell = cells?.[index];
+    values[column.key] = parseValue(cell?.value, column);
+    if (!isNil(cell?.id)) ids[column.key] = cell.id;
+  });
+  return { type, group: row.group, path: context.path, depth: context.depth, values, ids };
+};
+
+/**
+ * Parse cell value according to its column type
+ * @param {String=} value
+ * @param {Object} column
+ * @returns {String|Number|null}
+ */
+const parseValue = (value, column) => {
+  if (isNil(value) || value === '') return null;
+  if (!NUMERIC_COLUMN_TYPES.includes(column.type)) return value;
+  let number = Number(String(value).replace(/,/g, ''));
+  return isNaN(number) ? value : number;
+};
+
+/**
+ * Wrap single value into array
+ * @param {*} value
+ * @returns {Array}
+ */
+const toArray = (value) => (isNil(value) ? [] : isArray(value) ? value : [value]);
+
+export { NUMERIC_COLUMN_TYPES, parseReport, parseColumns };
@@ -0,0 +1,74 @@
+import { isArray, isBoolean, isNil, isNumber, isPlainObject } from 'lodash-es';
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxAttempts: 3,
+  statusCodes: [429, 500, 502, 503, 504],
+  baseDelay: 1000,
+  maxDelay: 30 * 1000,
+  jitter: true,
+};
+
+/**
+ * Normalize retry policy configuration
+ * @param {Object|Boolean=} options Retry policy, `false` to disable retry
+ * @returns {Object|null} Retry policy, null when disabled
+ */
+const normalizeRetryOptions = (options) => {
+  if (isNil(options) || options === true) return { ...DEFAULT_RETRY_OPTIONS };
+  if (options === false) return null;
+  if (!isPlainObject(options)) throw new Error('invalid value: retry');
+
+  let retry = { ...DEFAULT_RETRY_OPTIONS, ...options };
+  if (!isNumber(retry.maxAttempts) || retry.maxAttempts < 1) throw new Error('invalid value: retry.maxAttempts');
+  if (!isArray(retry.statusCodes)) throw new Error('invalid value: retry.statusCodes');
+  if (!isNumber(retry.baseDelay) || retry.baseDelay < 0) throw new Error('invalid value: retry.baseDelay');
+  if (!isNumber(retry.maxDelay) || retry.maxDelay < 0) throw new Error('invalid value: retry.maxDelay');
+  if (!isBoolean(retry.jitter)) throw new Error('invalid value: retry.jitter');
+  return retry;
+};
+
+/**
+ * Whether failed request can be sent again.
+ * POST requests are only retried when they carry a requestid, which makes QuickBooks process them at most once.
+ * @param {Error} error AxiosError thrown by the request
+ * @param {Object} retry Retry policy
+ * @param {Number} attempt Number of attempts already made
+ * @returns {Boolean}
+ */
+const isRetryable = (error, retry, attempt) => {
+  let { config, response } = error;
+  if (!config || attempt >= retry.maxAttempts || error.code === 'ERR_CANCELED') return false;
+  if (response && !retry.statusCodes.includes(response.status)) return false;
+
+  let method = (config.method || 'get').toLowerCase();
+  return ['get', 'head', 'options'].includes(method) || !isNil(config.params?.requestid);
+};
+
+/**
+ * Get delay (ms) before the next attempt, honoring Retry-After header when present
+ * @param {Error} error AxiosError thrown by the request
+ * @param {Object} retry Retry policy
+ * @param {Number} attempt Number of attempts already made
+ * @returns {Number}
+ */
+const getRetryDelay = (error, retry, attempt) => {
+  let retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+  if (!isNil(retryAfter)) return retryAfter * 1000;
+
+  let delay = Math.min(retry.maxDelay, retry.baseDelay * 2 ** (attempt - 1));
+  return retry.jitter ? delay / 2 + Math.random() * (delay / 2) : delay;
+};
+
+/**
+ * Parse Retry-After header value (delay in seconds or HTTP date)
+ * @param {String=} value
+ * @returns {Number|null} Delay in seconds
+ */
+const parseRetryAfter = (value) => {
+  if (isNil(value) || value === '') return null;
+  if (!isNaN(Number(value))) return Math.max(0, Number(value));
+  let date = Date.parse(value);
+  return isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000);
+};
+
+export { DEFAULT_RETRY_OPTIONS, normalizeRetryOptions, isRetryable, getRetryDelay, parseRetryAfter };
@@ -0,0 +1,664 @@
+import http from 'node:http';
+import fs from 'node:fs/promises';
+
+import { cloneDeep, find, isNil, isPlainObject, isRegExp, isString, omit, sortBy, uniq, upperFirst } from 'lodash-es';
+
+import QuickBooksAccountingClient from '../AccountingClient.js';
+import { parseQuery, runQuery } from './mockQuery.js';
+
+const apiList = JSON.parse(await fs.readFile(new URL('../../generator/apiList.json', import.meta.url)));
+const OPERATIONS = ['create', 'get', 'update', 'delete', 'find', 'pdf', 'send'];
+const ENTITIES = uniq(OPERATIONS.flatMap((operation) => apiList[operation]).filter((name) => name !== 'reports'));
+const NAME_LIST_ENTITIES = ['Customer', 'Vendor', 'Employee'];
+const BATCH_LIMIT = 30;
+
+class MockFault extends Error {
+  /**
+   * Create MockFault instance, responded as QuickBooks Fault payload
+   * @param {Number} status HTTP status code
+   * @param {Object} error `{ message, detail, code, element, type, headers }`
+   */
+  constructor(status, error) {
+    super(error.message);
+    this.status = status;
+    this.code = error.code;
+    this.detail = error.detail ?? error.message;
+    this.element = error.element;
+    this.type = error.type ?? 'ValidationFault';
+    this.headers = error.headers ?? {};
+  }
+
+  /**
+   * QuickBooks Fault object
+   * @returns {Object}
+   */
+  toFault() {
+    let error = { Message: this.message, Detail: this.detail, code: this.code };
+    if (this.element) error.element = this.element;
+    return { Error: [error], type: this.type };
+  }
+}
+
+class QuickBooksMockServer {
+  #server = null;
+  #url = null;
+  #accessToken;
+  #throttle = null;
+  #realms = new Map();
+  #reports = new Map();
+  #faults = [];
+  #windows = new Map();
+  #requests = [];
+
+  static PDF = Buffer.from('%PDF-1.4\n% QuickBooks mock server\n%%EOF\n');
+
+  /**
+   * Create QuickBooksMockServer instance, an in-process QuickBooks API implementation for offline testing
+   * @param {Object=} config
+   * @param {String=} config.accessToken Only accept this bearer token, any token is accepted when not defined
+   * @param {Object=} config.throttle Throttling simulation `{ requestsPerMinute }` per realm, disabled when not defined
+   */
+  constructor(config = {}) {
+    this.#accessToken = config.accessToken;
+    this.#throttle = config.throttle ?? null;
+    if (!isNil(this.#accessToken) && !isString(this.#accessToken)) throw new Error('invalid value: accessToken');
+    if (!isNil(this.#throttle) && !(this.#throttle.requestsPerMinute >= 1))
+      throw new Error('invalid value: throttle.requestsPerMinute');
+  }
+
+  /**
+   * Base URL of the running server, to be used as client's `baseUrl`
+   * @returns {String|null}
+   */
+  get url() {
+    return this.#url;
+  }
+
+  /**
+   * Every request received by the server, as `{ method, path, params, body }` objects
+   * @returns {Object[]}
+   */
+  get requests() {
+    return cloneDeep(this.#requests);
+  }
+
+  /**
+   * Start listening on localhost
+   * @param {Number=} port (Default value: random free port)
+   * @returns {Promise<String>} Base URL
+   */
+  async start(port = 0) {
+    if (this.#server) return this.#url;
+    let server = http.createServer((req, res) => this.#handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, '127.0.0.1', resolve);
+    });
+    this.#server = server;
+    this.#url = `http://127.0.0.1:${server.address().port}`;
+    return this.#url;
+  }
+
+  /**
+   * Stop listening
+   * @returns {Promise<void>}
+   */
+  async stop() {
+    if (!this.#server) return;
+    let server = this.#server;
+    this.#server = null;
+    this.#url = null;
+    server.closeAllConnections?.();
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Create client sending requests to this server
+   * @param {Object=} config Client config, overriding the defaults (`realmId: '1234'`, `rateLimit: false`, ...)
+   * @returns {QuickBooksAccountingClient}
+   */
+  createClient(config = {}) {
+    if (!this.#url) throw new Error('mock server is not started');
+    return new QuickBooksAccountingClient({
+      accessToken: this.#accessToken ?? 'mock-access-token',
+      realmId: '1234',
+      debug: false,
+      rateLimit: false,
+      baseUrl: this.#url,
+      ...config,
+    });
+  }
+
+  /**
+   * Store entities directly, assigning Id, SyncToken and MetaData
+   * @param {String} realmId
+   * @param {String} entity Entity name (e.g. 'Customer')
+   * @param {Object[]} records
+   * @returns {Object[]} Stored entities
+   */
+  seed(realmId, entity, records) {
+    let entityName = resolveEntity(entity);
+    return records.map((record) => this.#store(this.#getRealm(realmId), entityName, record));
+  }
+
+  /**
+   * Get stored entities
+   * @param {String} realmId
+   * @param {String} entity Entity name (e.g. 'Customer')
+   * @returns {Object[]}
+   */
+  getRecords(realmId, entity) {
+    let records = this.#getRealm(realmId).entities.get(resolveEntity(entity));
+    return cloneDeep([...(records?.values() ?? [])]);
+  }
+
+  /**
+   * Set response of a report type
+   * @param {String} reportType Report type (e.g. 'ProfitAndLoss')
+   * @param {Object|Function} report Report response, or function receiving request parameters and returning it
+   */
+  setReport(reportType, report) {
+    this.#reports.set(reportType.toLowerCase(), report);
+  }
+
+  /**
+   * Make next matching requests fail with a QuickBooks Fault
+   * @param {Object=} fault
+   * @param {Number=} fault.status HTTP status code (Default value: 400)
+   * @param {String=} fault.code QuickBooks error code
+   * @param {String=} fault.message Error message (Default value: 'Injected fault')
+   * @param {String=} fault.detail Error detail
+   * @param {String=} fault.type Fault type (Default value: 'ValidationFault')
+   * @param {Object=} fault.headers Response headers (e.g. `{ 'retry-after': '1' }`)
+   * @param {String|RegExp=} fault.path Only fail requests whose path contains this string or matches this pattern
+   * @param {String=} fault.method Only fail requests of this HTTP method
+   * @param {Number=} fault.times Number of requests to fail (Default value: 1)
+   */
+  injectFault(fault = {}) {
+    this.#faults.push({ status: 400, message: 'Injected fault', times: 1, ...fault });
+  }
+
+  /**
+   * Remove every stored entity, report, injected fault and recorded request
+   */
+  reset() {
+    this.#realms.clear();
+    this.#reports.clear();
+    this.#windows.clear();
+    this.#faults = [];
+    this.#requests = [];
+  }
+
+  /**
+   * Handle HTTP request
+   * @param {IncomingMessage} req
+   * @param {ServerResponse} res
+   */
+  async #handle(req, res) {
+    let url = new URL(req.url, 'http://localhost');
+    let params = Object.fromEntries(url.searchParams);
+    let method = req.method.toLowerCase();
+    try {
+      let body = await readBody(req);
+      this.#requests.push({ method, path: url.pathname, params, body });
+
+      let match = /^\/v3\/company\/([^/]+)\/(.+)$/.exec(url.pathname);
+      if (!match) throw new MockFault(404, { message: 'Resource not found', code: '404', type: 'SERVICE' });
+      let [, realmId, route] = match;
+      this.#authenticate(req);
+      this.#checkThrottle(realmId);
+      this.#checkInjectedFaults(method, url.pathname);
+
+      let realm = this.#getRealm(realmId);
+      let requestKey = method === 'post' && params.requestid ? params.requestid : null;
+      if (requestKey && realm.requestIds.has(requestKey)) return send(res, 200, realm.requestIds.get(requestKey));
+
+      let response = this.#route(realm, method, route.split('/'), params, body);
+      if (Buffer.isBuffer(response)) return send(res, 200, response, { 'content-type': 'application/pdf' });
+      if (requestKey) realm.requestIds.set(requestKey, response);
+      send(res, 200, response);
+    } catch (error) {
+      let fault = error instanceof MockFault ? error : new MockFault(500, { message: error.message, type: 'SERVICE' });
+      send(res, fault.status, { Fault: fault.toFault(), time: now() }, fault.headers);
+    }
+  }
+
+  /**
+   * Dispatch request to matching operation
+   * @param {Object} realm
+   * @param {String} method
+   * @param {String[]} segments Path segments after realmId
+   * @param {Object} params
+   * @param {*} body
+   * @returns {Object|Buffer}
+   */
+  #route(realm, method, segments, params, body) {
+    let [resource, id, action] = segments;
+    if (resource === 'query') return this.#query(realm, method === 'post' && isString(body) ? body : params.query);
+    if (resource === 'batch' && method === 'post') return this.#batch(realm, body);
+    if (resource === 'cdc' && method === 'get') return this.#changeDataCapture(realm, params);
+    if (resource === 'reports' && method === 'get' && id) return this.#report(id, params);
+
+    let entity = resolveEntity(resource);
+    if (method === 'get' && id && !action) return { [entity]: this.#read(realm, entity, id), time: now() };
+    if (method === 'get' && action === 'pdf') return this.#pdf(realm, entity, id);
+    if (method === 'post' && action === 'send') return { [entity]: this.#send(realm, entity, id, params), time: now() };
+    if (method === 'post' && !id) return { [entity]: this.#write(realm, entity, body, params), time: now() };
+    throw unsupportedOperation();
+  }
+
+  /**
+   * Create, update, void or delete entity, depending on `operation` and `include` parameters
+   * @param {Object} realm
+   * @param {String} entity
+   * @param {Object} data
+   * @param {Object} params
+   * @returns {Object}
+   */
+  #write(realm, entity, data, params) {
+    if (!isPlainObject(data))
+      throw new MockFault(400, { message: 'Request has invalid or unsupported property', code: '2010' });
+    let operation = params.operation ?? (data.Id ? 'update' : 'create');
+    if (operation === 'delete') return this.#delete(realm, entity, data);
+    if (operation === 'void' || params.include === 'void') return this.#void(realm, entity, data);
+    if (operation === 'update') return this.#update(realm, entity, data);
+    if (operation === 'create') return this.#create(realm, entity, data, params);
+    throw unsupportedOperation();
+  }
+
+  /**
+   * Create entity, rejecting duplicate DocNumber (unless allowed) and duplicate DisplayName of name list entities
+   */
+  #create(realm, entity, data, params) {
+    assertOperation('create', entity);
+    let records = [...(realm.entities.get(entity)?.values() ?? [])];
+    if (!isNil(data.DocNumber) && params.include !== 'allowduplicatedocnum') {
+      let duplicate = find(records, ['DocNumber', data.DocNumber]);
+      if (duplicate)
+        throw new MockFault(400, {
+          message: 'Duplicate Document Number Error',
+          detail: `Duplicate Document Number Error : You must specify a different number. This number has already been used. DocNumber=${data.DocNumber} is assigned to TxnType=${entity} with TxnId=${duplicate.Id}`,
+          code: '6140',
+        });
+    }
+    if (
+      NAME_LIST_ENTITIES.includes(entity) &&
+      !isNil(data.DisplayName) &&
+      find(records, ['DisplayName', data.DisplayName])
+    )
+      throw new MockFault(400, {
+        message: 'Duplicate Name Exists Error',
+        detail: `The name supplied already exists. : ${data.DisplayName}`,
+        code: '6240',
+      });
+    return cloneDeep(this.#store(realm, entity, data));
+  }
+
+  /**
+   * Read entity by ID
+   */
+  #read(realm, entity, id) {
+    assertOperation('get', entity);
+    return cloneDeep(this.#find(realm, entity, id));
+  }
+
+  /**
+   * Update entity, merging fields of sparse update
+   */
+  #update(realm, entity, data) {
+    assertOperation('update', entity);
+    let existing = this.#findForWrite(realm, entity, data);
+    let { sparse, ...changes } = data;
+    let record = sparse ? { ...existing, ...changes } : { ...changes, Id: existing.Id, MetaData: existing.MetaData };
+    return cloneDeep(this.#save(realm, entity, record, existing));
+  }
+
+  /**
+   * Void transaction, clearing its amounts
+   */
+  #void(realm, entity, data) {
+    assertOperation('update', entity);
+    let existing = this.#findForWrite(realm, entity, data);
+    let record = { ...existing, TotalAmt: 0, Balance: 0, PrivateNote: 'Voided' };
+    return cloneDeep(this.#save(realm, entity, record, existing));
+  }
+
+  /**
+   * Delete entity, keeping track of it for CDC
+   */
+  #delete(realm, entity, data) {
+    assertOperation('delete', entity);
+    let existing = this.#findForWrite(realm, entity, data);
+    realm.entities.get(entity).delete(existing.Id);
+    realm.deleted.push({ entity, Id: existing.Id, MetaData: { ...existing.MetaData, LastUpdatedTime: now() } });
+    return { Id: existing.Id, status: 'Deleted', domain: 'QBO' };
+  }
+
+  /**
+   * Get entity as PDF
+   */
+  #pdf(realm, entity, id) {
+    assertOperation('pdf', entity);
+    this.#find(realm, entity, id);
+    return QuickBooksMockServer.PDF;
+  }
+
+  /**
+   * Mark entity as sent by email
+   */
+  #send(realm, entity, id, params) {
+    assertOperation('send', entity);
+    let existing = this.#find(realm, entity, id);
+    let record = {
+      ...existing,
+      EmailStatus: 'EmailSent',
+      DeliveryInfo: { DeliveryType: 'Email', DeliveryTime: now() },
+    };
+    if (params.sendTo) record.BillEmail = { Address: params.sendTo };
+    return cloneDeep(this.#save(realm, entity, record, existing));
+  }
+
+  /**
+   * Run query statement
+   */
+  #query(realm, statement) {
+    let query;
+    try {
+      if (!isString(statement) || !statement.trim()) throw new Error('query not defined');
+      query = parseQuery(statement.trim());
+    } catch (error) {
+      throw new MockFault(400, {
+        message: 'Error parsing query',
+        detail: `QueryParserError: ${error.message}`,
+        code: '4000',
+      });
+    }
+    let entity = resolveEntity(query.entity);
+    assertOperation('find', entity);
+
+    let { records, totalCount } = runQuery([...(realm.entities.get(entity)?.values() ?? [])], query);
+    if (query.count) return { QueryResponse: { totalCount }, time: now() };
+    let QueryResponse = records.length
+      ? { [entity]: cloneDeep(records), startPosition: query.startPosition, maxResults: records.length }
+      : {};
+    return { QueryResponse, time: now() };
+  }
+
+  /**
+   * Get report set by `setReport`, or an empty report
+   */
+  #report(reportType, params) {
+    let report = this.#reports.get(reportType.toLowerCase());
+    if (typeof report === 'function') report = report(params);
+    if (report) return cloneDeep(report);
+    return {
+      Header: {
+        Time: now(),
+        ReportName: reportType,
+        StartPeriod: params.start_date,
+        EndPeriod: params.end_date,
+        Currency: 'USD',
+        Option: [{ Name: 'NoReportData', Value: 'true' }],
+      },
+      Columns: { Column: [] },
+      Rows: {},
+    };
+  }
+
+  /**
+   * Run batch items, failed items are responded with their Fault
+   */
+  #batch(realm, body) {
+    let items = body?.BatchItemRequest;
+    if (!Array.isArray(items) || items.length > BATCH_LIMIT)
+      throw new MockFault(400, { message: `Batch must contain 1 to ${BATCH_LIMIT} items`, code: '2010' });
+
+    let BatchItemResponse = items.map(({ bId, operation, Query, ...data }) => {
+      try {
+        if (!isNil(Query)) return { bId, QueryResponse: this.#query(realm, Query).QueryResponse };
+        let [entityKey] = Object.keys(data);
+        let entity = resolveEntity(entityKey);
+        return { bId, [entity]: this.#write(realm, entity, data[entityKey], { operation }) };
+      } catch (error) {
+        if (!(error instanceof MockFault)) throw error;
+        return { bId, Fault: error.toFault() };
+      }
+    });
+    return { BatchItemResponse, time: now() };
+  }
+
+  /**
+   * Get entities changed or deleted since `changedSince` parameter, up to CDC_MAX_RESULTS oldest changes per entity
+   */
+  #changeDataCapture(realm, params) {
+    let since = Date.parse(params.changedSince);
+    if (isNaN(since)) throw new MockFault(400, { message: 'Invalid changedSince', code: '2010' });
+
+    let QueryResponse = String(params.entities ?? '')
+      .split(',')
+      .filter(Boolean)
+      .map((name) => {
+        let entity = resolveEntity(name.trim());
+        assertOperation('cdc', entity);
+        let changed = [...(realm.entities.get(entity)?.values() ?? [])].filter(
+          (record) => Date.parse(record.MetaData.LastUpdatedTime) >= since
+        );
+        let deleted = realm.deleted
+          .filter((record) => record.entity === entity && Date.parse(record.MetaData.LastUpdatedTime) >= since)
+          .map(({ Id, MetaData }) => ({ Id, MetaData, status: 'Deleted', domain: 'QBO' }));
+        let records = sortBy([...cloneDeep(changed), ...deleted], (record) =>
+          Date.parse(record.MetaData.LastUpdatedTime)
+        ).slice(0, QuickBooksAccountingClient.CDC_MAX_RESULTS);
+        return records.length ? { [entity]: records, startPosition: 1, maxResults: records.length } : {};
+      });
+    return { CDCResponse: [{ QueryResponse }], time: now() };
+  }
+
+  /**
+   * Store new entity
+   * @param {Object} realm
+   * @param {String} entity
+   * @param {Object} data
+   * @returns {Object} Stored entity
+   */
+  #store(realm, entity, data) {
+    let time = now();
+    let record = {
+      ...omit(cloneDeep(data), 'sparse'),
+      Id: String(realm.nextId++),
+      SyncToken: '0',
+      domain: 'QBO',
+      sparse: false,
+      MetaData: { CreateTime: time, LastUpdatedTime: time },
+    };
+    if (!realm.entities.has(entity)) realm.entities.set(entity, new Map());
+    realm.entities.get(entity).set(record.Id, record);
+    return record;
+  }
+
+  /**
+   * Save updated entity, incrementing its SyncToken
+   * @param {Object} realm
+   * @param {String} entity
+   * @param {Object} record
+   * @param {Object} existing
+   * @returns {Object} Saved entity
+   */
+  #save(realm, entity, record, existing) {
+    record = {
+      ...record,
+      SyncToken: String(Number(existing.SyncToken) + 1),
+      domain: 'QBO',
+      sparse: false,
+      MetaData: { ...existing.MetaData, LastUpdatedTime: now() },
+    };
+    realm.entities.get(entity).set(existing.Id, record);
+    return record;
+  }
+
+  /**
+   * Find stored entity, failing with `Object Not Found` fault
+   */
+  #find(realm, entity, id) {
+    let record = realm.entities.get(entity)?.get(String(id));
+    if (!record)
+      throw new MockFault(400, {
+        message: 'Object Not Found',
+        detail: `Object Not Found : Something you're trying to use has been made inactive. Check the fields with accounts, customers, items, vendors or employees.`,
+        code: '610',
+      });
+    return record;
+  }
+
+  /**
+   * Find entity to be written, failing when its SyncToken is outdated
+   */
+  #findForWrite(realm, entity, data) {
+    if (isNil(data.Id))
+      throw new MockFault(400, {
+        message: 'Required param missing, need to supply the required value for the API',
+        detail: 'Required parameter Id is missing in the request',
+        code: '2020',
+        element: 'Id',
+      });
+    let existing = this.#find(realm, entity, data.Id);
+    if (String(data.SyncToken) !== existing.SyncToken)
+      throw new MockFault(400, {
+        message: 'Stale Object Error',
+        detail: `Stale Object Error : You and another user were working on the same thing. Please try again. Current SyncToken=${existing.SyncToken}`,
+        code: '5010',
+      });
+    return existing;
+  }
+
+  /**
+   * Check request bearer token
+   */
+  #authenticate(req) {
+    let [scheme, token] = String(req.headers.authorization ?? '').split(' ');
+    if (scheme?.toLowerCase() === 'bearer' && token && (isNil(this.#accessToken) || token === this.#accessToken))
+      return;
+    throw new MockFault(401, {
+      message: 'message=AuthenticationFailed; errorCode=003200; statusCode=401',
+      detail: 'Token expired or invalid',
+      code: '3200',
+      type: 'AUTHENTICATION',
+    });
+  }
+
+  /**
+   * Count request in realm's one minute window, failing once throttle limit is reached
+   */
+  #checkThrottle(realmId) {
+    if (!this.#throttle) return;
+    let window = this.#windows.get(realmId);
+    let time = Date.now();
+    if (!window || time - window.startedAt >= 60 * 1000) {
+      window = { startedAt: time, count: 0 };
+      this.#windows.set(realmId, window);
+    }
+    if (++window.count <= this.#throttle.requestsPerMinute) return;
+    throw new MockFault(429, {
+      message: 'message=ThrottleExceeded; errorCode=003001; statusCode=429',
+      detail: 'The request limit was reached.',
+      code: '003001',
+      type: 'SERVICE',
+      headers: { 'retry-after': String(Math.ceil((window.startedAt + 60 * 1000 - time) / 1000)) },
+    });
+  }
+
+  /**
+   * Fail request with the first matching injected fault
+   */
+  #checkInjectedFaults(method, pathname) {
+    let index = this.#faults.findIndex(({ path, method: faultMethod }) => {
+      if (faultMethod && faultMethod.toLowerCase() !== method) return false;
+      if (isRegExp(path)) return path.test(pathname);
+      return isNil(path) || pathname.includes(path);
+    });
+    if (index === -1) return;
+    let fault = this.#faults[index];
+    if (--fault.times <= 0) this.#faults.splice(index, 1);
+    throw new MockFault(fault.status, fault);
+  }
+
+  /**
+   * Get realm's state, creating it when needed
+   */
+  #getRealm(realmId) {
+    realmId = String(realmId);
+    if (!this.#realms.has(realmId))
+      this.#realms.set(realmId, { entities: new Map(), deleted: [], nextId: 1, requestIds: new Map() });
+    return this.#realms.get(realmId);
+  }
+}
+
+/**
+ * Resolve entity name from URL segment or query (e.g. 'creditmemo' to 'CreditMemo')
+ * @param {String} name
+ * @returns {String}
+ */
+const resolveEntity = (name) => {
+  let entity = find(ENTITIES, (entityName) => entityName.toLowerCase() === String(name).toLowerCase());
+  if (!entity) throw unsupportedOperation();
+  return upperFirst(entity);
+};
+
+/**
+ * Make sure operation is available for the entity according to API list
+ * @param {String} operation API list key
+ * @param {String} entity
+ */
+const assertOperation = (operation, entity) => {
+  if (!apiList[operation].some((name) => name.toLowerCase() === entity.toLowerCase())) throw unsupportedOperation();
+};
+
+/**
+ * Create `Unsupported Operation` fault
+ * @returns {MockFault}
+ */
+const unsupportedOperation = () => {
+  return new MockFault(400, {
+    message: 'Unsupported Operation',
+    detail: 'Operation Unsupported Operation is not supported.',
+    code: '500',
+  });
+};
+
+/**
+ * Read request body, parsed as JSON when possible
+ * @param {IncomingMessage} req
+ * @returns {Promise<*>}
+ */
+const readBody = async (req) => {
+  let chunks = [];
+  for await (let chunk of req) chunks.push(chunk);
+  let body = Buffer.concat(chunks).toString('utf8');
+  if (!body) return undefined;
+  try {
+    return JSON.parse(body);
+  } catch (error) {
+    return body;
+  }
+};
+
+/**
+ * Send response
+ * @param {ServerResponse} res
+ * @param {Number} status
+ * @param {Object|Buffer} body
+ * @param {Object=} headers
+ */
+const send = (res, status, body, headers = {}) => {
+  let payload = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+  res.writeHead(status, { 'content-type': 'application/json', ...headers, 'content-length': payload.length });
+  res.end(payload);
+};
+
+/**
+ * Current time in ISO format
+ * @returns {String}
+ */
+const now = () => new Date().toISOString();
+
+export default QuickBooksMockServer;
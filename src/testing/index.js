@@ -0,0 +1,3 @@
+import QuickBooksMockServer from './MockServer.js';
+
+export { QuickBooksMockServer };
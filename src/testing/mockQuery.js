@@ -0,0 +1,232 @@
+import { get, isNil, isObject, orderBy } from 'lodash-es';
+
+const TOKEN_PATTERN =
+  /\s*(?:'((?:[^'\\]|\\.)*)'|(-?\d+(?:\.\d+)?)(?![\w.])|(<=|>=|<>|!=|=|<|>|\(|\)|,|\*)|([A-Za-z_][\w.]*))/y;
+
+/**
+ * Parse QuickBooks query statement, supporting
+ * `select *|count(*)|fields from Entity [where ...] [orderby ...] [startposition n] [maxresults n]`
+ * @param {String} statement
+ * @returns {Object} `{ entity, fields, count, conditions, sorts, startPosition, maxResults }`
+ */
+const parseQuery = (statement) => {
+  let tokens = tokenize(statement);
+  let position = 0;
+  let peek = () => tokens[position];
+  let isKeyword = (keyword) => peek()?.type === 'word' && peek().value.toLowerCase() === keyword;
+  let next = () => {
+    if (position >= tokens.length) throw new Error('unexpected end of query');
+    return tokens[position++];
+  };
+  let expect = (keyword) => {
+    if (!isKeyword(keyword)) throw new Error(`expected ${keyword} but found ${peek()?.value ?? 'end of query'}`);
+    return next();
+  };
+  let expectNumber = () => {
+    let token = next();
+    if (token.type !== 'number') throw new Error(`expected number but found ${token.value}`);
+    return Number(token.value);
+  };
+
+  expect('select');
+  let query = { fields: [], count: false, conditions: [], sorts: [], startPosition: 1, maxResults: 100 };
+  if (isKeyword('count')) {
+    next();
+    for (let symbol of ['(', '*', ')']) if (next().value !== symbol) throw new Error('invalid count(*) projection');
+    query.count = true;
+  } else if (peek()?.value === '*') next();
+  else {
+    do query.fields.push(next().value);
+    while (peek()?.value === ',' && next());
+  }
+
+  expect('from');
+  query.entity = next().value;
+
+  if (isKeyword('where')) {
+    next();
+    do query.conditions.push(parseCondition(next, peek));
+    while (isKeyword('and') && next());
+  }
+  if (isKeyword('orderby')) {
+    next();
+    do {
+      let field = next().value;
+      let direction = isKeyword('asc') || isKeyword('desc') ? next().value.toLowerCase() : 'asc';
+      query.sorts.push({ field, direction });
+    } while (peek()?.value === ',' && next());
+  }
+  if (isKeyword('startposition')) {
+    next();
+    query.startPosition = expectNumber();
+  }
+  if (isKeyword('maxresults')) {
+    next();
+    query.maxResults = expectNumber();
+  }
+  if (position < tokens.length) throw new Error(`unexpected token: ${peek().value}`);
+  if (query.startPosition < 1) throw new Error('startposition must be greater than 0');
+  if (query.maxResults < 1 || query.maxResults > 1000) throw new Error('maxresults must be between 1 and 1000');
+  return query;
+};
+
+/**
+ * Split query statement into tokens
+ * @param {String} statement
+ * @returns {Object[]} Array of `{ type, value }` tokens
+ */
+const tokenize = (statement) => {
+  let tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < statement.length) {
+    let index = TOKEN_PATTERN.lastIndex;
+    let match = TOKEN_PATTERN.exec(statement);
+    if (!match) {
+      if (!statement.slice(index).trim()) break;
+      throw new Error(`unexpected character at position ${index}`);
+    }
+    let [, string, number, symbol, word] = match;
+    if (!isNil(string)) tokens.push({ type: 'string', value: string.replace(/\\(.)/g, '$1') });
+    else if (!isNil(number)) tokens.push({ type: 'number', value: number });
+    else if (!isNil(symbol)) tokens.push({ type: 'symbol', value: symbol });
+    else tokens.push({ type: 'word', value: word });
+  }
+  return tokens;
+};
+
+/**
+ * Parse single `field operator value` condition
+ * @param {Function} next
+ * @param {Function} peek
+ * @returns {Object} `{ field, operator, value }`
+ */
+const parseCondition = (next, peek) => {
+  let field = next().value;
+  let operator = next().value.toUpperCase();
+  if (!['=', '<', '>', '<=', '>=', 'LIKE', 'IN'].includes(operator)) throw new Error(`invalid operator: ${operator}`);
+  if (operator !== 'IN') return { field, operator, value: parseValue(next()) };
+
+  if (next().value !== '(') throw new Error('expected ( after IN');
+  let values = [];
+  do values.push(parseValue(next()));
+  while (peek()?.value === ',' && next());
+  if (next().value !== ')') throw new Error('expected ) after IN values');
+  return { field, operator, value: values };
+};
+
+/**
+ * Convert value token into JavaScript value
+ * @param {Object} token
+ * @returns {String|Number|Boolean}
+ */
+const parseValue = (token) => {
+  if (token.type === 'number') return Number(token.value);
+  if (token.type === 'word' && ['true', 'false'].includes(token.value.toLowerCase()))
+    return token.value.toLowerCase() === 'true';
+  if (token.type !== 'string') throw new Error(`invalid value: ${token.value}`);
+  return token.value;
+};
+
+/**
+ * Run parsed query against records
+ * @param {Object[]} records
+ * @param {Object} query Parsed query
+ * @returns {{records: Object[], totalCount: Number}}
+ */
+const runQuery = (records, query) => {
+  let matches = records.filter((record) => query.conditions.every((condition) => matchCondition(record, condition)));
+  if (query.sorts.length) {
+    matches = orderBy(
+      matches,
+      query.sorts.map(
+        ({ field }) =>
+          (record) =>
+            toComparable(getFieldValue(record, field))
+      ),
+      query.sorts.map(({ direction }) => direction)
+    );
+  }
+  let page = matches.slice(query.startPosition - 1, query.startPosition - 1 + query.maxResults);
+  if (query.fields.length) {
+    page = page.map((record) => {
+      let projection = { Id: record.Id };
+      for (let field of query.fields) if (!isNil(record[field])) projection[field] = record[field];
+      return projection;
+    });
+  }
+  return { records: page, totalCount: matches.length };
+};
+
+/**
+ * Whether record matches condition
+ * @param {Object} record
+ * @param {Object} condition
+ * @returns {Boolean}
+ */
+const matchCondition = (record, { field, operator, value }) => {
+  let actual = getFieldValue(record, field);
+  if (isNil(actual)) return false;
+  switch (operator) {
+    case 'IN':
+      return value.some((item) => compare(actual, item) === 0);
+    case 'LIKE': {
+      let pattern = String(value)
+        .replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/%/g, '.*');
+      return new RegExp(`^${pattern}$`, 'i').test(String(actual));
+    }
+    case '=':
+      return compare(actual, value) === 0;
+    case '<':
+      return compare(actual, value) < 0;
+    case '>':
+      return compare(actual, value) > 0;
+    case '<=':
+      return compare(actual, value) <= 0;
+    default:
+      return compare(actual, value) >= 0;
+  }
+};
+
+/**
+ * Get record field, references (e.g. CustomerRef) are compared by their value
+ * @param {Object} record
+ * @param {String} field Field path (e.g. 'MetaData.LastUpdatedTime')
+ * @returns {*}
+ */
+const getFieldValue = (record, field) => {
+  let value = get(record, field);
+  if (isNil(value)) {
+    let key = Object.keys(record).find((name) => name.toLowerCase() === field.toLowerCase());
+    value = key ? record[key] : undefined;
+  }
+  return isObject(value) && 'value' in value ? value.value : value;
+};
+
+/**
+ * Compare record value with query value, as numbers, dates or case-insensitive strings
+ * @param {*} actual
+ * @param {*} expected
+ * @returns {Number}
+ */
+const compare = (actual, expected) => {
+  let [left, right] = [toComparable(actual), toComparable(expected)];
+  if (typeof left !== typeof right) [left, right] = [String(actual).toLowerCase(), String(expected).toLowerCase()];
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+/**
+ * Convert value into comparable value
+ * @param {*} value
+ * @returns {Number|String|Boolean}
+ */
+const toComparable = (value) => {
+  if (typeof value === 'number' || typeof value === 'boolean') return value;
+  if (isNil(value)) return '';
+  let string = String(value);
+  if (/^-?\d+(\.\d+)?$/.test(string)) return Number(string);
+  if (/^\d{4}-\d{2}-\d{2}/.test(string) && !isNaN(Date.parse(string))) return Date.parse(string);
+  return string.toLowerCase();
+};
+
+export { parseQuery, runQuery };
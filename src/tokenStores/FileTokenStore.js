@@ -0,0 +1,121 @@
+import path from 'node:path';
+import fs from 'node:fs/promises';
+
+import { isNil, isString } from 'lodash-es';
+
+import MemoryTokenStore from './MemoryTokenStore.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+class FileTokenStore {
+  #directory;
+  #lockTimeout = 30 * 1000;
+  #lockRetryDelay = 100;
+  #localLock = new MemoryTokenStore();
+
+  /**
+   * Create FileTokenStore instance, storing each realm's token pair as JSON file
+   * @param {Object} config
+   * @param {String} config.directory Directory where token files are stored
+   * @param {Number=} config.lockTimeout Time (ms) after which a lock file is considered stale (Default value: 30000)
+   * @param {Number=} config.lockRetryDelay Delay (ms) between attempts to acquire a lock (Default value: 100)
+   */
+  constructor(config = {}) {
+    this.#directory = config.directory;
+    if (!isNil(config.lockTimeout)) this.#lockTimeout = config.lockTimeout;
+    if (!isNil(config.lockRetryDelay)) this.#lockRetryDelay = config.lockRetryDelay;
+
+    if (!this.#directory) throw new Error('directory not defined');
+    if (!isString(this.#directory)) throw new Error('invalid value: directory');
+  }
+
+  /**
+   * Get realm's token pair
+   * @param {String} realmId
+   * @returns {Promise<Object|null>}
+   */
+  async get(realmId) {
+    try {
+      return JSON.parse(await fs.readFile(this.#filePath(realmId, 'json'), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Save realm's token pair
+   * @param {String} realmId
+   * @param {Object} tokens
+   * @returns {Promise<void>}
+   */
+  async set(realmId, tokens) {
+    let filePath = this.#filePath(realmId, 'json');
+    let tempPath = `${filePath}.${process.pid}.tmp`;
+    await fs.mkdir(this.#directory, { recursive: true });
+    await fs.writeFile(tempPath, JSON.stringify(tokens, null, 2), { mode: 0o600 });
+    await fs.rename(tempPath, filePath); // Atomic replace, readers never see partial file
+  }
+
+  /**
+   * Remove realm's token pair
+   * @param {String} realmId
+   * @returns {Promise<void>}
+   */
+  async delete(realmId) {
+    await fs.rm(this.#filePath(realmId, 'json'), { force: true });
+  }
+
+  /**
+   * Run function exclusively for given realm, across processes sharing the same directory
+   * @param {String} realmId
+   * @param {Function} fn Function to be run while holding the lock
+   * @returns {Promise<*>} Function's result
+   */
+  async lock(realmId, fn) {
+    return await this.#localLock.lock(realmId, async () => {
+      let lockPath = this.#filePath(realmId, 'lock');
+      await fs.mkdir(this.#directory, { recursive: true });
+      await this.#acquire(lockPath);
+      try {
+        return await fn();
+      } finally {
+        await fs.rm(lockPath, { force: true });
+      }
+    });
+  }
+
+  /**
+   * Create lock file, waiting until other holder releases it or the lock becomes stale
+   * @param {String} lockPath
+   * @returns {Promise<void>}
+   */
+  async #acquire(lockPath) {
+    for (;;) {
+      try {
+        let handle = await fs.open(lockPath, 'wx');
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+      }
+
+      let stat = await fs.stat(lockPath).catch(() => null);
+      if (stat && Date.now() - stat.mtimeMs > this.#lockTimeout) await fs.rm(lockPath, { force: true });
+      else await sleep(this.#lockRetryDelay);
+    }
+  }
+
+  /**
+   * Get realm's file path
+   * @param {String} realmId
+   * @param {String} extension
+   * @returns {String}
+   */
+  #filePath(realmId, extension) {
+    if (!/^[\w-]+$/.test(String(realmId))) throw new Error('invalid value: realmId');
+    return path.join(this.#directory, `${realmId}.${extension}`);
+  }
+}
+
+export default FileTokenStore;
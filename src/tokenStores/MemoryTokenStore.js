@@ -0,0 +1,62 @@
+import { cloneDeep } from 'lodash-es';
+
+class MemoryTokenStore {
+  #tokens = new Map();
+  #locks = new Map();
+
+  /**
+   * Create MemoryTokenStore instance
+   * @param {Object=} tokens Initial token pairs keyed by realmId
+   */
+  constructor(tokens = {}) {
+    for (let [realmId, realmTokens] of Object.entries(tokens)) this.#tokens.set(realmId, cloneDeep(realmTokens));
+  }
+
+  /**
+   * Get realm's token pair
+   * @param {String} realmId
+   * @returns {Promise<Object|null>}
+   */
+  async get(realmId) {
+    return cloneDeep(this.#tokens.get(realmId)) ?? null;
+  }
+
+  /**
+   * Save realm's token pair
+   * @param {String} realmId
+   * @param {Object} tokens
+   * @returns {Promise<void>}
+   */
+  async set(realmId, tokens) {
+    this.#tokens.set(realmId, cloneDeep(tokens));
+  }
+
+  /**
+   * Remove realm's token pair
+   * @param {String} realmId
+   * @returns {Promise<void>}
+   */
+  async delete(realmId) {
+    this.#tokens.delete(realmId);
+  }
+
+  /**
+   * Run function exclusively for given realm
+   * @param {String} realmId
+   * @param {Function} fn Function to be run while holding the lock
+   * @returns {Promise<*>} Function's result
+   */
+  async lock(realmId, fn) {
+    let previous = this.#locks.get(realmId) ?? Promise.resolve();
+    let result = previous.then(() => fn());
+    let current = result.catch(() => {});
+    this.#locks.set(realmId, current);
+    try {
+      return await result;
+    } finally {
+      if (this.#locks.get(realmId) === current) this.#locks.delete(realmId);
+    }
+  }
+}
+
+export default MemoryTokenStore;
@@ -0,0 +1,140 @@
+import fs from 'node:fs/promises';
+
+import { isArray, isBoolean, isInteger, isNil, isNumber, isPlainObject, isString } from 'lodash-es';
+
+const schemas = JSON.parse(await fs.readFile(new URL('../generator/schemas.json', import.meta.url)));
+
+const TYPE_CHECKS = {
+  string: isString,
+  number: (value) => isNumber(value) && isFinite(value),
+  integer: isInteger,
+  boolean: isBoolean,
+  object: isPlainObject,
+  array: isArray,
+};
+
+/**
+ * Get entity's schema
+ * @param {String} entityName Entity name, case insensitive (e.g. 'invoice', 'Invoice')
+ * @returns {Object|null}
+ */
+const getEntitySchema = (entityName) => {
+  let name = Object.keys(schemas.definitions).find((key) => key.toLowerCase() === String(entityName).toLowerCase());
+  return name ? schemas.definitions[name] : null;
+};
+
+/**
+ * Validate entity against its schema (`generator/schemas.json`), entities without schema are always valid
+ * @param {String} entityName Entity name, case insensitive (e.g. 'invoice', 'Invoice')
+ * @param {Object} entity Entity object to be sent
+ * @param {Object=} options
+ * @param {Boolean=} options.partial Skip entity's own required fields, e.g. for sparse updates (Default value: false)
+ * @returns {Object[]} Array of `{ message, element }` objects, element being the field path (e.g. 'Line[0].DetailType')
+ */
+const validateEntity = (entityName, entity, options = {}) => {
+  let schema = getEntitySchema(entityName);
+  if (!schema) return [];
+  if (!isPlainObject(entity)) return [error('', 'must be object')];
+
+  let errors = [];
+  validate(schema, entity, { path: '', partial: Boolean(options.partial), errors });
+  return errors;
+};
+
+/**
+ * Validate value against schema, pushing every error into `context.errors`
+ * @param {Object} schema
+ * @param {*} value
+ * @param {Object} context `{ path, partial, errors }`
+ */
+const validate = (schema, value, context) => {
+  if (schema.$ref) return validate(resolveRef(schema.$ref), value, context);
+  if (schema.allOf) return schema.allOf.forEach((item) => validate(item, value, context));
+  if (schema.oneOf) return validateOneOf(schema.oneOf, value, context);
+
+  let { path, errors } = context;
+  if (!isNil(schema.const) && value !== schema.const) return errors.push(error(path, `must be '${schema.const}'`));
+  if (schema.enum && !schema.enum.includes(value))
+    return errors.push(error(path, `must be one of ${schema.enum.map((item) => `'${item}'`).join(', ')}`));
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) return errors.push(error(path, `must be ${schema.type}`));
+
+  if (isString(value) && !isNil(schema.maxLength) && value.length > schema.maxLength)
+    errors.push(error(path, `must be at most ${schema.maxLength} characters`));
+  if (isArray(value)) {
+    if (!isNil(schema.minItems) && value.length < schema.minItems)
+      errors.push(error(path, `must contain at least ${schema.minItems} item(s)`));
+    if (schema.items)
+      value.forEach((item, index) =>
+        validate(schema.items, item, { ...context, path: `${path}[${index}]`, partial: false })
+      );
+  }
+  if (isPlainObject(value)) {
+    if (!context.partial)
+      for (let key of schema.required ?? [])
+        if (isNil(value[key])) errors.push(error(joinPath(path, key), 'is required'));
+    for (let [key, property] of Object.entries(schema.properties ?? {}))
+      if (!isNil(value[key])) validate(property, value[key], { ...context, path: joinPath(path, key), partial: false });
+  }
+};
+
+/**
+ * Validate value against the schema matching its discriminator (e.g. Line's DetailType)
+ * @param {Object[]} variants Schemas, each having a `const` property as discriminator
+ * @param {*} value
+ * @param {Object} context `{ path, partial, errors }`
+ */
+const validateOneOf = (variants, value, context) => {
+  if (!isPlainObject(value)) return context.errors.push(error(context.path, 'must be object'));
+
+  let options = variants.map((schema) => ({ schema, discriminator: findDiscriminator(schema) }));
+  let { key } = options[0].discriminator;
+  let match = options.find(({ discriminator }) => value[key] === discriminator.value);
+  if (match) return validate(match.schema, value, context);
+
+  let values = options.map(({ discriminator }) => `'${discriminator.value}'`).join(', ');
+  context.errors.push(error(joinPath(context.path, key), `must be one of ${values}`));
+};
+
+/**
+ * Find property having a `const` value in schema
+ * @param {Object} schema
+ * @returns {{key: String, value: String}|null}
+ */
+const findDiscriminator = (schema) => {
+  if (schema.$ref) return findDiscriminator(resolveRef(schema.$ref));
+  for (let item of schema.allOf ?? []) {
+    let discriminator = findDiscriminator(item);
+    if (discriminator) return discriminator;
+  }
+  let entry = Object.entries(schema.properties ?? {}).find(([, property]) => !isNil(property.const));
+  return entry ? { key: entry[0], value: entry[1].const } : null;
+};
+
+/**
+ * Get schema definition referenced by `$ref`
+ * @param {String} ref Reference (e.g. '#/definitions/ReferenceType')
+ * @returns {Object}
+ */
+const resolveRef = (ref) => {
+  let schema = schemas.definitions[ref.split('/').pop()];
+  if (!schema) throw new Error(`invalid schema reference: ${ref}`);
+  return schema;
+};
+
+/**
+ * Join field path segments
+ * @param {String} path
+ * @param {String} key
+ * @returns {String}
+ */
+const joinPath = (path, key) => (path ? `${path}.${key}` : key);
+
+/**
+ * Create validation error item, same shape as QuickBooksError `errors`
+ * @param {String} path Field path
+ * @param {String} message
+ * @returns {Object}
+ */
+const error = (path, message) => ({ message: `${path || 'entity'} ${message}`, element: path || undefined });
+
+export { getEntitySchema, validateEntity };
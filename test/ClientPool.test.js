@@ -0,0 +1,130 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { MemoryTokenStore, QuickBooksAccountingClient, QuickBooksClientPool } from '../src/index.js';
+import { api } from './helpers.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('QuickBooksClientPool', () => {
+  let store;
+  let pools;
+
+  beforeEach(() => {
+    store = new MemoryTokenStore({
+      1234: { accessToken: 'access-token', refreshToken: 'refresh-token' },
+      5678: { accessToken: 'other-access-token', refreshToken: 'other-refresh-token' },
+    });
+    pools = [];
+  });
+
+  afterEach(() => {
+    for (let pool of pools) pool.close();
+    nock.cleanAll();
+  });
+
+  const createPool = (config = {}) => {
+    let pool = new QuickBooksClientPool({
+      tokenStore: store,
+      clientId: 'client-id',
+      clientSecret: 'client-secret',
+      useSandbox: true,
+      debug: false,
+      ...config,
+    });
+    pools.push(pool);
+    return pool;
+  };
+
+  const interceptToken = () => {
+    let { origin, pathname } = new URL(QuickBooksAccountingClient.TOKEN_URL);
+    return nock(origin).post(pathname, { grant_type: 'refresh_token', refresh_token: 'refresh-token' }).reply(200, {
+      access_token: 'new-access-token',
+      refresh_token: 'new-refresh-token',
+      expires_in: 3600,
+      x_refresh_token_expires_in: 8726400,
+    });
+  };
+
+  const interceptCustomer = (token, status, times = 1) =>
+    api()
+      .get('/v3/company/1234/customer/1')
+      .query(true)
+      .matchHeader('authorization', `Bearer ${token}`)
+      .times(times)
+      .reply(status, status === 200 ? { Customer: { Id: '1' } } : {});
+
+  it('creates one client per realm from the token store', async () => {
+    let pool = createPool();
+    let [client, sameClient, otherClient] = await Promise.all([
+      pool.getClient('1234'),
+      pool.getClient(1234),
+      pool.getClient('5678'),
+    ]);
+
+    assert.ok(client instanceof QuickBooksAccountingClient);
+    assert.equal(sameClient, client);
+    assert.notEqual(otherClient, client);
+    assert.equal(client.getAccessToken(), 'access-token');
+    assert.equal(otherClient.getRefreshToken(), 'other-refresh-token');
+    assert.equal(pool.size, 2);
+  });
+
+  it("doesn't keep clients of realms without tokens", async () => {
+    let pool = createPool();
+    await assert.rejects(pool.getClient('9999'), /tokens not found for realmId: 9999/);
+    assert.equal(pool.size, 0);
+
+    await store.set('9999', { accessToken: 'access-token' });
+    assert.ok(await pool.getClient('9999'));
+  });
+
+  it('persists refreshed tokens to the store', async () => {
+    let refreshed = [];
+    interceptToken();
+    interceptCustomer('access-token', 401);
+    interceptCustomer('new-access-token', 200);
+    let pool = createPool({ onTokenRefresh: (realmId, tokens) => refreshed.push([realmId, tokens.accessToken]) });
+
+    await (await pool.getClient('1234')).getCustomer('1');
+    assert.equal((await store.get('1234')).accessToken, 'new-access-token');
+    assert.equal((await store.get('1234')).refreshToken, 'new-refresh-token');
+    assert.deepEqual(refreshed, [['1234', 'new-access-token']]);
+  });
+
+  it('reuses tokens refreshed by another pool sharing the store', async () => {
+    let tokenScope = interceptToken();
+    interceptCustomer('access-token', 401, 2);
+    interceptCustomer('new-access-token', 200, 2);
+    let clients = await Promise.all([createPool().getClient('1234'), createPool().getClient('1234')]);
+
+    await Promise.all(clients.map((client) => client.getCustomer('1')));
+    assert.ok(tokenScope.isDone());
+    assert.deepEqual(
+      clients.map((client) => client.getAccessToken()),
+      ['new-access-token', 'new-access-token']
+    );
+  });
+
+  it('evicts clients unused for longer than idleTimeout', async () => {
+    let pool = createPool({ idleTimeout: 20 });
+    let client = await pool.getClient('1234');
+    await sleep(60);
+    assert.equal(pool.size, 0);
+    assert.notEqual(await pool.getClient('1234'), client);
+
+    let manualPool = createPool({ idleTimeout: 0 });
+    await manualPool.getClient('1234');
+    await manualPool.getClient('5678');
+    assert.equal(manualPool.evict('5678'), true);
+    assert.deepEqual(manualPool.evictIdle(), ['1234']);
+    assert.equal(manualPool.size, 0);
+  });
+
+  it('rejects invalid config', () => {
+    assert.throws(() => new QuickBooksClientPool(), /tokenStore not defined/);
+    assert.throws(() => new QuickBooksClientPool({ tokenStore: { get() {} } }), /invalid value: tokenStore.set/);
+    assert.throws(() => createPool({ idleTimeout: -1 }), /invalid value: idleTimeout/);
+  });
+});
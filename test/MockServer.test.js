@@ -0,0 +1,280 @@
+import { strict as assert } from 'node:assert';
+
+import { QuickBooksMockServer } from '../src/testing/index.js';
+import {
+  QuickBooksAccountingClient,
+  AuthenticationError,
+  DuplicateDocumentError,
+  QuickBooksError,
+  RateLimitError,
+  StaleObjectError,
+  ValidationError,
+} from '../src/index.js';
+
+describe('QuickBooksMockServer', () => {
+  let server;
+  let qbo;
+
+  before(async () => {
+    server = new QuickBooksMockServer();
+    await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(() => {
+    server.reset();
+    qbo = server.createClient({ retry: false });
+  });
+
+  describe('server', () => {
+    it('sends client requests to baseUrl', async () => {
+      await qbo.findCustomers();
+      assert.equal(server.requests[0].path, '/v3/company/1234/query');
+      assert.match(server.url, /^http:\/\/127\.0\.0\.1:\d+$/);
+      assert.throws(() => server.createClient({ baseUrl: 'not a url' }), /invalid value: baseUrl/);
+    });
+
+    it('rejects invalid config', () => {
+      assert.throws(() => new QuickBooksMockServer({ accessToken: 1 }), /invalid value: accessToken/);
+      assert.throws(() => new QuickBooksMockServer({ throttle: {} }), /invalid value: throttle.requestsPerMinute/);
+      assert.throws(() => new QuickBooksMockServer().createClient(), /mock server is not started/);
+    });
+  });
+
+  describe('create, read, update and delete', () => {
+    it('creates and reads entity', async () => {
+      let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+      assert.equal(customer.DisplayName, 'Acme');
+      assert.equal(customer.SyncToken, '0');
+
+      let read = await qbo.getCustomer(customer.Id);
+      assert.equal(read.DisplayName, 'Acme');
+      assert.equal(read.Id, customer.Id);
+    });
+
+    it('increments SyncToken on every update', async () => {
+      let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+      let updated = await qbo.updateCustomer({ Id: customer.Id, SyncToken: customer.SyncToken, Notes: 'VIP' });
+      assert.equal(updated.SyncToken, '1');
+      assert.equal(updated.DisplayName, 'Acme', 'sparse update keeps other fields');
+      assert.equal(updated.Notes, 'VIP');
+    });
+
+    it('rejects outdated SyncToken with StaleObjectError', async () => {
+      let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+      await qbo.updateCustomer({ Id: customer.Id, SyncToken: '0', Notes: 'first' });
+      await assert.rejects(qbo.updateCustomer({ Id: customer.Id, SyncToken: '0', Notes: 'second' }), (error) => {
+        assert.ok(error instanceof StaleObjectError);
+        assert.equal(error.code, '5010');
+        return true;
+      });
+    });
+
+    it('requires Id and SyncToken to update', async () => {
+      await assert.rejects(qbo.updateCustomer({ DisplayName: 'Acme' }), /must contain Id and SyncToken/);
+    });
+
+    it('deletes entity by ID', async () => {
+      let invoice = await qbo.createInvoice({ CustomerRef: { value: '1' }, Line: [] });
+      let { Invoice } = await qbo.deleteInvoice(invoice.Id);
+      assert.equal(Invoice.status, 'Deleted');
+      assert.deepEqual(server.getRecords('1234', 'Invoice'), []);
+    });
+  });
+
+  describe('find', () => {
+    beforeEach(() => {
+      server.seed(
+        '1234',
+        'Customer',
+        Array.from({ length: 25 }, (value, index) => ({ DisplayName: `Customer ${index}`, Balance: index % 5 }))
+      );
+    });
+
+    it('filters by object parameters', async () => {
+      let { QueryResponse } = await qbo.findCustomers({ Balance: 0 });
+      assert.equal(QueryResponse.Customer.length, 5);
+      assert.ok(QueryResponse.Customer.every(({ Balance }) => Balance === 0));
+    });
+
+    it('supports operators, ordering and IN conditions', async () => {
+      let { QueryResponse } = await qbo.findCustomers([
+        { field: 'Balance', value: [1, 2], operator: 'IN' },
+        { field: 'desc', value: 'Balance' },
+      ]);
+      assert.equal(QueryResponse.Customer.length, 10);
+      assert.equal(QueryResponse.Customer[0].Balance, 2);
+    });
+
+    it('counts records', async () => {
+      let { QueryResponse } = await qbo.findCustomers({ Balance: 1, count: true });
+      assert.equal(QueryResponse.totalCount, 5);
+    });
+
+    it('fetches every page with fetchAll', async () => {
+      let { QueryResponse } = await qbo.findCustomers({ limit: 10, fetchAll: true });
+      assert.equal(QueryResponse.Customer.length, 25);
+      assert.equal(server.requests.filter(({ path }) => path.endsWith('/query')).length, 3);
+    });
+
+    it('fetches pages in parallel, in order', async () => {
+      let { QueryResponse } = await qbo.findCustomers({ limit: 10, fetchAll: true, parallel: 2, asc: 'Id' });
+      assert.deepEqual(
+        QueryResponse.Customer.map(({ Id }) => Number(Id)),
+        Array.from({ length: 25 }, (value, index) => index + 1)
+      );
+      let queries = server.requests.filter(({ path }) => path.endsWith('/query')).map(({ params }) => params.query);
+      assert.match(queries[0], /count\(\*\)/i);
+    });
+
+    it('builds queries with query builder', async () => {
+      let { QueryResponse } = await qbo.query('Customer').where('DisplayName', 'LIKE', 'Customer 1%').execute();
+      assert.equal(QueryResponse.Customer.length, 11);
+    });
+  });
+
+  describe('paginate', () => {
+    beforeEach(() => {
+      server.seed(
+        '1234',
+        'Invoice',
+        Array.from({ length: 7 }, (value, index) => ({ DocNumber: String(index), CustomerRef: { value: '1' } }))
+      );
+    });
+
+    it('yields every record page by page', async () => {
+      let docNumbers = [];
+      for await (let invoice of qbo.iterateInvoices({}, { pageSize: 3 })) docNumbers.push(invoice.DocNumber);
+      assert.deepEqual(docNumbers, ['0', '1', '2', '3', '4', '5', '6']);
+      assert.equal(server.requests.length, 3);
+    });
+
+    it('yields pages', async () => {
+      let pages = [];
+      for await (let page of qbo.paginate('Invoice', {}, { pageSize: 3, pages: true })) pages.push(page.length);
+      assert.deepEqual(pages, [3, 3, 1]);
+    });
+
+    it('streams records', async () => {
+      let records = [];
+      for await (let invoice of qbo.paginateStream('Invoice', {}, { pageSize: 5 })) records.push(invoice);
+      assert.equal(records.length, 7);
+    });
+  });
+
+  describe('changeDataCapture', () => {
+    it('returns changed and deleted entities', async () => {
+      let since = new Date(Date.now() - 1000);
+      let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+      let invoice = await qbo.createInvoice({ CustomerRef: { value: customer.Id }, Line: [] });
+      await qbo.deleteInvoice(invoice.Id);
+
+      let changes = await qbo.changeDataCapture(['Customer', 'Invoice'], since);
+      assert.deepEqual(
+        changes.Customer.map(({ Id }) => Id),
+        [customer.Id]
+      );
+      assert.deepEqual(changes.Invoice, []);
+      assert.equal(changes.deleted.length, 1);
+      assert.equal(changes.deleted[0].entity, 'Invoice');
+      assert.equal(changes.deleted[0].Id, invoice.Id);
+    });
+
+    it('returns up to CDC_MAX_RESULTS oldest changes per entity', async () => {
+      let since = new Date(Date.now() - 1000);
+      server.seed(
+        '1234',
+        'Customer',
+        Array.from({ length: QuickBooksAccountingClient.CDC_MAX_RESULTS + 5 }, (value, index) => ({
+          DisplayName: `Customer ${index}`,
+        }))
+      );
+      let changes = await qbo.changeDataCapture(['Customer'], since);
+      assert.equal(changes.Customer.length, QuickBooksAccountingClient.CDC_MAX_RESULTS);
+      assert.equal(changes.Customer[0].Id, '1');
+    });
+
+    it('rejects entities not supported by CDC', async () => {
+      await assert.rejects(qbo.changeDataCapture(['CompanyInfo'], new Date()), /invalid CDC entity: CompanyInfo/);
+    });
+
+    it('rejects changedSince older than CDC_MAX_DAYS', async () => {
+      let changedSince = new Date(Date.now() - (QuickBooksAccountingClient.CDC_MAX_DAYS + 1) * 24 * 60 * 60 * 1000);
+      await assert.rejects(qbo.changeDataCapture(['Customer'], changedSince), /changedSince/);
+    });
+  });
+
+  describe('errors', () => {
+    it('throws ValidationError with code 610 for missing entity', async () => {
+      await assert.rejects(qbo.getInvoice('999'), (error) => {
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.code, '610');
+        assert.equal(error.status, 400);
+        assert.equal(error.entity, 'invoice');
+        assert.ok(error.cause, 'original error is kept');
+        return true;
+      });
+    });
+
+    it('throws DuplicateDocumentError for duplicated DocNumber', async () => {
+      await qbo.createInvoice({ DocNumber: '1001', CustomerRef: { value: '1' } });
+      await assert.rejects(
+        qbo.createInvoice({ DocNumber: '1001', CustomerRef: { value: '1' } }),
+        DuplicateDocumentError
+      );
+    });
+
+    it('throws AuthenticationError for rejected token', async () => {
+      let strictServer = new QuickBooksMockServer({ accessToken: 'valid' });
+      await strictServer.start();
+      try {
+        let client = strictServer.createClient({ accessToken: 'invalid', retry: false });
+        await assert.rejects(client.findCustomers(), AuthenticationError);
+      } finally {
+        await strictServer.stop();
+      }
+    });
+
+    it('throws QuickBooksError for injected fault', async () => {
+      server.injectFault({ status: 500, code: '10000', message: 'Internal error', path: '/customer' });
+      await assert.rejects(qbo.createCustomer({ DisplayName: 'Acme' }), (error) => {
+        assert.ok(error instanceof QuickBooksError);
+        assert.equal(error.status, 500);
+        assert.equal(error.code, '10000');
+        return true;
+      });
+    });
+  });
+
+  describe('simulation', () => {
+    it('responds reports set with setReport', async () => {
+      server.setReport('ProfitAndLoss', (params) => ({ Header: { ReportName: 'ProfitAndLoss', ...params }, Rows: {} }));
+      let report = await qbo.reportProfitAndLoss({ start_date: '2024-01-01' });
+      assert.equal(report.Header.start_date, '2024-01-01');
+      let empty = await qbo.reportBalanceSheet();
+      assert.deepEqual(empty.Header.Option, [{ Name: 'NoReportData', Value: 'true' }]);
+    });
+
+    it('replays the original response for a repeated requestid', async () => {
+      let first = await qbo.createCustomer({ DisplayName: 'Acme', requestId: 'create-acme' });
+      let second = await qbo.createCustomer({ DisplayName: 'Acme', requestId: 'create-acme' });
+      assert.deepEqual(second, first);
+      assert.equal(server.getRecords('1234', 'Customer').length, 1);
+    });
+
+    it('throttles requests beyond requestsPerMinute', async () => {
+      let throttledServer = new QuickBooksMockServer({ throttle: { requestsPerMinute: 1 } });
+      await throttledServer.start();
+      try {
+        let client = throttledServer.createClient({ retry: false });
+        await client.findCustomers();
+        await assert.rejects(client.findCustomers(), RateLimitError);
+      } finally {
+        await throttledServer.stop();
+      }
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { QuickBooksAccountingClient, QuickBooksQueryBuilder } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+/**
+ * Create query builder not bound to a client
+ * @param {String} entity
+ * @returns {QuickBooksQueryBuilder}
+ */
+const createBuilder = (entity) =>
+  new QuickBooksQueryBuilder(entity, { operators: QuickBooksAccountingClient.QUERY_OPERATORS });
+
+describe('QuickBooksQueryBuilder', () => {
+  it('builds query statement', () => {
+    let query = createBuilder('Invoice')
+      .select('Id', ['TotalAmt', 'MetaData.LastUpdatedTime'])
+      .where('TotalAmt', '>', 100)
+      .where('DocNumber', 'like', "O'Brien%")
+      .whereIn('CustomerRef', ['1', '2'])
+      .where('Balance', 0)
+      .orderBy('TxnDate', 'DESC')
+      .orderBy('DocNumber')
+      .offset(51)
+      .limit(50);
+
+    assert.equal(
+      query.toString(),
+      "select Id, TotalAmt, MetaData.LastUpdatedTime from Invoice where TotalAmt > 100 and DocNumber LIKE 'O\\'Brien%'" +
+        " and CustomerRef IN ('1', '2') and Balance = 0 orderby TxnDate desc, DocNumber asc startposition 51 maxresults 50"
+    );
+  });
+
+  it('formats Date values as date or ISO 8601 date time', () => {
+    let query = createBuilder('Invoice')
+      .where('TxnDate', '>=', new Date('2024-01-01'))
+      .where('MetaData.LastUpdatedTime', '>', new Date('2024-01-01T08:30:00-08:00'))
+      .whereIn('DueDate', [new Date('2024-02-29'), new Date(Date.UTC(2024, 2, 1))]);
+
+    assert.equal(
+      query.toString(),
+      "select * from Invoice where TxnDate >= '2024-01-01' and MetaData.LastUpdatedTime > '2024-01-01T16:30:00.000Z'" +
+        " and DueDate IN ('2024-02-29', '2024-03-01')"
+    );
+    assert.throws(() => createBuilder('Invoice').where('TxnDate', new Date('yesterday')), /TxnDate: Invalid Date/);
+  });
+
+  it('counts records ignoring sort and paging', () => {
+    let query = createBuilder('Customer').where('Active', true).orderBy('DisplayName').limit(10).count();
+    assert.equal(query.toString(), 'select count(*) from Customer where Active = true');
+    assert.equal(
+      query.count(false).toString(),
+      'select * from Customer where Active = true orderby DisplayName asc maxresults 10'
+    );
+  });
+
+  it('clones builder independently', () => {
+    let base = createBuilder('Customer').where('Active', true);
+    let clone = base.clone().limit(5);
+    assert.equal(base.toString(), 'select * from Customer where Active = true');
+    assert.equal(clone.toString(), 'select * from Customer where Active = true maxresults 5');
+  });
+
+  it('rejects values that could alter the query statement', () => {
+    assert.throws(() => createBuilder('Customer; drop'), /invalid value: entity/);
+    assert.throws(() => createBuilder('Customer').select('Id, (select 1)'), /invalid query field/);
+    assert.throws(() => createBuilder('Customer').where('Id', 'OR', '1'), /invalid query operator: OR/);
+    assert.throws(() => createBuilder('Customer').where('Id', 'IN', '1'), /IN requires an array/);
+    assert.throws(() => createBuilder('Customer').whereIn('Id', []), /IN requires non-empty array/);
+    assert.throws(() => createBuilder('Customer').where('Id', '=', ['1']), /unexpected array/);
+    assert.throws(() => createBuilder('Customer').where('Id', null), /invalid value for Id: null/);
+    assert.throws(() => createBuilder('Customer').orderBy('Id', 'up'), /invalid sort direction: up/);
+    assert.throws(() => createBuilder('Customer').limit(0), /invalid value: limit/);
+    assert.throws(() => createBuilder('Customer').offset(1.5), /invalid value: offset/);
+  });
+
+  it("can't be executed without a client", async () => {
+    await assert.rejects(createBuilder('Customer').execute(), /query builder is not bound to a client/);
+  });
+
+  describe('client', () => {
+    let queries;
+
+    beforeEach(() => {
+      queries = [];
+      api()
+        .get(`${COMPANY_PATH}/query`)
+        .query((query) => {
+          queries.push(query.query);
+          return true;
+        })
+        .reply(200, { QueryResponse: { Customer: [{ Id: '1' }], maxResults: 1 } });
+    });
+
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('executes query built with query()', async () => {
+      let response = await createClient().query('Customer').where('DisplayName', 'LIKE', 'Acme%').execute();
+      assert.deepEqual(response.QueryResponse.Customer, [{ Id: '1' }]);
+      assert.deepEqual(queries, ["select * from Customer where DisplayName LIKE 'Acme%'"]);
+    });
+
+    it('builds find* queries from object parameters', async () => {
+      await createClient().findCustomers({ Balance: 0, Id: ['1', '2'], asc: 'DisplayName' });
+      assert.deepEqual(queries, [
+        "select * from Customer where Balance = 0 and Id IN ('1', '2') orderby DisplayName asc startposition 1 maxresults 1000",
+      ]);
+    });
+
+    it('builds find* queries from array parameters', async () => {
+      await createClient().findInvoices([
+        { field: 'TxnDate', value: new Date('2024-01-01'), operator: '>=' },
+        { field: 'TotalAmt', value: 100, operator: '<' },
+        { field: 'limit', value: 10 },
+        { field: 'offset', value: 11 },
+      ]);
+      assert.deepEqual(queries, [
+        "select * from Invoice where TxnDate >= '2024-01-01' and TotalAmt < 100 startposition 11 maxresults 10",
+      ]);
+    });
+
+    it('counts records with find*', async () => {
+      await createClient().findCustomers({ Active: true, count: true });
+      assert.deepEqual(queries, ['select count(*) from Customer where Active = true']);
+    });
+  });
+});
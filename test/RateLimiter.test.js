@@ -0,0 +1,107 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { QuickBooksRateLimiter } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+/**
+ * Whether promise is still pending after pending callbacks run
+ * @param {Promise} promise
+ * @returns {Promise<Boolean>}
+ */
+const isPending = async (promise) => {
+  let pending = {};
+  return (await Promise.race([promise, new Promise((resolve) => setImmediate(() => resolve(pending)))])) === pending;
+};
+
+describe('QuickBooksRateLimiter', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('sends burst at once, then waits for the bucket to refill', async () => {
+    let limiter = new QuickBooksRateLimiter({ requestsPerMinute: 600, burst: 2 });
+    let releases = await Promise.all([limiter.acquire(), limiter.acquire()]);
+    for (let release of releases) release();
+
+    let startedAt = Date.now();
+    let third = limiter.acquire();
+    assert.ok(await isPending(third));
+    assert.equal(limiter.getMetrics().queueDepth, 1);
+    (await third)();
+
+    assert.ok(Date.now() - startedAt >= 50, 'one token is refilled every 100ms');
+    let metrics = limiter.getMetrics();
+    assert.equal(metrics.requests, 3);
+    assert.equal(metrics.waited, 1);
+    assert.ok(metrics.maxWaitTime >= 50);
+    assert.equal(metrics.averageWaitTime, metrics.totalWaitTime / 3);
+    assert.equal(metrics.queueDepth, 0);
+  });
+
+  it('keeps separate budgets for batch and report requests', async () => {
+    let limiter = new QuickBooksRateLimiter({ batch: { requestsPerMinute: 600, burst: 1 } });
+    (await limiter.acquire('batch'))();
+
+    assert.ok(await isPending(limiter.acquire('batch')));
+    assert.ok(!(await isPending(limiter.acquire('report'))));
+    assert.ok(!(await isPending(limiter.acquire())));
+    assert.deepEqual(limiter.getMetrics().buckets.batch, { requestsPerMinute: 600, capacity: 1, tokens: 0 });
+    assert.deepEqual(limiter.getMetrics().buckets.default, { requestsPerMinute: 500, capacity: 50, tokens: 49 });
+  });
+
+  it('holds requests beyond maxConcurrent until a slot is released', async () => {
+    let limiter = new QuickBooksRateLimiter({ maxConcurrent: 1 });
+    let release = await limiter.acquire();
+    let second = limiter.acquire();
+    assert.ok(await isPending(second));
+    assert.equal(limiter.getMetrics().inFlight, 1);
+
+    release();
+    release(); // Released slot is not released twice
+    (await second)();
+    assert.equal(limiter.getMetrics().inFlight, 0);
+    assert.equal(limiter.maxConcurrent, 1);
+  });
+
+  it('rejects invalid config', () => {
+    assert.throws(() => new QuickBooksRateLimiter({ requestsPerMinute: 0 }), /invalid value: requestsPerMinute/);
+    assert.throws(() => new QuickBooksRateLimiter({ report: { burst: 0 } }), /invalid value: report.burst/);
+    assert.throws(() => new QuickBooksRateLimiter({ maxConcurrent: 0 }), /invalid value: maxConcurrent/);
+    assert.throws(() => new QuickBooksRateLimiter().acquire('upload'), /invalid rate limit category: upload/);
+  });
+
+  describe('client', () => {
+    it('acquires batch and report budgets for their requests', async () => {
+      api().post(`${COMPANY_PATH}/batch`).query(true).reply(200, { BatchItemResponse: [] });
+      api().get(`${COMPANY_PATH}/reports/ProfitAndLoss`).query(true).reply(200, {});
+      api()
+        .get(`${COMPANY_PATH}/customer/1`)
+        .query(true)
+        .reply(200, { Customer: { Id: '1' } });
+      let qbo = createClient({ rateLimit: { burst: 5, batch: { burst: 5 }, report: { burst: 5 } } });
+
+      await qbo.batch([{ operation: 'query', entity: 'Customer', query: 'select * from Customer' }]);
+      await qbo.reportProfitAndLoss();
+      await qbo.getCustomer('1');
+      let { buckets, requests, inFlight } = qbo.getRateLimiterMetrics();
+      assert.deepEqual([buckets.default.tokens, buckets.batch.tokens, buckets.report.tokens], [4, 4, 4]);
+      assert.equal(requests, 3);
+      assert.equal(inFlight, 0);
+    });
+
+    it('shares limiter instance between clients', async () => {
+      api()
+        .get(`${COMPANY_PATH}/customer/1`)
+        .query(true)
+        .times(2)
+        .reply(200, { Customer: { Id: '1' } });
+      let rateLimit = new QuickBooksRateLimiter();
+      await createClient({ rateLimit }).getCustomer('1');
+      await createClient({ rateLimit }).getCustomer('1');
+      assert.equal(rateLimit.getMetrics().requests, 2);
+      assert.equal(createClient({ rateLimit: false }).getRateLimiterMetrics(), null);
+    });
+  });
+});
@@ -0,0 +1,87 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { QuickBooksError } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const DOWNLOAD_ORIGIN = 'https://intuit-qbo-prod-attachable.s3.amazonaws.com';
+
+/**
+ * Read stream content as string
+ * @param {stream.Readable} readable
+ * @returns {Promise<String>}
+ */
+const readAll = async (readable) => {
+  let chunks = [];
+  for await (let chunk of readable) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('attachables', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const interceptAttachable = (attachable) =>
+    api().get(`${COMPANY_PATH}/attachable/${attachable.Id}`).query(true).reply(200, { Attachable: attachable });
+
+  describe('downloadAttachable', () => {
+    it('streams file content from temporary download URI without access token', async () => {
+      interceptAttachable({ Id: '100', FileName: 'receipt.txt', TempDownloadUri: `${DOWNLOAD_ORIGIN}/100?sig=abc` });
+      let scope = nock(DOWNLOAD_ORIGIN, { badheaders: ['authorization'] })
+        .get('/100')
+        .query({ sig: 'abc' })
+        .reply(200, 'Paid in cash');
+
+      let content = await createClient().downloadAttachable('100');
+      assert.equal(await readAll(content), 'Paid in cash');
+      assert.ok(scope.isDone());
+    });
+
+    it('rejects attachable without file', async () => {
+      interceptAttachable({ Id: '101', Note: 'Call before delivery' });
+      await assert.rejects(createClient().downloadAttachable('101'), /attachable has no downloadable file: 101/);
+    });
+
+    it('throws QuickBooksError when download fails', async () => {
+      interceptAttachable({ Id: '102', TempDownloadUri: `${DOWNLOAD_ORIGIN}/102` });
+      nock(DOWNLOAD_ORIGIN).get('/102').reply(403, 'Request has expired');
+      await assert.rejects(
+        createClient().downloadAttachable('102'),
+        (error) => error instanceof QuickBooksError && error.status === 403 && error.operation === 'download'
+      );
+    });
+  });
+
+  describe('findAttachablesFor', () => {
+    it('queries attachables linked to entity across all pages', async () => {
+      let queries = [];
+      let page = (offset, count) => Array.from({ length: count }, (value, index) => ({ Id: String(offset + index) }));
+      api()
+        .get(`${COMPANY_PATH}/query`)
+        .query((query) => {
+          queries.push(query.query);
+          return true;
+        })
+        .times(2)
+        .reply(200, () =>
+          queries.length === 1
+            ? { QueryResponse: { Attachable: page(1, 1000), maxResults: 1000 } }
+            : { QueryResponse: { Attachable: page(1001, 2), maxResults: 2 } }
+        );
+
+      let response = await createClient().findAttachablesFor('Invoice', 130);
+      assert.deepEqual(queries, [
+        "select * from Attachable where AttachableRef.EntityRef.Type = 'invoice' and AttachableRef.EntityRef.value = '130' startposition 1 maxresults 1000",
+        "select * from Attachable where AttachableRef.EntityRef.Type = 'invoice' and AttachableRef.EntityRef.value = '130' startposition 1001 maxresults 1000",
+      ]);
+      assert.equal(response.QueryResponse.Attachable.length, 1002);
+    });
+
+    it('rejects invalid arguments', async () => {
+      await assert.rejects(createClient().findAttachablesFor('', '1'), /invalid value: entityType/);
+      await assert.rejects(createClient().findAttachablesFor('Invoice'), /entityId not defined/);
+    });
+  });
+});
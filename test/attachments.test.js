@@ -0,0 +1,194 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import stream from 'node:stream';
+
+import nock from 'nock';
+
+import { ValidationError } from '../src/index.js';
+import { MAX_ATTACHMENT_SIZE, limitStreamSize } from '../src/attachments.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const ATTACHABLE = { Id: '5000000000000010341', FileName: 'receipt.pdf', ContentType: 'application/pdf' };
+
+/**
+ * Read part of multipart body by its field name
+ * @param {String} body
+ * @param {String} name
+ * @returns {{headers: String, content: String}|undefined}
+ */
+const getPart = (body, name) => {
+  let match = body.match(new RegExp(`name="${name}"(.*?)\\r\\n\\r\\n(.*?)\\r\\n--`, 's'));
+  return match && { headers: match[1], content: match[2] };
+};
+
+/**
+ * Create readable stream yielding given number of zero-filled chunks
+ * @param {Number} chunkCount
+ * @param {Number} chunkSize
+ * @returns {stream.Readable}
+ */
+const createChunkStream = (chunkCount, chunkSize) => {
+  let chunk = Buffer.alloc(chunkSize);
+  return stream.Readable.from(
+    (function* () {
+      for (let i = 0; i < chunkCount; i++) yield chunk;
+    })()
+  );
+};
+
+describe('attachments', () => {
+  let uploads;
+
+  beforeEach(() => {
+    uploads = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept upload requests, recording their content type and body
+   * @param {Object=} response
+   */
+  const interceptUpload = (response = { AttachableResponse: [{ Attachable: ATTACHABLE }] }) =>
+    api()
+      .post(`${COMPANY_PATH}/upload`, (body) => {
+        uploads.push({ body });
+        return true;
+      })
+      .query(true)
+      .reply(function () {
+        uploads[uploads.length - 1].contentType = this.req.headers['content-type'];
+        return [200, response];
+      });
+
+  describe('uploadAttachment', () => {
+    it('sends metadata and file content as multipart body', async () => {
+      interceptUpload();
+      let attachable = await createClient().uploadAttachment({
+        file: Buffer.from('%PDF-1.4 receipt'),
+        fileName: 'receipt.pdf',
+        attachTo: [
+          { type: 'invoice', id: 130, includeOnSend: true },
+          { type: 'Customer', id: '1' },
+        ],
+        note: 'Paid in cash',
+      });
+
+      assert.deepEqual(attachable, ATTACHABLE);
+      let [{ body, contentType }] = uploads;
+      let boundary = contentType.match(/^multipart\/form-data; boundary=(.+)$/)[1];
+      assert.ok(body.startsWith(`--${boundary}\r\n`));
+      assert.ok(body.trimEnd().endsWith(`--${boundary}--`));
+
+      let metadata = getPart(body, 'file_metadata_01');
+      assert.match(metadata.headers, /filename="attachment.json"\r\nContent-Type: application\/json/);
+      assert.deepEqual(JSON.parse(metadata.content), {
+        FileName: 'receipt.pdf',
+        ContentType: 'application/pdf',
+        Note: 'Paid in cash',
+        AttachableRef: [
+          { EntityRef: { type: 'Invoice', value: '130' }, IncludeOnSend: true },
+          { EntityRef: { type: 'Customer', value: '1' } },
+        ],
+      });
+
+      let file = getPart(body, 'file_content_01');
+      assert.match(file.headers, /filename="receipt.pdf"\r\nContent-Type: application\/pdf/);
+      assert.equal(file.content, '%PDF-1.4 receipt');
+    });
+
+    it('reads file name and content from file path', async () => {
+      let directory = await fs.mkdtemp(path.join(os.tmpdir(), 'qbo-attachments-'));
+      try {
+        let filePath = path.join(directory, 'notes.TXT');
+        await fs.writeFile(filePath, 'Deliver to the back door');
+        interceptUpload();
+        await createClient().uploadAttachment({ file: filePath });
+
+        let metadata = JSON.parse(getPart(uploads[0].body, 'file_metadata_01').content);
+        assert.deepEqual(metadata, { FileName: 'notes.TXT', ContentType: 'text/plain', AttachableRef: [] });
+        assert.equal(getPart(uploads[0].body, 'file_content_01').content, 'Deliver to the back door');
+      } finally {
+        await fs.rm(directory, { recursive: true, force: true });
+      }
+    });
+
+    it('uploads readable stream with explicit content type', async () => {
+      interceptUpload();
+      await createClient().uploadAttachment({
+        file: stream.Readable.from([Buffer.from('a,b\n'), Buffer.from('1,2\n')]),
+        fileName: 'export',
+        contentType: 'text/csv',
+      });
+      let file = getPart(uploads[0].body, 'file_content_01');
+      assert.match(file.headers, /filename="export"\r\nContent-Type: text\/csv/);
+      assert.equal(file.content, 'a,b\n1,2\n');
+    });
+
+    it('rejects invalid attachments before sending request', async () => {
+      let scope = interceptUpload();
+      let qbo = createClient();
+      let file = Buffer.from('content');
+      await assert.rejects(qbo.uploadAttachment({ file, fileName: 'setup.exe' }), /unsupported attachment type: exe/);
+      await assert.rejects(
+        qbo.uploadAttachment({ file, fileName: 'receipt', contentType: 'application/zip' }),
+        /unsupported attachment type: application\/zip/
+      );
+      await assert.rejects(qbo.uploadAttachment({ file }), /invalid value: fileName/);
+      await assert.rejects(qbo.uploadAttachment({ file: 'content' }), /ENOENT/);
+      await assert.rejects(qbo.uploadAttachment({ file: {}, fileName: 'a.pdf' }), /invalid value: file/);
+      await assert.rejects(
+        qbo.uploadAttachment({ file, fileName: 'a.pdf', attachTo: [{ type: 'Invoice' }] }),
+        /invalid value: attachTo/
+      );
+      await assert.rejects(
+        qbo.uploadAttachment({ file: Buffer.alloc(MAX_ATTACHMENT_SIZE + 1), fileName: 'a.pdf' }),
+        /attachment exceeds maximum size/
+      );
+      assert.ok(!scope.isDone());
+    });
+
+    it('aborts upload of a stream exceeding maximum size', async () => {
+      let chunkSize = 1024 * 1024;
+      interceptUpload();
+      await assert.rejects(
+        createClient().uploadAttachment({
+          file: createChunkStream(MAX_ATTACHMENT_SIZE / chunkSize + 1, chunkSize),
+          fileName: 'scan.tiff',
+        }),
+        /attachment exceeds maximum size of 104857600 bytes: scan.tiff/
+      );
+    });
+
+    it('throws error of a Fault returned in AttachableResponse', async () => {
+      interceptUpload({
+        AttachableResponse: [
+          { Fault: { Error: [{ Message: 'Invalid Reference Id', code: '2500' }], type: 'ValidationFault' } },
+        ],
+      });
+      await assert.rejects(
+        createClient().uploadAttachment({ file: Buffer.from('content'), fileName: 'receipt.pdf' }),
+        (error) => error instanceof ValidationError && error.code === '2500' && error.operation === 'upload'
+      );
+    });
+  });
+
+  describe('limitStreamSize', () => {
+    it('passes stream within the limit through', async () => {
+      let chunks = [];
+      for await (let chunk of limitStreamSize(createChunkStream(4, 4), 16, 'a.pdf')) chunks.push(chunk);
+      assert.equal(Buffer.concat(chunks).length, 16);
+    });
+
+    it('fails once stream yields more bytes than the limit', async () => {
+      let limited = limitStreamSize(createChunkStream(5, 4), 16, 'a.pdf');
+      await assert.rejects(async () => {
+        for await (let chunk of limited) assert.ok(chunk);
+      }, /attachment exceeds maximum size of 16 bytes: a.pdf/);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+import { omit } from 'lodash-es';
+
+import { QuickBooksAccountingClient } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+/**
+ * Build BatchItemResponse echoing every requested entity with an ID
+ * @param {Object[]} items BatchItemRequest items
+ * @returns {Object[]}
+ */
+const echoItems = (items) =>
+  items.map((item) => {
+    let [[entityName, data]] = Object.entries(omit(item, ['bId', 'operation']));
+    return { bId: item.bId, [entityName]: { Id: item.bId.replace(/\D/g, ''), ...data } };
+  });
+
+describe('batch', () => {
+  let qbo;
+  let requests;
+
+  beforeEach(() => {
+    qbo = createClient();
+    requests = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept batch requests, replying with given function of the requested items
+   * @param {Function} reply Function receiving BatchItemRequest items and returning BatchItemResponse items
+   * @param {Number=} times Number of requests to intercept
+   */
+  const interceptBatch = (reply, times = 1) =>
+    api()
+      .post(`${COMPANY_PATH}/batch`)
+      .query(true)
+      .times(times)
+      .reply(200, (uri, body) => {
+        requests.push(body.BatchItemRequest);
+        return { BatchItemResponse: reply(body.BatchItemRequest) };
+      });
+
+  const createOperations = (length) =>
+    Array.from({ length }, (_, index) => ({
+      operation: 'create',
+      entity: 'customer',
+      data: { DisplayName: `Customer ${index}` },
+    }));
+
+  it('returns results in the same order as operations', async () => {
+    interceptBatch((items) => [
+      { bId: 'find-acme', QueryResponse: { Customer: [{ Id: '1' }] } },
+      ...echoItems(items.filter(({ Query }) => !Query)).reverse(),
+    ]);
+    let results = await qbo.batch([
+      { operation: 'create', entity: 'customer', data: { DisplayName: 'Globex' } },
+      { operation: 'update', entity: 'customer', data: { Id: '1', SyncToken: '0', Notes: 'VIP' } },
+      { operation: 'query', entity: 'Customer', query: { DisplayName: 'Acme' }, bId: 'find-acme' },
+    ]);
+
+    assert.deepEqual(requests[0], [
+      { bId: 'bid0', operation: 'create', Customer: { DisplayName: 'Globex' } },
+      { bId: 'bid1', operation: 'update', Customer: { Id: '1', SyncToken: '0', Notes: 'VIP', sparse: true } },
+      {
+        bId: 'find-acme',
+        Query: "select * from Customer where DisplayName = 'Acme' startposition 1 maxresults 1000",
+      },
+    ]);
+    assert.deepEqual(
+      results.map(({ bId, operation }) => [bId, operation]),
+      [
+        ['bid0', 'create'],
+        ['bid1', 'update'],
+        ['find-acme', 'query'],
+      ]
+    );
+    assert.equal(results[0].result.DisplayName, 'Globex');
+    assert.equal(results[1].result.Notes, 'VIP');
+    assert.deepEqual(results[2].result, { Customer: [{ Id: '1' }] });
+    assert.ok(results.every(({ fault }) => fault === null));
+  });
+
+  it('splits operations into chunks of BATCH_LIMIT items', async () => {
+    interceptBatch(echoItems, 2);
+    let operations = createOperations(QuickBooksAccountingClient.BATCH_LIMIT + 5);
+    let results = await qbo.batch(operations);
+
+    assert.deepEqual(
+      requests.map((items) => items.length),
+      [QuickBooksAccountingClient.BATCH_LIMIT, 5]
+    );
+    assert.equal(results.length, operations.length);
+    assert.equal(results[34].result.DisplayName, 'Customer 34');
+  });
+
+  it('matches entity names case-insensitively', async () => {
+    interceptBatch(echoItems);
+    let [result] = await qbo.batch([{ operation: 'create', entity: 'creditmemo', data: { TotalAmt: 10 } }]);
+    assert.deepEqual(Object.keys(requests[0][0]), ['bId', 'operation', 'CreditMemo']);
+    assert.deepEqual(result.result, { Id: '0', TotalAmt: 10 });
+    assert.equal(result.entity, 'creditmemo');
+  });
+
+  it('reports item failures as fault', async () => {
+    let fault = { Error: [{ Message: 'Duplicate Name Exists Error', code: '6240' }], type: 'ValidationFault' };
+    interceptBatch(() => [{ bId: 'bid0', Fault: fault }]);
+    let results = await qbo.batch(createOperations(2));
+
+    assert.deepEqual(results[0].fault, fault);
+    assert.equal(results[0].result, null);
+    assert.equal(results[1].result, null);
+    assert.match(results[1].fault.Error[0].Message, /bId bid1 not found/);
+  });
+
+  it('keeps results of other chunks when a chunk fails', async () => {
+    api()
+      .post(`${COMPANY_PATH}/batch`)
+      .query(true)
+      .reply(503, { Fault: { Error: [{ Message: 'Service unavailable', code: '3001' }], type: 'SystemFault' } });
+    interceptBatch(echoItems);
+    let results = await qbo.batch(createOperations(QuickBooksAccountingClient.BATCH_LIMIT + 1));
+
+    assert.ok(results.slice(0, QuickBooksAccountingClient.BATCH_LIMIT).every(({ fault }) => fault));
+    assert.equal(results[0].fault.Error[0].Message, 'Service unavailable');
+    assert.equal(results[0].result, null);
+    assert.equal(results[QuickBooksAccountingClient.BATCH_LIMIT].fault, null);
+    assert.equal(results[QuickBooksAccountingClient.BATCH_LIMIT].result.DisplayName, 'Customer 30');
+  });
+
+  it('fetches entities deleted by ID with one query per entity', async () => {
+    let queries = [];
+    api()
+      .get(`${COMPANY_PATH}/query`)
+      .query((params) => {
+        queries.push(params.query);
+        return true;
+      })
+      .times(2)
+      .reply(200, (uri) => {
+        let query = new URL(uri, QuickBooksAccountingClient.BASE_URL_SANDBOX).searchParams.get('query');
+        let entityName = query.match(/from (\w+)/)[1];
+        let ids = query.match(/'\d+'/g).map((id) => id.replace(/'/g, ''));
+        return { QueryResponse: { [entityName]: ids.map((Id) => ({ Id, SyncToken: '0' })) } };
+      });
+    interceptBatch((items) => items.map(({ bId }) => ({ bId, Invoice: { status: 'Deleted' } })));
+
+    let results = await qbo.batch([
+      { operation: 'delete', entity: 'invoice', data: '1' },
+      { operation: 'delete', entity: 'Invoice', data: 2 },
+      { operation: 'delete', entity: 'creditMemo', data: '3' },
+      { operation: 'delete', entity: 'invoice', data: { Id: '4', SyncToken: '1' } },
+    ]);
+
+    assert.deepEqual(queries, [
+      "select * from Invoice where Id IN ('1', '2') startposition 1 maxresults 1000",
+      "select * from CreditMemo where Id IN ('3') startposition 1 maxresults 1000",
+    ]);
+    assert.deepEqual(
+      requests[0].map((item) => omit(item, ['bId', 'operation'])),
+      [
+        { Invoice: { Id: '1', SyncToken: '0' } },
+        { Invoice: { Id: '2', SyncToken: '0' } },
+        { CreditMemo: { Id: '3', SyncToken: '0' } },
+        { Invoice: { Id: '4', SyncToken: '1' } },
+      ]
+    );
+    assert.equal(results[0].result.status, 'Deleted');
+  });
+
+  it('rejects invalid operations before sending anything', async () => {
+    let scope = interceptBatch(echoItems);
+    await assert.rejects(qbo.batch({}), /invalid value: operations/);
+    await assert.rejects(qbo.batch([{ operation: 'merge', entity: 'customer' }]), /invalid batch operation: merge/);
+    await assert.rejects(qbo.batch([{ operation: 'create', entity: 'customers', data: {} }]), /invalid batch entity/);
+    await assert.rejects(qbo.batch([{ operation: 'delete', entity: 'customer', data: '1' }]), /invalid batch entity/);
+    await assert.rejects(
+      qbo.batch([{ operation: 'create', entity: 'invoice', data: 'invoice' }]),
+      /invalid batch data/
+    );
+    await assert.rejects(
+      qbo.batch([{ operation: 'update', entity: 'invoice', data: { Id: '1' } }]),
+      /must contain Id and SyncToken/
+    );
+    await assert.rejects(
+      qbo.batch([
+        { operation: 'create', entity: 'customer', data: {}, bId: 'a' },
+        { operation: 'create', entity: 'customer', data: {}, bId: 'a' },
+      ]),
+      /duplicate batch bId/
+    );
+    assert.ok(!scope.isDone());
+  });
+
+  it('builds operations with createBatch', async () => {
+    interceptBatch((items) => [
+      ...echoItems(items.slice(0, 2)),
+      { bId: items[2].bId, QueryResponse: { Customer: [{ Id: '1' }] } },
+    ]);
+    let batch = qbo
+      .createBatch()
+      .create('customer', { DisplayName: 'Acme' })
+      .delete('invoice', { Id: '1', SyncToken: '0' }, 'delete-invoice')
+      .query('Customer');
+    assert.deepEqual(
+      batch.getOperations().map(({ operation }) => operation),
+      ['create', 'delete', 'query']
+    );
+
+    let results = await batch.execute();
+    assert.deepEqual(
+      results.map(({ bId }) => bId),
+      ['bid0', 'delete-invoice', 'bid2']
+    );
+    assert.equal(results[2].result.Customer.length, 1);
+  });
+});
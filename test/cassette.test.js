@@ -0,0 +1,97 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { QuickBooksMockServer } from '../src/testing/index.js';
+import { QuickBooksAccountingClient, ValidationError } from '../src/index.js';
+
+describe('cassette', () => {
+  let server;
+  let directory;
+  let cassettePath;
+
+  before(async () => {
+    server = new QuickBooksMockServer();
+    await server.start();
+  });
+
+  after(async () => {
+    await server.stop();
+  });
+
+  beforeEach(async () => {
+    server.reset();
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quickbooks-cassette-'));
+    cassettePath = path.join(directory, 'nested', 'cassette.json');
+  });
+
+  afterEach(async () => {
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const record = async () => {
+    let qbo = server.createClient({ retry: false, cassette: { mode: 'record', path: cassettePath } });
+    let customer = await qbo.createCustomer({ DisplayName: 'Acme', requestId: 'request-1' });
+    await qbo.getCustomer(customer.Id);
+    await qbo.getCustomer('999').catch(() => {});
+    await qbo.getInvoicePdf((await qbo.createInvoice({ CustomerRef: { value: customer.Id } })).Id);
+    return customer;
+  };
+
+  const createReplayClient = (config = {}) =>
+    new QuickBooksAccountingClient({
+      accessToken: 'replay',
+      realmId: '5678',
+      debug: false,
+      rateLimit: false,
+      retry: false,
+      baseUrl: 'http://127.0.0.1:9',
+      cassette: { mode: 'replay', path: cassettePath },
+      ...config,
+    });
+
+  it('records interactions without headers or realmId', async () => {
+    await record();
+    let cassette = JSON.parse(await fs.readFile(cassettePath, 'utf8'));
+    assert.equal(cassette.version, 1);
+    assert.equal(cassette.interactions.length, 5);
+    assert.equal(cassette.interactions[0].request.path, '/{realmId}/customer');
+    assert.equal(cassette.interactions[0].request.body.DisplayName, 'Acme');
+    assert.doesNotMatch(JSON.stringify(cassette), /mock-access-token|\/1234\//);
+  });
+
+  it('replays recorded responses without sending requests', async () => {
+    let customer = await record();
+    let requestCount = server.requests.length;
+    let qbo = createReplayClient();
+
+    let replayed = await qbo.createCustomer({ DisplayName: 'Acme', requestId: 'another-request' });
+    assert.equal(replayed.Id, customer.Id);
+    assert.equal((await qbo.getCustomer(customer.Id)).DisplayName, 'Acme');
+    await assert.rejects(qbo.getCustomer('999'), (error) => error instanceof ValidationError && error.code === '610');
+    assert.equal(server.requests.length, requestCount);
+  });
+
+  it('replays binary responses', async () => {
+    await record();
+    let qbo = createReplayClient();
+    let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+    await qbo.getCustomer(customer.Id);
+    await qbo.getCustomer('999').catch(() => {});
+    let invoice = await qbo.createInvoice({ CustomerRef: { value: customer.Id } });
+    let pdf = await qbo.getInvoicePdf(invoice.Id);
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.equal(pdf.subarray(0, 4).toString(), '%PDF');
+  });
+
+  it('throws for unmatched requests', async () => {
+    await record();
+    await assert.rejects(createReplayClient().getInvoice('1'), /no recorded interaction for GET/);
+  });
+
+  it('rejects invalid cassette options', () => {
+    assert.throws(() => createReplayClient({ cassette: { mode: 'rewind', path: cassettePath } }), /cassette.mode/);
+    assert.throws(() => createReplayClient({ cassette: { mode: 'replay' } }), /cassette.path/);
+  });
+});
@@ -0,0 +1,60 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { QuickBooksAccountingClient } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+describe('changeDataCapture', () => {
+  let qbo;
+
+  beforeEach(() => {
+    qbo = createClient();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('returns changed entities by entity name, and deleted ones', async () => {
+    let since = new Date(Date.now() - 60 * 60 * 1000);
+    let params;
+    api()
+      .get(`${COMPANY_PATH}/cdc`)
+      .query((query) => {
+        params = query;
+        return true;
+      })
+      .reply(200, {
+        CDCResponse: [
+          {
+            QueryResponse: [
+              { Customer: [{ Id: '1', DisplayName: 'Acme' }], startPosition: 1, maxResults: 1 },
+              { Invoice: [{ Id: '2', status: 'Deleted', MetaData: { LastUpdatedTime: since.toISOString() } }] },
+            ],
+          },
+        ],
+      });
+
+    let changes = await qbo.changeDataCapture('customer, INVOICE', since);
+    assert.equal(params.entities, 'Customer,Invoice');
+    assert.equal(params.changedSince, since.toISOString());
+    assert.deepEqual(changes, {
+      Customer: [{ Id: '1', DisplayName: 'Acme' }],
+      Invoice: [],
+      deleted: [{ entity: 'Invoice', Id: '2', status: 'Deleted', MetaData: { LastUpdatedTime: since.toISOString() } }],
+    });
+  });
+
+  it('rejects entities not supported by CDC', async () => {
+    assert.ok(!QuickBooksAccountingClient.CDC_ENTITIES.includes('CompanyInfo'));
+    await assert.rejects(qbo.changeDataCapture(['CompanyInfo'], new Date()), /invalid CDC entity: CompanyInfo/);
+    await assert.rejects(qbo.changeDataCapture([], new Date()), /invalid value: entities/);
+  });
+
+  it('rejects changedSince older than CDC_MAX_DAYS', async () => {
+    let changedSince = new Date(Date.now() - (QuickBooksAccountingClient.CDC_MAX_DAYS + 1) * 24 * 60 * 60 * 1000);
+    await assert.rejects(qbo.changeDataCapture(['Customer'], changedSince), /changedSince must be within/);
+    await assert.rejects(qbo.changeDataCapture(['Customer'], 'yesterday'), /invalid value: changedSince/);
+  });
+});
@@ -0,0 +1,97 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import {
+  AuthenticationError,
+  AuthorizationError,
+  DuplicateDocumentError,
+  QuickBooksError,
+  RateLimitError,
+  ServiceUnavailableError,
+  StaleObjectError,
+  ValidationError,
+} from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+/**
+ * Build QuickBooks Fault response body
+ * @param {String} code Error code
+ * @param {String} message Error message
+ * @param {String=} type Fault type
+ * @returns {Object}
+ */
+const fault = (code, message, type = 'ValidationFault') => ({
+  Fault: { Error: [{ Message: message, Detail: `${message} detail`, code, element: 'Id' }], type },
+});
+
+describe('errors', () => {
+  let qbo;
+
+  beforeEach(() => {
+    qbo = createClient();
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const interceptInvoice = (status, body, headers) =>
+    api().get(`${COMPANY_PATH}/invoice/1`).query(true).reply(status, body, headers);
+
+  it('throws ValidationError parsed from Fault response', async () => {
+    interceptInvoice(400, fault('610', 'Object Not Found'), { intuit_tid: 'tid-1' });
+    await assert.rejects(qbo.getInvoice('1'), (error) => {
+      assert.ok(error instanceof ValidationError);
+      assert.ok(error instanceof QuickBooksError);
+      assert.equal(error.message, 'Object Not Found: Object Not Found detail');
+      assert.equal(error.status, 400);
+      assert.equal(error.code, '610');
+      assert.equal(error.element, 'Id');
+      assert.equal(error.faultType, 'ValidationFault');
+      assert.equal(error.intuitTid, 'tid-1');
+      assert.equal(error.entity, 'invoice');
+      assert.equal(error.operation, 'read');
+      assert.ok(error.cause, 'original error is kept');
+      return true;
+    });
+  });
+
+  it('maps status codes and error codes to error classes', async () => {
+    let cases = [
+      [401, fault('100', 'Token expired', 'AuthenticationFault'), AuthenticationError],
+      [403, fault('003100', 'Forbidden', 'AuthorizationFault'), AuthorizationError],
+      [400, fault('5010', 'Stale Object Error'), StaleObjectError],
+      [400, fault('6140', 'Duplicate Document Number Error'), DuplicateDocumentError],
+      [503, 'Service Unavailable', ServiceUnavailableError],
+    ];
+    for (let [status, body, ErrorClass] of cases) {
+      interceptInvoice(status, body);
+      await assert.rejects(qbo.getInvoice('1'), ErrorClass);
+    }
+  });
+
+  it('reads retry-after header of RateLimitError', async () => {
+    interceptInvoice(429, fault('003001', 'ThrottleExceeded', 'SERVICE'), { 'retry-after': '2' });
+    await assert.rejects(qbo.getInvoice('1'), (error) => error instanceof RateLimitError && error.retryAfter === 2);
+  });
+
+  it('wraps network errors', async () => {
+    api().get(`${COMPANY_PATH}/invoice/1`).query(true).replyWithError('socket hang up');
+    await assert.rejects(qbo.getInvoice('1'), (error) => {
+      assert.equal(error.constructor, QuickBooksError);
+      assert.match(error.message, /socket hang up/);
+      assert.equal(error.status, undefined);
+      return true;
+    });
+  });
+
+  it('converts error back into Fault', () => {
+    let error = QuickBooksError.from({ response: { status: 400, data: fault('610', 'Object Not Found') } });
+    assert.deepEqual(error.toFault(), {
+      Error: [{ Message: 'Object Not Found', Detail: 'Object Not Found detail', code: '610', element: 'Id' }],
+      type: 'ValidationFault',
+    });
+    assert.equal(QuickBooksError.from(new Error('socket hang up')).toFault().Error[0].Message, 'socket hang up');
+  });
+});
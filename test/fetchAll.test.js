@@ -0,0 +1,112 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { QuickBooksAccountingClient } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+describe('fetchAll', () => {
+  let queries;
+  let total;
+  let countedTotal;
+  let inFlight;
+  let maxInFlight;
+
+  beforeEach(() => {
+    queries = [];
+    countedTotal = undefined;
+    inFlight = 0;
+    maxInFlight = 0;
+    api()
+      .get(`${COMPANY_PATH}/query`)
+      .query(true)
+      .times(Infinity)
+      .reply((uri, body, callback) => {
+        let query = new URL(uri, QuickBooksAccountingClient.BASE_URL_SANDBOX).searchParams.get('query');
+        queries.push(query);
+        maxInFlight = Math.max(maxInFlight, ++inFlight);
+        setTimeout(() => {
+          inFlight--;
+          callback(null, [200, getResponse(query)]);
+        }, 20);
+      });
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Reply to count and page queries of `total` customers, counting `countedTotal` of them when defined
+   * @param {String} query
+   * @returns {Object}
+   */
+  const getResponse = (query) => {
+    if (query.startsWith('select count(*)')) return { QueryResponse: { totalCount: countedTotal ?? total } };
+    let [, position, limit] = query.match(/startposition (\d+) maxresults (\d+)/).map(Number);
+    let count = Math.max(0, Math.min(limit, total - position + 1));
+    let records = Array.from({ length: count }, (value, index) => ({ Id: String(position + index) }));
+    return { QueryResponse: count ? { Customer: records, maxResults: count } : {}, time: `page ${position}` };
+  };
+
+  const getIds = (response) => response.QueryResponse.Customer.map(({ Id }) => Number(Id));
+  const range = (length) => Array.from({ length }, (value, index) => index + 1);
+
+  it('fetches every page sequentially', async () => {
+    total = 25;
+    let response = await createClient().findCustomers({ limit: 10, fetchAll: true });
+    assert.deepEqual(getIds(response), range(25));
+    assert.equal(queries.length, 3);
+    assert.equal(maxInFlight, 1);
+  });
+
+  it('fetches pages in parallel after a count query, returning records in order', async () => {
+    total = 45;
+    let response = await createClient().findCustomers({ Active: true, limit: 10, fetchAll: true, parallel: 2 });
+
+    assert.equal(queries[0], 'select count(*) from Customer where Active = true');
+    assert.deepEqual(queries.slice(1).sort(), [
+      'select * from Customer where Active = true startposition 1 maxresults 10',
+      'select * from Customer where Active = true startposition 11 maxresults 10',
+      'select * from Customer where Active = true startposition 21 maxresults 10',
+      'select * from Customer where Active = true startposition 31 maxresults 10',
+      'select * from Customer where Active = true startposition 41 maxresults 10',
+    ]);
+    assert.equal(maxInFlight, 2);
+    assert.deepEqual(getIds(response), range(45));
+    assert.equal(response.QueryResponse.startPosition, 1);
+    assert.equal(response.QueryResponse.maxResults, 45);
+    assert.equal(response.time, 'page 41');
+  });
+
+  it("uses rate limiter's maxConcurrent when parallel is true", async () => {
+    total = 50;
+    let response = await createClient({ rateLimit: { maxConcurrent: 3 } }).findCustomers({
+      limit: 5,
+      fetchAll: true,
+      parallel: true,
+    });
+    assert.equal(maxInFlight, 3);
+    assert.deepEqual(getIds(response), range(50));
+  });
+
+  it('fetches records created after the count query page by page', async () => {
+    total = 27;
+    countedTotal = 20;
+    let response = await createClient().findCustomers({ limit: 10, fetchAll: true, parallel: 5 });
+    assert.deepEqual(getIds(response), range(27));
+    assert.match(queries[queries.length - 1], /startposition 21 maxresults 10$/);
+  });
+
+  it('returns empty response when nothing matches', async () => {
+    total = 0;
+    let response = await createClient().findCustomers({ fetchAll: true, parallel: 5 });
+    assert.deepEqual(response.QueryResponse, {});
+    assert.equal(queries.length, 2);
+  });
+
+  it('rejects invalid parallel value', async () => {
+    total = 1;
+    await assert.rejects(createClient().findCustomers({ fetchAll: true, parallel: 1.5 }), /invalid value: parallel/);
+  });
+});
@@ -0,0 +1,30 @@
+import nock from 'nock';
+
+import { QuickBooksAccountingClient } from '../src/index.js';
+
+const REALM_ID = '1234';
+const COMPANY_PATH = `/v3/company/${REALM_ID}`;
+
+/**
+ * Create client sending requests to the sandbox API, to be intercepted with `api()`.
+ * Retry is disabled unless enabled by the config.
+ * @param {Object=} config Client config overriding the test defaults
+ * @returns {QuickBooksAccountingClient}
+ */
+const createClient = (config = {}) =>
+  new QuickBooksAccountingClient({
+    accessToken: 'access-token',
+    realmId: REALM_ID,
+    useSandbox: true,
+    debug: false,
+    retry: false,
+    ...config,
+  });
+
+/**
+ * Intercept requests sent to the sandbox API
+ * @returns {nock.Scope}
+ */
+const api = () => nock(QuickBooksAccountingClient.BASE_URL_SANDBOX);
+
+export { REALM_ID, COMPANY_PATH, createClient, api };
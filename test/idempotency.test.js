@@ -0,0 +1,108 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { ServiceUnavailableError } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+describe('idempotency', () => {
+  let requestIds;
+
+  beforeEach(() => {
+    requestIds = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept customer writes, recording their requestid
+   * @param {Number=} times Number of requests to intercept
+   * @param {Number=} status Response status
+   */
+  const interceptCustomer = (times = 1, status = 200) =>
+    api()
+      .post(`${COMPANY_PATH}/customer`)
+      .query((query) => {
+        requestIds.push(query.requestid);
+        return true;
+      })
+      .times(times)
+      .reply(status, status === 200 ? { Customer: { Id: '1', SyncToken: '0', DisplayName: 'Acme' } } : {});
+
+  it("doesn't send requestid unless enabled", async () => {
+    interceptCustomer();
+    let customer = await createClient().createCustomer({ DisplayName: 'Acme' });
+    assert.deepEqual(requestIds, [undefined]);
+    assert.equal(customer.requestId, undefined);
+  });
+
+  it('generates random requestid in auto mode', async () => {
+    interceptCustomer(3);
+    let qbo = createClient({ idempotency: 'auto' });
+    let first = await qbo.createCustomer({ DisplayName: 'Acme' });
+    let second = await qbo.createCustomer({ DisplayName: 'Acme' });
+    await qbo.updateCustomer({ Id: '1', SyncToken: '0', Notes: 'VIP' });
+
+    assert.ok(requestIds.every((requestId) => UUID.test(requestId)));
+    assert.equal(new Set(requestIds).size, 3);
+    assert.equal(first.requestId, requestIds[0]);
+    assert.equal(second.requestId, requestIds[1]);
+    assert.ok(!Object.keys(first).includes('requestId'), 'requestId is not serialized with the entity');
+  });
+
+  it('derives the same requestid from the same write in deterministic mode', async () => {
+    interceptCustomer(3);
+    await createClient({ idempotency: 'deterministic' }).createCustomer({ DisplayName: 'Acme' });
+    await createClient({ idempotency: 'deterministic' }).createCustomer({ DisplayName: 'Acme' });
+    await createClient({ idempotency: 'deterministic' }).createCustomer({ DisplayName: 'Globex' });
+
+    assert.equal(requestIds[0], requestIds[1]);
+    assert.notEqual(requestIds[2], requestIds[0]);
+    assert.match(requestIds[0], /^[0-9a-f]{8}-[0-9a-f]{4}-5/);
+  });
+
+  it('keeps requestId defined in the entity', async () => {
+    interceptCustomer();
+    let customer = await createClient({ idempotency: 'auto' }).createCustomer({
+      DisplayName: 'Acme',
+      requestId: 'own',
+    });
+    assert.deepEqual(requestIds, ['own']);
+    assert.equal(customer.requestId, 'own');
+  });
+
+  it("doesn't reuse requestId of a returned entity sent back", async () => {
+    interceptCustomer(2);
+    let qbo = createClient({ idempotency: 'auto' });
+    let customer = await qbo.createCustomer({ DisplayName: 'Acme' });
+    customer.Notes = 'VIP';
+    await qbo.updateCustomer(customer);
+
+    assert.notEqual(requestIds[1], requestIds[0]);
+  });
+
+  it('retries writes with the generated requestid', async () => {
+    interceptCustomer(1, 503);
+    interceptCustomer();
+    let qbo = createClient({ idempotency: 'auto', retry: { baseDelay: 1, jitter: false } });
+    await qbo.createCustomer({ DisplayName: 'Acme' });
+    assert.equal(requestIds.length, 2);
+    assert.equal(requestIds[1], requestIds[0]);
+  });
+
+  it('attaches requestid to thrown errors', async () => {
+    interceptCustomer(1, 503);
+    await assert.rejects(
+      createClient({ idempotency: 'auto' }).createCustomer({ DisplayName: 'Acme' }),
+      (error) => error instanceof ServiceUnavailableError && error.requestId === requestIds[0]
+    );
+  });
+
+  it('rejects invalid idempotency mode', () => {
+    assert.throws(() => createClient({ idempotency: 'always' }), /invalid value: idempotency/);
+  });
+});
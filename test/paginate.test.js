@@ -0,0 +1,104 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+describe('paginate', () => {
+  let queries;
+
+  beforeEach(() => {
+    queries = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept customer queries, replying with pages of given total number of records
+   * @param {Number} total Number of records matching the query
+   */
+  const interceptCustomers = (total) =>
+    api()
+      .get(`${COMPANY_PATH}/query`)
+      .query((query) => {
+        queries.push(query.query);
+        return true;
+      })
+      .times(Infinity)
+      .reply(200, () => {
+        let [, position, limit] = queries[queries.length - 1].match(/startposition (\d+) maxresults (\d+)/).map(Number);
+        let count = Math.max(0, Math.min(limit, total - position + 1));
+        let records = Array.from({ length: count }, (value, index) => ({ Id: String(position + index) }));
+        return { QueryResponse: count ? { Customer: records, startPosition: position, maxResults: count } : {} };
+      });
+
+  /**
+   * Collect every value yielded by async iterable
+   * @param {AsyncIterable} iterable
+   * @returns {Promise<Array>}
+   */
+  const collect = async (iterable) => {
+    let values = [];
+    for await (let value of iterable) values.push(value);
+    return values;
+  };
+
+  it('yields every record, fetching pages lazily', async () => {
+    interceptCustomers(5);
+    let iterator = createClient().paginate('Customer', { Active: true }, { pageSize: 2 });
+
+    assert.deepEqual((await iterator.next()).value, { Id: '1' });
+    assert.equal(queries.length, 1);
+    let records = await collect(iterator);
+    assert.deepEqual(
+      records.map(({ Id }) => Id),
+      ['2', '3', '4', '5']
+    );
+    assert.deepEqual(queries, [
+      'select * from Customer where Active = true startposition 1 maxresults 2',
+      'select * from Customer where Active = true startposition 3 maxresults 2',
+      'select * from Customer where Active = true startposition 5 maxresults 2',
+    ]);
+  });
+
+  it('stops after the page filled up to pageSize when the next one is empty', async () => {
+    interceptCustomers(4);
+    let pages = await collect(createClient().iterateCustomers(null, { pageSize: 2, pages: true }));
+    assert.deepEqual(
+      pages.map((page) => page.map(({ Id }) => Id)),
+      [
+        ['1', '2'],
+        ['3', '4'],
+      ]
+    );
+    assert.equal(queries.length, 3);
+  });
+
+  it('overrides limit and offset of query parameters and query builder', async () => {
+    interceptCustomers(1);
+    let qbo = createClient();
+    await collect(qbo.paginate('Customer', { limit: 5, offset: 10 }));
+    await collect(qbo.paginate('Customer', qbo.query('Customer').select('Id').limit(5).offset(10), { pageSize: 100 }));
+    assert.deepEqual(queries, [
+      'select * from Customer startposition 1 maxresults 1000',
+      'select Id from Customer startposition 1 maxresults 100',
+    ]);
+  });
+
+  it('streams records', async () => {
+    interceptCustomers(3);
+    let records = await collect(createClient().paginateStream('Customer', {}, { pageSize: 2 }));
+    assert.deepEqual(
+      records.map(({ Id }) => Id),
+      ['1', '2', '3']
+    );
+  });
+
+  it('rejects invalid pageSize', async () => {
+    let qbo = createClient();
+    await assert.rejects(qbo.paginate('Customer', {}, { pageSize: 1001 }).next(), /invalid value: pageSize/);
+    await assert.rejects(qbo.paginate('Customer', {}, { pageSize: 0 }).next(), /invalid value: pageSize/);
+  });
+});
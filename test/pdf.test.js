@@ -0,0 +1,86 @@
+import { strict as assert } from 'node:assert';
+import { Writable } from 'node:stream';
+
+import nock from 'nock';
+
+import { ValidationError } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const PDF = Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n1 0 obj\n<<>>\nendobj\n%%EOF', 'latin1');
+
+/**
+ * Create writable stream collecting written chunks
+ * @returns {Writable & { chunks: Buffer[] }}
+ */
+const createCollector = () => {
+  let chunks = [];
+  let writable = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    },
+  });
+  writable.chunks = chunks;
+  return writable;
+};
+
+describe('pdf', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const interceptPdf = (entityName, id) =>
+    api()
+      .get(`${COMPANY_PATH}/${entityName}/${id}/pdf`)
+      .query(true)
+      .matchHeader('accept', 'application/pdf')
+      .reply(200, PDF, { 'content-type': 'application/pdf' });
+
+  it('downloads PDF as Buffer', async () => {
+    let scope = interceptPdf('invoice', '130');
+    let pdf = await createClient().getInvoicePdf('130');
+    assert.ok(Buffer.isBuffer(pdf));
+    assert.ok(pdf.equals(PDF), 'binary content is kept intact');
+    assert.ok(scope.isDone());
+  });
+
+  it('generates methods for every entity listed in apiList', async () => {
+    let qbo = createClient();
+    for (let [entityName, method] of [
+      ['creditmemo', 'getCreditMemoPdf'],
+      ['estimate', 'getEstimatePdf'],
+      ['purchaseorder', 'getPurchaseOrderPdf'],
+      ['refundreceipt', 'getRefundReceiptPdf'],
+      ['salesreceipt', 'getSalesReceiptPdf'],
+    ]) {
+      interceptPdf(entityName, '1');
+      assert.ok((await qbo[method]('1')).equals(PDF));
+    }
+    assert.equal(qbo.getCustomerPdf, undefined);
+  });
+
+  it('streams PDF into a writable stream', async () => {
+    interceptPdf('estimate', '42');
+    let writable = createCollector();
+    await createClient().pipeEstimatePdf('42', writable);
+    assert.ok(Buffer.concat(writable.chunks).equals(PDF));
+    assert.ok(writable.writableFinished);
+  });
+
+  it('rejects invalid writable before sending request', async () => {
+    let scope = interceptPdf('invoice', '130');
+    await assert.rejects(createClient().pipeInvoicePdf('130', {}), /invalid value: writable/);
+    assert.ok(!scope.isDone());
+  });
+
+  it('throws QuickBooksError for failed downloads', async () => {
+    api()
+      .get(`${COMPANY_PATH}/invoice/999/pdf`)
+      .query(true)
+      .reply(400, { Fault: { Error: [{ Message: 'Object Not Found', code: '610' }], type: 'ValidationFault' } });
+    await assert.rejects(
+      createClient().getInvoicePdf('999'),
+      (error) => error instanceof ValidationError && error.entity === 'invoice' && error.operation === 'pdf'
+    );
+  });
+});
@@ -0,0 +1,374 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs/promises';
+
+import nock from 'nock';
+
+import { exportReport, normalizeReportParams, parseReport, toCsv, toSpreadsheetML } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const profitAndLoss = JSON.parse(await fs.readFile(new URL('./fixtures/profit-and-loss.json', import.meta.url)));
+
+/**
+ * Build GeneralLedger report of one account with one transaction per day
+ * @param {Object} params Request parameters
+ * @param {Number} maxDays Ranges longer than this are reported as truncated
+ * @returns {Object}
+ */
+const generalLedger = ({ start_date: startDate, end_date: endDate }, maxDays) => {
+  let days = (Date.parse(endDate) - Date.parse(startDate)) / (24 * 60 * 60 * 1000) + 1;
+  let rows = Array.from({ length: days }, (value, index) => ({
+    ColData: [
+      { value: new Date(Date.parse(startDate) + index * 24 * 60 * 60 * 1000).toISOString().slice(0, 10) },
+      { value: '10.00' },
+    ],
+    type: 'Data',
+  }));
+  return {
+    Header: {
+      ReportName: 'GeneralLedger',
+      StartPeriod: startDate,
+      EndPeriod: endDate,
+      Option: [
+        { Name: 'NoReportData', Value: 'false' },
+        ...(days > maxDays ? [{ Name: 'ReportTruncated', Value: 'true' }] : []),
+      ],
+    },
+    Columns: {
+      Column: [
+        { ColTitle: 'Date', ColType: 'Date', MetaData: [{ Name: 'ColKey', Value: 'tx_date' }] },
+        { ColTitle: 'Amount', ColType: 'Money', MetaData: [{ Name: 'ColKey', Value: 'subt_nat_amount' }] },
+      ],
+    },
+    Rows: {
+      Row: [
+        {
+          Header: { ColData: [{ value: 'Checking', id: '35' }, { value: '' }] },
+          Rows: { Row: rows.slice(0, Math.min(days, maxDays)) },
+          Summary: { ColData: [{ value: 'Total for Checking' }, { value: String(days * 10) }] },
+          type: 'Section',
+        },
+      ],
+    },
+  };
+};
+
+describe('reports', () => {
+  describe('normalizeReportParams', () => {
+    it('formats dates, lists and enum values', () => {
+      let params = normalizeReportParams('ProfitAndLoss', {
+        start_date: new Date(2023, 0, 1),
+        end_date: '2023-01-31',
+        customer: ['1', 2],
+        accounting_method: 'cash',
+        summarize_column_by: undefined,
+      });
+      assert.deepEqual(params, {
+        start_date: '2023-01-01',
+        end_date: '2023-01-31',
+        customer: '1,2',
+        accounting_method: 'Cash',
+      });
+    });
+
+    it('rejects invalid values', () => {
+      assert.throws(() => normalizeReportParams('ProfitAndLoss', { start_date: '2023-13-45' }), /start_date/);
+      assert.throws(() => normalizeReportParams('ProfitAndLoss', { date_macro: 'Someday' }), /date_macro/);
+      assert.throws(
+        () => normalizeReportParams('ProfitAndLoss', { start_date: '2023-02-01', end_date: '2023-01-01' }),
+        /start_date is after end_date/
+      );
+      assert.throws(() => normalizeReportParams('ProfitAndLoss', { start_date: new Date('') }), /start_date/);
+    });
+
+    it('rejects dates not existing on the calendar', () => {
+      for (let date of ['2024-02-30', '2023-02-29', '2024-04-31', '2024-00-10'])
+        assert.throws(
+          () => normalizeReportParams('ProfitAndLoss', { end_date: date }),
+          new RegExp(`invalid value for end_date: ${date}`)
+        );
+      assert.deepEqual(normalizeReportParams('ProfitAndLoss', { end_date: '2024-02-29' }), { end_date: '2024-02-29' });
+    });
+
+    it('sends parameters not listed for the report type', () => {
+      let params = normalizeReportParams('ProfitAndLoss', {
+        sort_order: 'DESCEND',
+        minorversion: 65,
+        adjusted_gain_loss: 'true',
+      });
+      assert.deepEqual(params, { sort_order: 'descend', minorversion: 65, adjusted_gain_loss: 'true' });
+    });
+
+    it('rejects likely typos', () => {
+      assert.throws(
+        () => normalizeReportParams('ProfitAndLoss', { start_dat: '2023-01-01' }),
+        /invalid ProfitAndLoss report parameter: start_dat \(did you mean start_date\?\)/
+      );
+      assert.throws(
+        () => normalizeReportParams('AgedReceivables', { Aging_Periods: 30 }),
+        /did you mean aging_period\?/
+      );
+    });
+
+    it('sends likely typos with a warning when strict is false', async () => {
+      let warning = new Promise((resolve) => process.once('warning', resolve));
+      let params = normalizeReportParams('ProfitAndLoss', { start_dat: '2023-01-01' }, { strict: false });
+      assert.deepEqual(params, { start_dat: '2023-01-01' });
+      let { code, message } = await warning;
+      assert.equal(code, 'QUICKBOOKS_REPORT_PARAMETER');
+      assert.match(message, /did you mean start_date/);
+    });
+
+    it('rejects every parameter not listed for the report type when strict is true', () => {
+      assert.throws(
+        () => normalizeReportParams('ProfitAndLoss', { adjusted_gain_loss: 'true' }, { strict: true }),
+        /invalid ProfitAndLoss report parameter: adjusted_gain_loss/
+      );
+      assert.deepEqual(normalizeReportParams('ProfitAndLoss', { minorversion: 65 }, { strict: true }), {
+        minorversion: 65,
+      });
+      assert.throws(() => normalizeReportParams('ProfitAndLoss', {}, { strict: 'yes' }), /invalid value: strict/);
+    });
+  });
+
+  describe('parseReport', () => {
+    it('flattens rows with their section path', () => {
+      let table = parseReport(profitAndLoss);
+      assert.equal(table.name, 'ProfitAndLoss');
+      assert.equal(table.header.StartPeriod, '2023-01-01');
+      assert.deepEqual(
+        table.columns.map(({ key, title, type }) => [key, title, type]),
+        [
+          ['account', '', 'Account'],
+          ['total', 'Total', 'Money'],
+        ]
+      );
+      assert.deepEqual(
+        table.rows.map(({ type, depth }) => [type, depth]),
+        [
+          ['section', 0],
+          ['data', 1],
+          ['section', 1],
+          ['data', 2],
+          ['summary', 1],
+          ['summary', 0],
+          ['summary', 0],
+        ]
+      );
+      assert.deepEqual(table.rows[3].path, ['Income', 'Landscaping Services']);
+      assert.deepEqual(table.rows[1].ids, { account: '82' });
+    });
+
+    it('parses numeric values', () => {
+      let table = parseReport(profitAndLoss);
+      assert.equal(table.rows[1].values.total, 1275);
+      assert.equal(table.rows[0].values.total, null);
+      assert.equal(table.summaries.NetIncome.total, 1264.5);
+      assert.equal(table.options.NoReportData, 'false');
+    });
+
+    it('flattens nested columns', () => {
+      let table = parseReport({
+        Header: { ReportName: 'ProfitAndLoss' },
+        Columns: {
+          Column: [
+            { ColTitle: '', ColType: 'Account' },
+            {
+              ColTitle: 'Jan 2023',
+              Columns: {
+                Column: [
+                  { ColTitle: 'Amount', ColType: 'Money' },
+                  { ColTitle: '% of Income', ColType: 'Percent' },
+                ],
+              },
+            },
+          ],
+        },
+        Rows: { Row: { ColData: [{ value: 'Sales' }, { value: '1,200.50' }, { value: '' }], type: 'Data' } },
+      });
+      assert.deepEqual(
+        table.columns.map(({ key, path }) => [key, path]),
+        [
+          ['column0', ['']],
+          ['jan2023Amount', ['Jan 2023', 'Amount']],
+          ['jan2023OfIncome', ['Jan 2023', '% of Income']],
+        ]
+      );
+      assert.deepEqual(table.rows[0].values, { column0: 'Sales', jan2023Amount: 1200.5, jan2023OfIncome: null });
+    });
+
+    it('rejects invalid report', () => {
+      assert.throws(() => parseReport({ Fault: {} }), /invalid value: report/);
+    });
+  });
+
+  describe('export', () => {
+    it('exports CSV with sections and indentation', () => {
+      let lines = toCsv(profitAndLoss).split('\r\n');
+      assert.equal(lines[0], 'Section,Row Type,account,Total');
+      assert.equal(lines[4], 'Income > Landscaping Services,data,"    Job Materials",-10.5');
+      assert.equal(toCsv(profitAndLoss, { sections: false }).split('\r\n')[0], 'account,Total');
+    });
+
+    it('escapes formulas but keeps numbers', () => {
+      let table = {
+        columns: [{ key: 'name', title: 'Name' }],
+        rows: [
+          { type: 'data', depth: 0, path: [], values: { name: '=HYPERLINK("http://example.com")' } },
+          { type: 'data', depth: 0, path: [], values: { name: '@SUM(A1)' } },
+          { type: 'data', depth: 0, path: [], values: { name: '-10.5' } },
+        ],
+      };
+      assert.equal(
+        toCsv(table, { sections: false }),
+        'Name\r\n"\'=HYPERLINK(""http://example.com"")"\r\n\'@SUM(A1)\r\n-10.5\r\n'
+      );
+    });
+
+    it('exports SpreadsheetML without XML-invalid characters', () => {
+      let table = {
+        name: 'Report',
+        columns: [{ key: 'name', title: 'Name' }],
+        rows: [{ type: 'data', depth: 0, path: [], values: { name: 'Acme\u0001 & Co' } }],
+      };
+      let xml = toSpreadsheetML(table);
+      assert.match(xml, /<Data ss:Type="String">Acme &amp; Co<\/Data>/);
+      assert.ok(!xml.includes('\u0001'));
+      assert.match(toSpreadsheetML(profitAndLoss), /<Data ss:Type="Number">1264.5<\/Data>/);
+    });
+
+    it('exports JSON Lines', () => {
+      let lines = exportReport(profitAndLoss, 'jsonl').trim().split('\n');
+      assert.equal(lines.length, 7);
+      assert.equal(JSON.parse(lines[1]).values.account, 'Design income');
+      assert.throws(() => exportReport(profitAndLoss, 'pdf'), /invalid value: format/);
+    });
+  });
+
+  describe('report* methods', () => {
+    afterEach(() => {
+      nock.cleanAll();
+    });
+
+    it('returns raw or parsed report', async () => {
+      api().get(`${COMPANY_PATH}/reports/ProfitAndLoss`).query(true).times(2).reply(200, profitAndLoss);
+      let qbo = createClient();
+      assert.deepEqual(await qbo.reportProfitAndLoss(), profitAndLoss);
+      let table = await qbo.reportProfitAndLoss({}, { format: 'table' });
+      assert.equal(table.summaries.NetIncome.total, 1264.5);
+    });
+
+    it('returns exported report', async () => {
+      api().get(`${COMPANY_PATH}/reports/ProfitAndLoss`).query(true).times(2).reply(200, profitAndLoss);
+      let qbo = createClient();
+      assert.equal(await qbo.reportProfitAndLoss({}, { format: 'csv' }), toCsv(profitAndLoss));
+      assert.equal(await qbo.reportProfitAndLoss({}, { format: 'spreadsheetml' }), toSpreadsheetML(profitAndLoss));
+    });
+
+    it('sends normalized parameters', async () => {
+      let queries = [];
+      api()
+        .get(`${COMPANY_PATH}/reports/ProfitAndLoss`)
+        .query((query) => {
+          queries.push(query);
+          return true;
+        })
+        .reply(200, profitAndLoss);
+      await createClient().reportProfitAndLoss({ start_date: new Date(2023, 0, 1), customer: ['1', '2'] });
+      assert.equal(queries[0].start_date, '2023-01-01');
+      assert.equal(queries[0].customer, '1,2');
+    });
+
+    it('rejects likely typos before sending request', async () => {
+      let scope = api().get(`${COMPANY_PATH}/reports/ProfitAndLoss`).query(true).reply(200, profitAndLoss);
+      await assert.rejects(createClient().reportProfitAndLoss({ end_dat: '2023-01-31' }), /did you mean end_date/);
+      assert.ok(!scope.isDone());
+    });
+
+    describe('chunkDays', () => {
+      let requests;
+      let inFlight;
+      let maxInFlight;
+
+      /**
+       * Intercept GeneralLedger requests, replying with reports truncated past `maxDays`
+       * @param {Number} maxDays
+       */
+      const interceptGeneralLedger = (maxDays) =>
+        api()
+          .get(`${COMPANY_PATH}/reports/GeneralLedger`)
+          .query(true)
+          .times(Infinity)
+          .reply((uri, body, callback) => {
+            let params = Object.fromEntries(new URL(uri, 'http://localhost').searchParams);
+            requests.push([params.start_date, params.end_date]);
+            maxInFlight = Math.max(maxInFlight, ++inFlight);
+            setTimeout(() => {
+              inFlight--;
+              callback(null, [200, generalLedger(params, maxDays)]);
+            }, 20);
+          });
+
+      const getDates = (report) =>
+        report.rows.filter(({ type }) => type === 'data').map(({ values }) => values.tx_date);
+
+      beforeEach(() => {
+        requests = [];
+        inFlight = 0;
+        maxInFlight = 0;
+      });
+
+      it('fetches report by date range chunks and merges them', async () => {
+        interceptGeneralLedger(31);
+        let report = await createClient().reportGeneralLedger(
+          { date_macro: 'This Fiscal Year', start_date: '2023-01-01', end_date: '2023-03-31' },
+          { chunkDays: 31, format: 'table' }
+        );
+        assert.deepEqual(requests.sort(), [
+          ['2023-01-01', '2023-01-31'],
+          ['2023-02-01', '2023-03-03'],
+          ['2023-03-04', '2023-03-31'],
+        ]);
+        let dates = getDates(report);
+        assert.equal(dates.length, 90);
+        assert.equal(dates[0], '2023-01-01');
+        assert.equal(dates[89], '2023-03-31');
+        assert.equal(report.header.StartPeriod, '2023-01-01');
+        assert.equal(report.header.EndPeriod, '2023-03-31');
+        assert.equal(report.rows.find(({ type }) => type === 'summary').values.subt_nat_amount, 900);
+      });
+
+      it('splits truncated chunks without exceeding concurrency', async () => {
+        interceptGeneralLedger(10);
+        let report = await createClient().reportGeneralLedger(
+          { start_date: '2023-01-01', end_date: '2023-02-28' },
+          { chunkDays: 30, concurrency: 2, format: 'table' }
+        );
+        let dates = getDates(report);
+        assert.equal(dates.length, 59);
+        assert.deepEqual(dates, [...dates].sort());
+        assert.equal(maxInFlight, 2);
+        assert.ok(requests.every(([startDate, endDate]) => startDate <= endDate));
+        assert.equal(report.options.ReportTruncated, undefined);
+      });
+
+      it('rejects invalid chunking', async () => {
+        let qbo = createClient();
+        let range = { start_date: '2023-01-01', end_date: '2023-01-31' };
+        await assert.rejects(qbo.reportProfitAndLoss(range, { chunkDays: 7 }), /ProfitAndLoss can't be chunked/);
+        await assert.rejects(qbo.reportGeneralLedger(range, { chunkDays: 0 }), /invalid value: chunkDays/);
+        await assert.rejects(
+          qbo.reportGeneralLedger(range, { chunkDays: 7, concurrency: 0 }),
+          /invalid value: concurrency/
+        );
+        await assert.rejects(
+          qbo.reportGeneralLedger({ date_macro: 'This Month' }, { chunkDays: 7 }),
+          /start_date and end_date not defined/
+        );
+      });
+    });
+
+    it('rejects invalid format', async () => {
+      await assert.rejects(createClient().reportProfitAndLoss({}, { format: 'xml' }), /invalid value: format/);
+    });
+  });
+});
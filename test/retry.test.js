@@ -0,0 +1,89 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { ServiceUnavailableError } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+describe('retry', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  const createRetryingClient = (retry = {}) => createClient({ retry: { baseDelay: 1, jitter: false, ...retry } });
+
+  /**
+   * Intercept customer requests, recording their query parameters
+   * @param {'get'|'post'} method
+   * @param {Number} status Response status
+   * @param {Number=} times Number of requests to intercept
+   * @param {Object=} headers Response headers
+   */
+  const interceptCustomer = (method, status, times = 1, headers = {}) =>
+    api()
+      [method](method === 'get' ? `${COMPANY_PATH}/customer/1` : `${COMPANY_PATH}/customer`)
+      .query((query) => {
+        requests.push(query);
+        return true;
+      })
+      .times(times)
+      .reply(status, status === 200 ? { Customer: { Id: '1', DisplayName: 'Acme' } } : {}, headers);
+
+  it('retries failed GET requests', async () => {
+    interceptCustomer('get', 503, 2);
+    interceptCustomer('get', 200);
+    let customer = await createRetryingClient().getCustomer('1');
+    assert.equal(customer.DisplayName, 'Acme');
+    assert.equal(requests.length, 3);
+  });
+
+  it('gives up after maxAttempts', async () => {
+    interceptCustomer('get', 503, 5);
+    await assert.rejects(createRetryingClient({ maxAttempts: 2 }).getCustomer('1'), ServiceUnavailableError);
+    assert.equal(requests.length, 2);
+  });
+
+  it("doesn't retry status codes not listed in statusCodes", async () => {
+    interceptCustomer('get', 500);
+    interceptCustomer('get', 200);
+    await assert.rejects(createRetryingClient({ statusCodes: [503] }).getCustomer('1'), ServiceUnavailableError);
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries throttled requests honoring retry-after header', async () => {
+    interceptCustomer('get', 429, 1, { 'retry-after': '0' });
+    interceptCustomer('get', 200);
+    await createRetryingClient({ baseDelay: 60 * 1000 }).getCustomer('1');
+    assert.equal(requests.length, 2);
+  });
+
+  it("doesn't retry POST requests without requestId", async () => {
+    interceptCustomer('post', 503);
+    interceptCustomer('post', 200);
+    await assert.rejects(createRetryingClient().createCustomer({ DisplayName: 'Acme' }), ServiceUnavailableError);
+    assert.equal(requests.length, 1);
+  });
+
+  it('retries POST requests carrying requestId', async () => {
+    interceptCustomer('post', 503);
+    interceptCustomer('post', 200);
+    let customer = await createRetryingClient().createCustomer({ DisplayName: 'Acme', requestId: 'request-1' });
+    assert.equal(customer.DisplayName, 'Acme');
+    assert.deepEqual(
+      requests.map(({ requestid }) => requestid),
+      ['request-1', 'request-1']
+    );
+  });
+
+  it('rejects invalid retry policy', () => {
+    assert.throws(() => createClient({ retry: 'always' }), /invalid value: retry/);
+    assert.throws(() => createClient({ retry: { maxAttempts: 0 } }), /invalid value: retry.maxAttempts/);
+    assert.throws(() => createClient({ retry: { jitter: 'no' } }), /invalid value: retry.jitter/);
+  });
+});
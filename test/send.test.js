@@ -0,0 +1,68 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+describe('send', () => {
+  let requests;
+
+  beforeEach(() => {
+    requests = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept send requests, recording their query parameters
+   * @param {String} entityName Lowercase entity name
+   * @param {String} id
+   */
+  const interceptSend = (entityName, id) =>
+    api()
+      .post(`${COMPANY_PATH}/${entityName}/${id}/send`)
+      .query((query) => {
+        requests.push(query);
+        return true;
+      })
+      .matchHeader('content-type', 'application/octet-stream')
+      .reply(200, { Invoice: { Id: id, EmailStatus: 'EmailSent' } });
+
+  it('sends invoice to given email address', async () => {
+    let scope = interceptSend('invoice', '130');
+    let invoice = await createClient().sendInvoice('130', 'customer@example.com');
+    assert.deepEqual(invoice, { Id: '130', EmailStatus: 'EmailSent' });
+    assert.equal(requests[0].sendTo, 'customer@example.com');
+    assert.ok(scope.isDone());
+  });
+
+  it('sends to the address saved in the transaction when email is not defined', async () => {
+    interceptSend('invoice', '130');
+    await createClient().sendInvoice('130');
+    assert.ok(!('sendTo' in requests[0]));
+  });
+
+  it('generates methods for every entity listed in apiList', async () => {
+    let qbo = createClient();
+    for (let [entityName, method] of [
+      ['creditmemo', 'sendCreditMemo'],
+      ['estimate', 'sendEstimate'],
+      ['purchaseorder', 'sendPurchaseOrder'],
+      ['refundreceipt', 'sendRefundReceipt'],
+      ['salesreceipt', 'sendSalesReceipt'],
+    ]) {
+      let scope = interceptSend(entityName, '1');
+      await qbo[method]('1');
+      assert.ok(scope.isDone(), method);
+    }
+    assert.equal(qbo.sendCustomer, undefined);
+  });
+
+  it('rejects invalid email before sending request', async () => {
+    let scope = interceptSend('invoice', '130');
+    await assert.rejects(createClient().sendInvoice('130', ['customer@example.com']), /invalid value: email/);
+    assert.ok(!scope.isDone());
+  });
+});
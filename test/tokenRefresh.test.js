@@ -0,0 +1,107 @@
+import { strict as assert } from 'node:assert';
+
+import nock from 'nock';
+
+import { AuthenticationError, QuickBooksAccountingClient } from '../src/index.js';
+import { COMPANY_PATH, api, createClient } from './helpers.js';
+
+const CREDENTIALS = { clientId: 'client-id', clientSecret: 'client-secret', refreshToken: 'refresh-token' };
+
+describe('token refresh', () => {
+  let refreshed;
+
+  beforeEach(() => {
+    refreshed = [];
+  });
+
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  /**
+   * Intercept token requests, replying with a new token pair
+   * @param {Number=} times Number of requests to intercept
+   * @returns {nock.Scope}
+   */
+  const interceptToken = (times = 1) => {
+    let { origin, pathname } = new URL(QuickBooksAccountingClient.TOKEN_URL);
+    return nock(origin)
+      .post(pathname, { grant_type: 'refresh_token', refresh_token: 'refresh-token' })
+      .basicAuth({ user: 'client-id', pass: 'client-secret' })
+      .times(times)
+      .reply(200, {
+        access_token: 'new-access-token',
+        refresh_token: 'new-refresh-token',
+        expires_in: 3600,
+        x_refresh_token_expires_in: 8726400,
+      });
+  };
+
+  const interceptCustomer = (token, status, times = 1) =>
+    api()
+      .get(`${COMPANY_PATH}/customer/1`)
+      .query(true)
+      .matchHeader('authorization', `Bearer ${token}`)
+      .times(times)
+      .reply(status, status === 200 ? { Customer: { Id: '1' } } : {});
+
+  const createRefreshingClient = (config = {}) =>
+    createClient({ ...CREDENTIALS, onTokenRefresh: (tokens) => refreshed.push(tokens), ...config });
+
+  it('refreshes token once for concurrent requests rejected with 401', async () => {
+    let tokenScope = interceptToken();
+    interceptCustomer('access-token', 401, 2);
+    interceptCustomer('new-access-token', 200, 2);
+    let qbo = createRefreshingClient();
+
+    let customers = await Promise.all([qbo.getCustomer('1'), qbo.getCustomer('1')]);
+    assert.deepEqual(customers, [{ Id: '1' }, { Id: '1' }]);
+    assert.ok(tokenScope.isDone());
+    assert.equal(refreshed.length, 1);
+    assert.equal(refreshed[0].accessToken, 'new-access-token');
+    assert.equal(refreshed[0].refreshToken, 'new-refresh-token');
+    assert.ok(refreshed[0].accessTokenExpiresAt > new Date());
+    assert.equal(qbo.getAccessToken(), 'new-access-token');
+    assert.equal(qbo.getRefreshToken(), 'new-refresh-token');
+  });
+
+  it('refreshes token before sending requests once it is about to expire', async () => {
+    let tokenScope = interceptToken();
+    let customerScope = interceptCustomer('new-access-token', 200, 2);
+    let qbo = createRefreshingClient({ accessTokenExpiresAt: Date.now() + 30 * 1000 });
+
+    await Promise.all([qbo.getCustomer('1'), qbo.getCustomer('1')]);
+    assert.ok(tokenScope.isDone());
+    assert.ok(customerScope.isDone());
+    assert.equal(refreshed.length, 1);
+  });
+
+  it("doesn't refresh token valid for longer than TOKEN_EXPIRY_MARGIN", async () => {
+    let tokenScope = interceptToken();
+    interceptCustomer('access-token', 200);
+    let qbo = createRefreshingClient({
+      accessTokenExpiresAt: Date.now() + QuickBooksAccountingClient.TOKEN_EXPIRY_MARGIN + 60 * 1000,
+    });
+
+    await qbo.getCustomer('1');
+    assert.ok(!tokenScope.isDone());
+  });
+
+  it('retries request only once', async () => {
+    interceptToken();
+    interceptCustomer('access-token', 401);
+    interceptCustomer('new-access-token', 401);
+    await assert.rejects(createRefreshingClient().getCustomer('1'), AuthenticationError);
+    assert.equal(refreshed.length, 1);
+  });
+
+  it("doesn't refresh token without credentials", async () => {
+    let tokenScope = interceptToken();
+    interceptCustomer('access-token', 401);
+    let qbo = createClient({ refreshToken: 'refresh-token' });
+
+    await assert.rejects(qbo.getCustomer('1'), AuthenticationError);
+    await assert.rejects(qbo.refreshAccessToken(), /clientId, clientSecret and refreshToken must be defined/);
+    assert.ok(!tokenScope.isDone());
+  });
+});
@@ -0,0 +1,116 @@
+import { strict as assert } from 'node:assert';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { FileTokenStore, MemoryTokenStore } from '../src/index.js';
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Run functions holding the lock of given realms at once, recording when each one starts and ends
+ * @param {Object[]} stores Token stores, one per function
+ * @param {String[]} realmIds Realm locked by each function
+ * @returns {Promise<String[]>} Events such as 'start 0' and 'end 0'
+ */
+const runLocked = async (stores, realmIds) => {
+  let events = [];
+  await Promise.all(
+    realmIds.map((realmId, index) =>
+      stores[index].lock(realmId, async () => {
+        events.push(`start ${index}`);
+        await sleep(20);
+        events.push(`end ${index}`);
+      })
+    )
+  );
+  return events;
+};
+
+describe('token stores', () => {
+  describe('MemoryTokenStore', () => {
+    it('gets, sets and deletes copies of token pairs', async () => {
+      let tokens = { accessToken: 'access-token', refreshToken: 'refresh-token' };
+      let store = new MemoryTokenStore({ 1234: tokens });
+      tokens.accessToken = 'changed';
+
+      assert.equal((await store.get('1234')).accessToken, 'access-token');
+      await store.set('5678', { accessToken: 'other-access-token' });
+      (await store.get('5678')).accessToken = 'changed';
+      assert.equal((await store.get('5678')).accessToken, 'other-access-token');
+      await store.delete('1234');
+      assert.equal(await store.get('1234'), null);
+    });
+
+    it('runs locked functions of the same realm one at a time', async () => {
+      let store = new MemoryTokenStore();
+      assert.deepEqual(await runLocked([store, store], ['1234', '1234']), ['start 0', 'end 0', 'start 1', 'end 1']);
+      assert.deepEqual(await runLocked([store, store], ['1234', '5678']), ['start 0', 'start 1', 'end 0', 'end 1']);
+    });
+
+    it('releases the lock when the function fails', async () => {
+      let store = new MemoryTokenStore();
+      await assert.rejects(
+        store.lock('1234', async () => {
+          throw new Error('refresh failed');
+        }),
+        /refresh failed/
+      );
+      assert.equal(await store.lock('1234', async () => 'locked again'), 'locked again');
+    });
+  });
+
+  describe('FileTokenStore', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'quickbooks-tokens-'));
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('stores token pairs as JSON files readable only by the owner', async () => {
+      let store = new FileTokenStore({ directory: path.join(directory, 'nested') });
+      assert.equal(await store.get('1234'), null);
+
+      await store.set('1234', { accessToken: 'access-token' });
+      assert.deepEqual(await new FileTokenStore({ directory: path.join(directory, 'nested') }).get('1234'), {
+        accessToken: 'access-token',
+      });
+      let stat = await fs.stat(path.join(directory, 'nested', '1234.json'));
+      assert.equal(stat.mode & 0o777, 0o600);
+
+      await store.delete('1234');
+      assert.equal(await store.get('1234'), null);
+    });
+
+    it('rejects realmId unsafe for file names', async () => {
+      let store = new FileTokenStore({ directory });
+      await assert.rejects(store.get('../1234'), /invalid value: realmId/);
+      assert.throws(() => new FileTokenStore(), /directory not defined/);
+    });
+
+    it('runs locked functions one at a time across instances', async () => {
+      let stores = [
+        new FileTokenStore({ directory, lockRetryDelay: 5 }),
+        new FileTokenStore({ directory, lockRetryDelay: 5 }),
+      ];
+      let events = await runLocked(stores, ['1234', '1234']);
+      let [first, second] = events[0] === 'start 0' ? [0, 1] : [1, 0];
+      assert.deepEqual(events, [`start ${first}`, `end ${first}`, `start ${second}`, `end ${second}`]);
+      await assert.rejects(fs.stat(path.join(directory, '1234.lock')), { code: 'ENOENT' });
+    });
+
+    it('takes over stale lock files', async () => {
+      let lockPath = path.join(directory, '1234.lock');
+      await fs.writeFile(lockPath, '');
+      let staleTime = new Date(Date.now() - 60 * 1000);
+      await fs.utimes(lockPath, staleTime, staleTime);
+
+      let store = new FileTokenStore({ directory, lockTimeout: 1000, lockRetryDelay: 5 });
+      assert.equal(await store.lock('1234', async () => 'locked'), 'locked');
+    });
+  });
+});
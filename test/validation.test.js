@@ -0,0 +1,102 @@
+import { strict as assert } from 'node:assert';
+
+import { QuickBooksMockServer } from '../src/testing/index.js';
+import { SchemaValidationError, ValidationError, validateEntity } from '../src/index.js';
+
+const LINE = { DetailType: 'SalesItemLineDetail', Amount: 100, SalesItemLineDetail: { ItemRef: { value: '1' } } };
+
+describe('validation', () => {
+  describe('validateEntity', () => {
+    it('accepts valid entity', () => {
+      assert.deepEqual(validateEntity('invoice', { CustomerRef: { value: '1' }, Line: [LINE] }), []);
+    });
+
+    it('reports every error with its field path', () => {
+      let errors = validateEntity('Invoice', { Line: [{ DetailType: 'SalesLineDetail', Amount: 100 }] });
+      assert.deepEqual(errors.map(({ element }) => element).sort(), ['CustomerRef', 'Line[0].DetailType']);
+      assert.ok(errors.some(({ message }) => message === 'CustomerRef is required'));
+    });
+
+    it('checks types, enums and string length', () => {
+      let errors = validateEntity('Customer', { DisplayName: 'x'.repeat(501), Taxable: 'yes' });
+      assert.deepEqual(errors.map(({ element }) => element).sort(), ['DisplayName', 'Taxable']);
+      assert.match(
+        validateEntity('Account', { Name: 'Bank', AccountType: 'Piggy' })[0].message,
+        /AccountType must be one of/
+      );
+    });
+
+    it('skips required fields of partial entities', () => {
+      assert.deepEqual(
+        validateEntity('Invoice', { Id: '1', SyncToken: '0', PrivateNote: 'Note' }, { partial: true }),
+        []
+      );
+    });
+
+    it('accepts entities without schema', () => {
+      assert.deepEqual(validateEntity('Unknown', 'anything'), []);
+      assert.equal(validateEntity('Invoice', 'invoice')[0].message, 'entity must be object');
+    });
+  });
+
+  describe('client', () => {
+    let server;
+    let qbo;
+
+    before(async () => {
+      server = new QuickBooksMockServer();
+      await server.start();
+    });
+
+    after(async () => {
+      await server.stop();
+    });
+
+    beforeEach(() => {
+      server.reset();
+      qbo = server.createClient({ retry: false, validate: true });
+    });
+
+    it('rejects invalid create before sending it', async () => {
+      await assert.rejects(qbo.createInvoice({ Line: [LINE] }), (error) => {
+        assert.ok(error instanceof SchemaValidationError);
+        assert.ok(error instanceof ValidationError);
+        assert.equal(error.entity, 'invoice');
+        assert.equal(error.operation, 'create');
+        assert.deepEqual(
+          error.errors.map(({ element }) => element),
+          ['CustomerRef']
+        );
+        return true;
+      });
+      assert.equal(server.requests.length, 0);
+    });
+
+    it('only checks fields carried by sparse update', async () => {
+      let invoice = await qbo.createInvoice({ CustomerRef: { value: '1' }, Line: [LINE] });
+      let updated = await qbo.updateInvoice({ Id: invoice.Id, SyncToken: invoice.SyncToken, PrivateNote: 'Note' });
+      assert.equal(updated.PrivateNote, 'Note');
+      await assert.rejects(
+        qbo.updateInvoice({ Id: invoice.Id, SyncToken: updated.SyncToken, CustomerRef: 'Acme' }),
+        SchemaValidationError
+      );
+    });
+
+    it('validates batch operations', async () => {
+      await assert.rejects(
+        qbo.batch([{ operation: 'create', entity: 'customer', data: { DisplayName: 5 } }]),
+        SchemaValidationError
+      );
+      assert.equal(server.requests.length, 0);
+    });
+
+    it("doesn't validate unless enabled", async () => {
+      let invoice = await server.createClient({ retry: false }).createInvoice({ Line: [] });
+      assert.ok(invoice.Id);
+    });
+
+    it('rejects invalid validate option', () => {
+      assert.throws(() => server.createClient({ validate: 'yes' }), /invalid value: validate/);
+    });
+  });
+});
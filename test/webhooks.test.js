@@ -0,0 +1,319 @@
+import { strict as assert } from 'node:assert';
+import crypto from 'node:crypto';
+import http from 'node:http';
+
+import nock from 'nock';
+
+import { MemoryTokenStore, QuickBooksWebhookSync, QuickBooksWebhooks, WebhookSignatureError } from '../src/index.js';
+import { COMPANY_PATH, REALM_ID, api, createClient } from './helpers.js';
+
+const VERIFIER_TOKEN = 'verifier-token';
+
+/**
+ * Sign webhook body like Intuit does in `intuit-signature` header
+ * @param {String} body
+ * @param {String=} token Verifier token
+ * @returns {String}
+ */
+const sign = (body, token = VERIFIER_TOKEN) => crypto.createHmac('sha256', token).update(body).digest('base64');
+
+/**
+ * Build webhook payload of a single realm
+ * @param {Object[]} entities `dataChangeEvent.entities`
+ * @param {String=} realmId
+ * @returns {String}
+ */
+const payload = (entities, realmId = REALM_ID) =>
+  JSON.stringify({ eventNotifications: [{ realmId, dataChangeEvent: { entities } }] });
+
+/**
+ * Build CDC changes of one entity, last updated one second apart from given time
+ * @param {Number} count
+ * @param {Date} from Time of the first change
+ * @param {Number=} firstId
+ * @returns {Object[]}
+ */
+const changesSince = (count, from, firstId = 1) =>
+  Array.from({ length: count }, (value, index) => {
+    let time = new Date(from.getTime() + index * 1000).toISOString();
+    return { Id: String(firstId + index), MetaData: { CreateTime: time, LastUpdatedTime: time } };
+  });
+
+describe('QuickBooksWebhooks', () => {
+  afterEach(() => {
+    nock.cleanAll();
+  });
+
+  it('verifies intuit-signature header', () => {
+    let webhooks = new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN });
+    let body = payload([]);
+    assert.equal(webhooks.verify(body, sign(body)), true);
+    assert.equal(webhooks.verify(Buffer.from(body), sign(body)), true);
+    assert.equal(webhooks.verify(body, sign(body, 'other-token')), false);
+    assert.equal(webhooks.verify(`${body} `, sign(body)), false);
+    assert.equal(webhooks.verify(body, 'c2hvcnQ='), false);
+    assert.equal(webhooks.verify(body, undefined), false);
+  });
+
+  it('parses events', () => {
+    let webhooks = new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN });
+    let events = webhooks.parse(
+      payload([
+        { name: 'Customer', id: 1, operation: 'Merge', lastUpdated: '2023-01-01T00:00:00.000Z', deletedId: 2 },
+        { name: 'Invoice', id: '9', operation: 'Create', lastUpdated: '2023-01-01T00:00:00.000Z' },
+      ])
+    );
+    assert.deepEqual(events, [
+      {
+        realmId: REALM_ID,
+        entity: 'Customer',
+        id: '1',
+        operation: 'Merge',
+        lastUpdated: '2023-01-01T00:00:00.000Z',
+        deletedId: '2',
+      },
+      { realmId: REALM_ID, entity: 'Invoice', id: '9', operation: 'Create', lastUpdated: '2023-01-01T00:00:00.000Z' },
+    ]);
+    assert.throws(() => webhooks.parse('not json'), /invalid webhook payload/);
+    assert.throws(() => webhooks.parse({ eventNotifications: null }), /invalid webhook payload/);
+  });
+
+  it('handles signed requests, hydrating events in order', async () => {
+    api()
+      .get(`${COMPANY_PATH}/customer/1`)
+      .query(true)
+      .reply(200, { Customer: { Id: '1', DisplayName: 'Acme' } });
+    let received = [];
+    let webhooks = new QuickBooksWebhooks({
+      verifierToken: VERIFIER_TOKEN,
+      client: createClient(),
+      hydrate: true,
+      onEvent: (event) => received.push(event),
+    });
+    let body = payload([
+      { name: 'Customer', id: '1', operation: 'Update', lastUpdated: '2023-01-01T00:00:00.000Z' },
+      { name: 'Invoice', id: '9', operation: 'Delete', lastUpdated: '2023-01-01T00:00:00.000Z' },
+    ]);
+
+    let handled = await webhooks.handle(body, sign(body));
+    assert.deepEqual(handled, received);
+    assert.deepEqual(
+      received.map(({ entity, data }) => [entity, data]),
+      [
+        ['Customer', { Id: '1', DisplayName: 'Acme' }],
+        ['Invoice', null],
+      ]
+    );
+  });
+
+  it('rejects requests with invalid signature', async () => {
+    let webhooks = new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN, onEvent: () => assert.fail() });
+    await assert.rejects(webhooks.handle(payload([]), sign('other body')), WebhookSignatureError);
+  });
+
+  it('rejects invalid config', () => {
+    assert.throws(() => new QuickBooksWebhooks(), /verifierToken not defined/);
+    assert.throws(() => new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN, hydrate: true }), /client or pool/);
+    assert.throws(() => new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN, onEvent: 1 }), /onEvent/);
+  });
+
+  describe('adapters', () => {
+    let body = payload([{ name: 'Invoice', id: '9', operation: 'Create', lastUpdated: '2023-01-01T00:00:00.000Z' }]);
+
+    /**
+     * Send request to `node:http` server listening with given request listener
+     * @param {Function} listener
+     * @param {String} signature
+     * @returns {Promise<Number>} Response status
+     */
+    const sendRequest = async (listener, signature) => {
+      let server = http.createServer(listener);
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      try {
+        return await new Promise((resolve, reject) => {
+          let req = http.request(
+            {
+              host: '127.0.0.1',
+              port: server.address().port,
+              method: 'POST',
+              headers: { 'content-type': 'application/json', [QuickBooksWebhooks.SIGNATURE_HEADER]: signature },
+            },
+            (res) => {
+              res.resume();
+              resolve(res.statusCode);
+            }
+          );
+          req.on('error', reject);
+          req.end(body);
+        });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    };
+
+    it('responds to node:http requests', async () => {
+      let received = [];
+      let errors = [];
+      let webhooks = new QuickBooksWebhooks({
+        verifierToken: VERIFIER_TOKEN,
+        onEvent: (event) => received.push(event),
+      });
+      assert.equal(await sendRequest(webhooks.http(), sign(body)), 200);
+      assert.equal(await sendRequest(webhooks.http(), sign('other body')), 401);
+      assert.equal(received.length, 1);
+
+      let failing = new QuickBooksWebhooks({
+        verifierToken: VERIFIER_TOKEN,
+        onEvent: () => {
+          throw new Error('database unavailable');
+        },
+      });
+      assert.equal(
+        await sendRequest(
+          failing.http((error) => errors.push(error)),
+          sign(body)
+        ),
+        500
+      );
+      assert.match(errors[0].message, /database unavailable/);
+    });
+
+    it('responds through Express middleware', async () => {
+      let webhooks = new QuickBooksWebhooks({ verifierToken: VERIFIER_TOKEN });
+      let respond = async (signature) => {
+        let status = null;
+        let req = { body: Buffer.from(body), get: (name) => (name === 'intuit-signature' ? signature : undefined) };
+        let res = { sendStatus: (code) => (status = code) };
+        await webhooks.express()(req, res, (error) => assert.fail(error));
+        return status;
+      };
+      assert.equal(await respond(sign(body)), 200);
+      assert.equal(await respond(sign('other body')), 401);
+    });
+  });
+
+  describe('QuickBooksWebhookSync', () => {
+    let store;
+    let events;
+    let requests;
+    let sync;
+
+    beforeEach(() => {
+      store = new MemoryTokenStore();
+      events = [];
+      requests = [];
+      sync = new QuickBooksWebhookSync({
+        store,
+        client: createClient(),
+        entities: ['Customer', 'Invoice'],
+        onEvent: (event) => events.push(event),
+      });
+    });
+
+    /**
+     * Intercept CDC requests, replying with changes returned by given function of the requested time
+     * @param {Function} getChanges Function receiving changedSince Date and returning `{ Customer, Invoice }` records
+     */
+    const interceptCdc = (getChanges) =>
+      api()
+        .get(`${COMPANY_PATH}/cdc`)
+        .query((query) => {
+          requests.push(query.changedSince);
+          return true;
+        })
+        .times(Infinity)
+        .reply(200, () => {
+          let { Customer = [], Invoice = [] } = getChanges(new Date(requests[requests.length - 1]));
+          return { CDCResponse: [{ QueryResponse: [{ Customer }, { Invoice }] }] };
+        });
+
+    it('saves checkpoint on first catch up', async () => {
+      assert.deepEqual(await sync.catchUp(REALM_ID), []);
+      assert.ok((await store.get(REALM_ID)).lastUpdated);
+      assert.equal(requests.length, 0);
+    });
+
+    it('replays changes since checkpoint minus lookback, in order', async () => {
+      let lastUpdated = new Date(Date.now() - 60 * 1000);
+      await store.set(REALM_ID, { lastUpdated: lastUpdated.toISOString() });
+      let [customer] = changesSince(1, new Date(Date.now() - 30 * 1000));
+      let [invoice] = changesSince(1, new Date(Date.now() - 40 * 1000), 9);
+      interceptCdc(() => ({ Customer: [customer], Invoice: [{ ...invoice, status: 'Deleted' }] }));
+
+      let replayed = await sync.catchUp(REALM_ID);
+      assert.deepEqual(requests, [new Date(lastUpdated.getTime() - 5 * 60 * 1000).toISOString()]);
+      assert.deepEqual(
+        replayed.map(({ entity, id, operation }) => [entity, id, operation]),
+        [
+          ['Invoice', '9', 'Delete'],
+          ['Customer', '1', 'Create'],
+        ]
+      );
+      assert.deepEqual(events, replayed);
+      assert.ok(Date.parse((await store.get(REALM_ID)).lastUpdated) > Date.now() - 1000);
+    });
+
+    it("doesn't move the checkpoint on webhook events", async () => {
+      let lastUpdated = new Date(Date.now() - 60 * 1000).toISOString();
+      await store.set(REALM_ID, { lastUpdated });
+      let [dropped, received] = changesSince(2, new Date(Date.now() - 30 * 1000));
+      interceptCdc(() => ({ Customer: [dropped, received] }));
+
+      await sync.onEvent({
+        realmId: REALM_ID,
+        entity: 'Customer',
+        id: received.Id,
+        operation: 'Create',
+        lastUpdated: received.MetaData.LastUpdatedTime,
+      });
+      assert.equal((await store.get(REALM_ID)).lastUpdated, lastUpdated);
+
+      let replayed = await sync.catchUp(REALM_ID);
+      assert.deepEqual(
+        replayed.map(({ id }) => id),
+        [dropped.Id],
+        'event already received is deduplicated'
+      );
+    });
+
+    it('calls CDC again from the latest change of an entity reaching CDC_MAX_RESULTS', async () => {
+      let lastUpdated = new Date(Date.now() - 2 * 60 * 60 * 1000);
+      await store.set(REALM_ID, { lastUpdated: lastUpdated.toISOString() });
+      let customers = changesSince(1500, new Date(lastUpdated.getTime() - 60 * 1000));
+      let pageEnd = Date.parse(customers[999].MetaData.LastUpdatedTime);
+      let invoices = [
+        ...changesSince(1, new Date(pageEnd - 1000), 9001),
+        ...changesSince(1, new Date(pageEnd + 1000), 9002),
+      ];
+      interceptCdc((since) => {
+        let changed = (record) => Date.parse(record.MetaData.LastUpdatedTime) >= since.getTime();
+        return { Customer: customers.filter(changed).slice(0, 1000), Invoice: invoices.filter(changed) };
+      });
+
+      let replayed = await sync.catchUp(REALM_ID);
+      assert.equal(requests.length, 2);
+      assert.equal(Date.parse(requests[1]), pageEnd);
+      assert.equal(replayed.length, 1502, 'changes returned by both requests are replayed once');
+      assert.deepEqual(
+        replayed.filter(({ entity }) => entity === 'Invoice').map(({ id }) => id),
+        ['9001', '9002']
+      );
+      let times = replayed.map(({ lastUpdated }) => Date.parse(lastUpdated));
+      assert.deepEqual(
+        times,
+        [...times].sort((a, b) => a - b)
+      );
+    });
+
+    it('fails when more than CDC_MAX_RESULTS changes share the same time', async () => {
+      await store.set(REALM_ID, { lastUpdated: new Date(Date.now() - 60 * 1000).toISOString() });
+      let [{ MetaData }] = changesSince(1, new Date(Date.now() - 30 * 1000));
+      let customers = changesSince(1000, new Date()).map(({ Id }) => ({ Id, MetaData }));
+      interceptCdc(() => ({ Customer: customers }));
+
+      await assert.rejects(sync.catchUp(REALM_ID), /more than 1000 changes at/);
+      assert.equal(requests.length, 2);
+      assert.equal((await store.get(REALM_ID)).lastUpdated, MetaData.LastUpdatedTime, 'checkpoint stops at that time');
+    });
+  });
+});
@@ -0,0 +1,2519 @@
+/* Generated by generator/index.js from apiList.json and schemas.json, do not edit */
+
+import type {
+  DeleteResponse,
+  PaginateOptions,
+  QueryParameters,
+  QueryResponse,
+  QuickBooksObject,
+  Report,
+  ReportExportFormat,
+  ReportOptions,
+  ReportParamList,
+  ReportTable,
+  WriteResponse,
+} from './index.js';
+
+export type DateMacro =
+  | 'Today'
+  | 'Yesterday'
+  | 'This Week'
+  | 'Last Week'
+  | 'This Week-to-date'
+  | 'Last Week-to-date'
+  | 'Next Week'
+  | 'Next 4 Weeks'
+  | 'This Month'
+  | 'Last Month'
+  | 'This Month-to-date'
+  | 'Last Month-to-date'
+  | 'Next Month'
+  | 'This Fiscal Quarter'
+  | 'Last Fiscal Quarter'
+  | 'This Fiscal Quarter-to-date'
+  | 'Last Fiscal Quarter-to-date'
+  | 'Next Fiscal Quarter'
+  | 'This Fiscal Year'
+  | 'Last Fiscal Year'
+  | 'This Fiscal Year-to-date'
+  | 'Last Fiscal Year-to-date'
+  | 'Next Fiscal Year';
+
+/** Reference to another entity, identified by its Id in `value` */
+export interface ReferenceType {
+  value: string;
+  name?: string;
+  type?: string;
+}
+
+/** Entity creation and last update time */
+export interface MetaData {
+  CreateTime?: string;
+  LastUpdatedTime?: string;
+  LastModifiedByRef?: ReferenceType;
+}
+
+export interface PhysicalAddress {
+  Id?: string;
+  Line1?: string;
+  Line2?: string;
+  Line3?: string;
+  Line4?: string;
+  Line5?: string;
+  City?: string;
+  Country?: string;
+  CountrySubDivisionCode?: string;
+  PostalCode?: string;
+  Lat?: string;
+  Long?: string;
+}
+
+export interface EmailAddress {
+  Address?: string;
+}
+
+export interface WebSiteAddress {
+  URI?: string;
+}
+
+export interface TelephoneNumber {
+  FreeFormNumber?: string;
+}
+
+export interface MemoRef {
+  value?: string;
+}
+
+export interface CustomField {
+  DefinitionId: string;
+  Name?: string;
+  Type?: 'StringType' | 'BooleanType' | 'NumberType' | 'DateType';
+  StringValue?: string;
+}
+
+export interface LinkedTxn {
+  TxnId?: string;
+  TxnType?: string;
+  TxnLineId?: string;
+}
+
+export interface MarkupInfo {
+  PercentBased?: boolean;
+  Value?: number;
+  Percent?: number;
+  PriceLevelRef?: ReferenceType;
+  MarkUpIncomeAccountRef?: ReferenceType;
+}
+
+export interface TxnTaxDetail {
+  TxnTaxCodeRef?: ReferenceType;
+  TotalTax?: number;
+  TaxLine?: Array<TaxLine>;
+}
+
+export interface DeliveryInfo {
+  DeliveryType?: string;
+  DeliveryTime?: string;
+}
+
+export interface CheckPayment {
+  BankAccountRef?: ReferenceType;
+  PrintStatus?: PrintStatus;
+  PayeeAddr?: PhysicalAddress;
+}
+
+export interface CreditCardPayment {
+  CCAccountRef?: ReferenceType;
+}
+
+export type BillableStatus = 'Billable' | 'NotBillable' | 'HasBeenBilled';
+
+export type PrintStatus = 'NotSet' | 'NeedToPrint' | 'PrintComplete';
+
+export type EmailStatus = 'NotSet' | 'NeedToSend' | 'EmailSent';
+
+export type GlobalTaxCalculation = 'TaxExcluded' | 'TaxInclusive' | 'NotApplicable';
+
+/** Properties shared by every transaction line */
+export interface LineBase {
+  Id?: string;
+  LineNum?: number;
+  Description?: string;
+  Amount?: number;
+  LinkedTxn?: Array<LinkedTxn>;
+}
+
+export interface SalesItemLine extends LineBase {
+  DetailType: 'SalesItemLineDetail';
+  SalesItemLineDetail?: {
+    ItemRef?: ReferenceType;
+    ClassRef?: ReferenceType;
+    TaxCodeRef?: ReferenceType;
+    UnitPrice?: number;
+    Qty?: number;
+    ServiceDate?: string;
+    DiscountRate?: number;
+    DiscountAmt?: number;
+    ItemAccountRef?: ReferenceType;
+    TaxInclusiveAmt?: number;
+    MarkupInfo?: MarkupInfo;
+  };
+}
+
+export interface GroupLine extends LineBase {
+  DetailType: 'GroupLineDetail';
+  GroupLineDetail: { GroupItemRef: ReferenceType; Quantity?: number; Line?: Array<SalesItemLine> };
+}
+
+export interface DescriptionOnlyLine extends LineBase {
+  DetailType: 'DescriptionOnly';
+  DescriptionLineDetail?: { ServiceDate?: string; TaxCodeRef?: ReferenceType };
+}
+
+export interface DiscountLine extends LineBase {
+  DetailType: 'DiscountLineDetail';
+  DiscountLineDetail?: {
+    DiscountAccountRef?: ReferenceType;
+    PercentBased?: boolean;
+    DiscountPercent?: number;
+    ClassRef?: ReferenceType;
+    TaxCodeRef?: ReferenceType;
+  };
+}
+
+export interface SubTotalLine extends LineBase {
+  DetailType: 'SubTotalLineDetail';
+  SubTotalLineDetail?: { ItemRef?: ReferenceType };
+}
+
+export interface AccountBasedExpenseLine extends LineBase {
+  DetailType: 'AccountBasedExpenseLineDetail';
+  AccountBasedExpenseLineDetail: {
+    AccountRef: ReferenceType;
+    CustomerRef?: ReferenceType;
+    ClassRef?: ReferenceType;
+    TaxCodeRef?: ReferenceType;
+    BillableStatus?: BillableStatus;
+    TaxAmount?: number;
+    TaxInclusiveAmt?: number;
+    MarkupInfo?: MarkupInfo;
+  };
+}
+
+export interface ItemBasedExpenseLine extends LineBase {
+  DetailType: 'ItemBasedExpenseLineDetail';
+  ItemBasedExpenseLineDetail: {
+    ItemRef: ReferenceType;
+    CustomerRef?: ReferenceType;
+    ClassRef?: ReferenceType;
+    TaxCodeRef?: ReferenceType;
+    BillableStatus?: BillableStatus;
+    UnitPrice?: number;
+    Qty?: number;
+    PriceLevelRef?: ReferenceType;
+    TaxInclusiveAmt?: number;
+    MarkupInfo?: MarkupInfo;
+  };
+}
+
+export interface JournalEntryLine extends LineBase {
+  DetailType: 'JournalEntryLineDetail';
+  JournalEntryLineDetail: {
+    PostingType: 'Debit' | 'Credit';
+    AccountRef: ReferenceType;
+    Entity?: { Type?: 'Customer' | 'Vendor' | 'Employee'; EntityRef?: ReferenceType };
+    ClassRef?: ReferenceType;
+    DepartmentRef?: ReferenceType;
+    TaxCodeRef?: ReferenceType;
+    TaxApplicableOn?: 'Sales' | 'Purchase';
+    TaxAmount?: number;
+    BillableStatus?: BillableStatus;
+  };
+}
+
+export interface DepositLine extends LineBase {
+  DetailType: 'DepositLineDetail';
+  DepositLineDetail?: {
+    Entity?: ReferenceType;
+    ClassRef?: ReferenceType;
+    AccountRef?: ReferenceType;
+    PaymentMethodRef?: ReferenceType;
+    CheckNum?: string;
+    TxnType?: string;
+  };
+}
+
+export interface TaxLine extends LineBase {
+  DetailType: 'TaxLineDetail';
+  TaxLineDetail: {
+    TaxRateRef: ReferenceType;
+    NetAmountTaxable?: number;
+    PercentBased?: boolean;
+    TaxPercent?: number;
+    TaxInclusiveAmount?: number;
+    OverrideDeltaAmount?: number;
+  };
+}
+
+/** Payment line, linking the paid transactions */
+export interface PaymentLine extends LineBase {}
+
+/** Line of sales transactions */
+export type SalesLine = SalesItemLine | GroupLine | DescriptionOnlyLine | DiscountLine | SubTotalLine;
+
+/** Line of purchase transactions */
+export type PurchaseLine = AccountBasedExpenseLine | ItemBasedExpenseLine;
+
+/** Properties shared by every entity */
+export interface EntityBase {
+  Id?: string;
+  SyncToken?: string;
+  domain?: string;
+  sparse?: boolean;
+  MetaData?: MetaData;
+}
+
+/** Properties shared by every transaction */
+export interface TransactionBase {
+  DocNumber?: string;
+  TxnDate?: string;
+  PrivateNote?: string;
+  CurrencyRef?: ReferenceType;
+  ExchangeRate?: number;
+  DepartmentRef?: ReferenceType;
+  LinkedTxn?: Array<LinkedTxn>;
+  TxnTaxDetail?: TxnTaxDetail;
+  TransactionLocationType?: string;
+  GlobalTaxCalculation?: GlobalTaxCalculation;
+  HomeTotalAmt?: number;
+}
+
+/** Properties shared by sales transactions */
+export interface SalesTransactionBase {
+  CustomerRef?: ReferenceType;
+  Line?: Array<SalesLine>;
+  BillAddr?: PhysicalAddress;
+  ShipAddr?: PhysicalAddress;
+  ShipFromAddr?: PhysicalAddress;
+  BillEmail?: EmailAddress;
+  CustomerMemo?: MemoRef;
+  ClassRef?: ReferenceType;
+  SalesTermRef?: ReferenceType;
+  TotalAmt?: number;
+  ApplyTaxAfterDiscount?: boolean;
+  PrintStatus?: PrintStatus;
+  EmailStatus?: EmailStatus;
+  CustomField?: Array<CustomField>;
+  ShipMethodRef?: ReferenceType;
+  ShipDate?: string;
+  TrackingNum?: string;
+  DeliveryInfo?: DeliveryInfo;
+}
+
+export interface Account extends EntityBase {
+  Name?: string;
+  AcctNum?: string;
+  Description?: string;
+  Active?: boolean;
+  SubAccount?: boolean;
+  ParentRef?: ReferenceType;
+  FullyQualifiedName?: string;
+  Classification?: 'Asset' | 'Equity' | 'Expense' | 'Liability' | 'Revenue';
+  AccountType?:
+    | 'Bank'
+    | 'Other Current Asset'
+    | 'Fixed Asset'
+    | 'Other Asset'
+    | 'Accounts Receivable'
+    | 'Equity'
+    | 'Expense'
+    | 'Other Expense'
+    | 'Cost of Goods Sold'
+    | 'Accounts Payable'
+    | 'Credit Card'
+    | 'Long Term Liability'
+    | 'Other Current Liability'
+    | 'Income'
+    | 'Other Income';
+  AccountSubType?: string;
+  CurrentBalance?: number;
+  CurrentBalanceWithSubAccounts?: number;
+  CurrencyRef?: ReferenceType;
+  TaxCodeRef?: ReferenceType;
+}
+
+export interface Attachable extends EntityBase {
+  FileName?: string;
+  Note?: string;
+  Category?: string;
+  ContentType?: string;
+  Size?: number;
+  TempDownloadUri?: string;
+  FileAccessUri?: string;
+  ThumbnailFileAccessUri?: string;
+  AttachableRef?: Array<{ EntityRef?: ReferenceType; IncludeOnSend?: boolean; LineInfo?: string }>;
+  Lat?: string;
+  Long?: string;
+  PlaceName?: string;
+  Tag?: string;
+}
+
+export interface Bill extends EntityBase, TransactionBase {
+  VendorRef?: ReferenceType;
+  APAccountRef?: ReferenceType;
+  Line?: Array<PurchaseLine>;
+  SalesTermRef?: ReferenceType;
+  DueDate?: string;
+  TotalAmt?: number;
+  Balance?: number;
+  HomeBalance?: number;
+}
+
+export interface BillPayment extends EntityBase, TransactionBase {
+  VendorRef?: ReferenceType;
+  PayType?: 'Check' | 'CreditCard';
+  CheckPayment?: CheckPayment;
+  CreditCardPayment?: CreditCardPayment;
+  Line?: Array<PaymentLine>;
+  TotalAmt?: number;
+  APAccountRef?: ReferenceType;
+}
+
+export interface Budget extends EntityBase {
+  Name?: string;
+  StartDate?: string;
+  EndDate?: string;
+  BudgetType?: string;
+  BudgetEntryType?: string;
+  Active?: boolean;
+  BudgetDetail?: Array<{
+    BudgetDate?: string;
+    Amount?: number;
+    AccountRef?: ReferenceType;
+    CustomerRef?: ReferenceType;
+    ClassRef?: ReferenceType;
+    DepartmentRef?: ReferenceType;
+  }>;
+}
+
+export interface Class extends EntityBase {
+  Name?: string;
+  SubClass?: boolean;
+  ParentRef?: ReferenceType;
+  FullyQualifiedName?: string;
+  Active?: boolean;
+}
+
+export interface CompanyInfo extends EntityBase {
+  CompanyName?: string;
+  LegalName?: string;
+  CompanyAddr?: PhysicalAddress;
+  CustomerCommunicationAddr?: PhysicalAddress;
+  LegalAddr?: PhysicalAddress;
+  PrimaryPhone?: TelephoneNumber;
+  Email?: EmailAddress;
+  WebAddr?: WebSiteAddress;
+  CompanyStartDate?: string;
+  FiscalYearStartMonth?: string;
+  Country?: string;
+  SupportedLanguages?: string;
+  NameValue?: Array<{ Name?: string; Value?: string }>;
+}
+
+export interface CreditMemo extends EntityBase, TransactionBase, SalesTransactionBase {
+  Balance?: number;
+  RemainingCredit?: number;
+}
+
+export interface Customer extends EntityBase {
+  DisplayName?: string;
+  Title?: string;
+  GivenName?: string;
+  MiddleName?: string;
+  FamilyName?: string;
+  Suffix?: string;
+  PrintOnCheckName?: string;
+  Active?: boolean;
+  PrimaryPhone?: TelephoneNumber;
+  Mobile?: TelephoneNumber;
+  PrimaryEmailAddr?: EmailAddress;
+  FullyQualifiedName?: string;
+  CompanyName?: string;
+  AlternatePhone?: TelephoneNumber;
+  Fax?: TelephoneNumber;
+  WebAddr?: WebSiteAddress;
+  BillAddr?: PhysicalAddress;
+  ShipAddr?: PhysicalAddress;
+  Notes?: string;
+  Job?: boolean;
+  BillWithParent?: boolean;
+  ParentRef?: ReferenceType;
+  Level?: number;
+  SalesTermRef?: ReferenceType;
+  PaymentMethodRef?: ReferenceType;
+  Balance?: number;
+  OpenBalanceDate?: string;
+  BalanceWithJobs?: number;
+  CurrencyRef?: ReferenceType;
+  PreferredDeliveryMethod?: string;
+  ResaleNum?: string;
+  Taxable?: boolean;
+  DefaultTaxCodeRef?: ReferenceType;
+  TaxExemptionReasonId?: string;
+  CustomerTypeRef?: ReferenceType;
+}
+
+export interface Department extends EntityBase {
+  Name?: string;
+  SubDepartment?: boolean;
+  ParentRef?: ReferenceType;
+  FullyQualifiedName?: string;
+  Active?: boolean;
+}
+
+export interface Deposit extends EntityBase, TransactionBase {
+  DepositToAccountRef?: ReferenceType;
+  Line?: Array<DepositLine>;
+  CashBack?: { AccountRef?: ReferenceType; Amount?: number; Memo?: string };
+  TotalAmt?: number;
+}
+
+export interface Employee extends EntityBase {
+  DisplayName?: string;
+  Title?: string;
+  GivenName?: string;
+  MiddleName?: string;
+  FamilyName?: string;
+  Suffix?: string;
+  PrintOnCheckName?: string;
+  Active?: boolean;
+  PrimaryPhone?: TelephoneNumber;
+  Mobile?: TelephoneNumber;
+  PrimaryEmailAddr?: EmailAddress;
+  PrimaryAddr?: PhysicalAddress;
+  EmployeeNumber?: string;
+  SSN?: string;
+  Gender?: 'Male' | 'Female';
+  HiredDate?: string;
+  ReleasedDate?: string;
+  BirthDate?: string;
+  BillableTime?: boolean;
+  BillRate?: number;
+  CostRate?: number;
+  Organization?: boolean;
+}
+
+export interface Estimate extends EntityBase, TransactionBase, SalesTransactionBase {
+  ExpirationDate?: string;
+  AcceptedBy?: string;
+  AcceptedDate?: string;
+  TxnStatus?: 'Accepted' | 'Closed' | 'Pending' | 'Rejected';
+}
+
+export interface ExchangeRate extends EntityBase {
+  SourceCurrencyCode?: string;
+  TargetCurrencyCode?: string;
+  Rate?: number;
+  AsOfDate?: string;
+}
+
+export interface Invoice extends EntityBase, TransactionBase, SalesTransactionBase {
+  DueDate?: string;
+  Balance?: number;
+  HomeBalance?: number;
+  Deposit?: number;
+  DepositToAccountRef?: ReferenceType;
+  AllowOnlineCreditCardPayment?: boolean;
+  AllowOnlineACHPayment?: boolean;
+  InvoiceLink?: string;
+}
+
+export interface Item extends EntityBase {
+  Name?: string;
+  Sku?: string;
+  Description?: string;
+  Active?: boolean;
+  SubItem?: boolean;
+  ParentRef?: ReferenceType;
+  Level?: number;
+  FullyQualifiedName?: string;
+  Type?: 'Inventory' | 'Service' | 'NonInventory' | 'Group' | 'Category';
+  UnitPrice?: number;
+  PurchaseCost?: number;
+  PurchaseDesc?: string;
+  IncomeAccountRef?: ReferenceType;
+  ExpenseAccountRef?: ReferenceType;
+  AssetAccountRef?: ReferenceType;
+  TrackQtyOnHand?: boolean;
+  QtyOnHand?: number;
+  InvStartDate?: string;
+  Taxable?: boolean;
+  SalesTaxIncluded?: boolean;
+  PurchaseTaxIncluded?: boolean;
+  SalesTaxCodeRef?: ReferenceType;
+  PurchaseTaxCodeRef?: ReferenceType;
+  PrefVendorRef?: ReferenceType;
+  ReorderPoint?: number;
+}
+
+export interface JournalCode extends EntityBase {
+  Name?: string;
+  Type?: string;
+  Description?: string;
+  Active?: boolean;
+}
+
+export interface JournalEntry extends EntityBase, TransactionBase {
+  Line?: Array<JournalEntryLine>;
+  Adjustment?: boolean;
+  TotalAmt?: number;
+}
+
+export interface Payment extends EntityBase, TransactionBase {
+  CustomerRef?: ReferenceType;
+  TotalAmt?: number;
+  UnappliedAmt?: number;
+  ProcessPayment?: boolean;
+  PaymentMethodRef?: ReferenceType;
+  PaymentRefNum?: string;
+  DepositToAccountRef?: ReferenceType;
+  ARAccountRef?: ReferenceType;
+  Line?: Array<PaymentLine>;
+  CreditCardPayment?: { CreditChargeInfo?: Record<string, unknown>; CreditChargeResponse?: Record<string, unknown> };
+}
+
+export interface PaymentMethod extends EntityBase {
+  Name?: string;
+  Type?: 'CREDIT_CARD' | 'NON_CREDIT_CARD';
+  Active?: boolean;
+}
+
+export interface Preferences extends EntityBase {
+  AccountingInfoPrefs?: Record<string, unknown>;
+  ProductAndServicesPrefs?: Record<string, unknown>;
+  SalesFormsPrefs?: Record<string, unknown>;
+  EmailMessagesPrefs?: Record<string, unknown>;
+  VendorAndPurchasesPrefs?: Record<string, unknown>;
+  TimeTrackingPrefs?: Record<string, unknown>;
+  TaxPrefs?: Record<string, unknown>;
+  CurrencyPrefs?: Record<string, unknown>;
+  ReportPrefs?: Record<string, unknown>;
+  OtherPrefs?: Record<string, unknown>;
+}
+
+export interface Purchase extends EntityBase, TransactionBase {
+  AccountRef?: ReferenceType;
+  PaymentType?: 'Cash' | 'Check' | 'CreditCard';
+  EntityRef?: ReferenceType;
+  Credit?: boolean;
+  Line?: Array<PurchaseLine>;
+  TotalAmt?: number;
+  PrintStatus?: PrintStatus;
+  RemitToAddr?: PhysicalAddress;
+  PaymentMethodRef?: ReferenceType;
+}
+
+export interface PurchaseOrder extends EntityBase, TransactionBase {
+  VendorRef?: ReferenceType;
+  APAccountRef?: ReferenceType;
+  Line?: Array<PurchaseLine>;
+  POStatus?: 'Open' | 'Closed';
+  ShipAddr?: PhysicalAddress;
+  VendorAddr?: PhysicalAddress;
+  ShipTo?: ReferenceType;
+  DueDate?: string;
+  TotalAmt?: number;
+  POEmail?: EmailAddress;
+  EmailStatus?: EmailStatus;
+  Memo?: string;
+  CustomField?: Array<CustomField>;
+  ClassRef?: ReferenceType;
+  SalesTermRef?: ReferenceType;
+  ShipMethodRef?: ReferenceType;
+}
+
+export interface RefundReceipt extends EntityBase, TransactionBase, SalesTransactionBase {
+  DepositToAccountRef?: ReferenceType;
+  PaymentMethodRef?: ReferenceType;
+  PaymentRefNum?: string;
+  CheckPayment?: CheckPayment;
+  CreditCardPayment?: { CreditChargeInfo?: Record<string, unknown>; CreditChargeResponse?: Record<string, unknown> };
+  Balance?: number;
+}
+
+export interface SalesReceipt extends EntityBase, TransactionBase, SalesTransactionBase {
+  DepositToAccountRef?: ReferenceType;
+  PaymentMethodRef?: ReferenceType;
+  PaymentRefNum?: string;
+  CreditCardPayment?: { CreditChargeInfo?: Record<string, unknown>; CreditChargeResponse?: Record<string, unknown> };
+  Balance?: number;
+}
+
+export interface TaxAgency extends EntityBase {
+  DisplayName?: string;
+  TaxRegistrationNumber?: string;
+  TaxTrackedOnSales?: boolean;
+  TaxTrackedOnPurchases?: boolean;
+}
+
+export interface TaxCode extends EntityBase {
+  Name?: string;
+  Description?: string;
+  Active?: boolean;
+  Taxable?: boolean;
+  TaxGroup?: boolean;
+  Hidden?: boolean;
+  SalesTaxRateList?: {
+    TaxRateDetail?: Array<{ TaxRateRef?: ReferenceType; TaxTypeApplicable?: string; TaxOrder?: number }>;
+  };
+  PurchaseTaxRateList?: {
+    TaxRateDetail?: Array<{ TaxRateRef?: ReferenceType; TaxTypeApplicable?: string; TaxOrder?: number }>;
+  };
+}
+
+export interface TaxRate extends EntityBase {
+  Name?: string;
+  Description?: string;
+  Active?: boolean;
+  RateValue?: number;
+  AgencyRef?: ReferenceType;
+  TaxReturnLineRef?: ReferenceType;
+  SpecialTaxType?: string;
+  DisplayType?: string;
+  EffectiveTaxRate?: Array<{ RateValue?: number; EffectiveDate?: string; EndDate?: string }>;
+}
+
+export interface TaxService {
+  TaxCode?: string;
+  TaxCodeId?: string;
+  TaxRateDetails?: Array<{
+    TaxRateName?: string;
+    TaxRateId?: string;
+    RateValue?: number;
+    TaxAgencyId?: string;
+    TaxApplicableOn?: 'Sales' | 'Purchase';
+  }>;
+}
+
+export interface Term extends EntityBase {
+  Name?: string;
+  Active?: boolean;
+  Type?: 'STANDARD' | 'DATE_DRIVEN';
+  DueDays?: number;
+  DiscountDays?: number;
+  DiscountPercent?: number;
+  DayOfMonthDue?: number;
+  DueNextMonthDays?: number;
+  DiscountDayOfMonth?: number;
+}
+
+export interface TimeActivity extends EntityBase {
+  TxnDate?: string;
+  NameOf?: 'Employee' | 'Vendor';
+  EmployeeRef?: ReferenceType;
+  VendorRef?: ReferenceType;
+  CustomerRef?: ReferenceType;
+  ItemRef?: ReferenceType;
+  ClassRef?: ReferenceType;
+  DepartmentRef?: ReferenceType;
+  PayrollItemRef?: ReferenceType;
+  BillableStatus?: BillableStatus;
+  Taxable?: boolean;
+  HourlyRate?: number;
+  Hours?: number;
+  Minutes?: number;
+  BreakHours?: number;
+  BreakMinutes?: number;
+  StartTime?: string;
+  EndTime?: string;
+  Description?: string;
+  CostRate?: number;
+}
+
+export interface Transfer extends EntityBase {
+  TxnDate?: string;
+  PrivateNote?: string;
+  FromAccountRef?: ReferenceType;
+  ToAccountRef?: ReferenceType;
+  Amount?: number;
+  CurrencyRef?: ReferenceType;
+  ExchangeRate?: number;
+}
+
+export interface Vendor extends EntityBase {
+  DisplayName?: string;
+  Title?: string;
+  GivenName?: string;
+  MiddleName?: string;
+  FamilyName?: string;
+  Suffix?: string;
+  PrintOnCheckName?: string;
+  Active?: boolean;
+  PrimaryPhone?: TelephoneNumber;
+  Mobile?: TelephoneNumber;
+  PrimaryEmailAddr?: EmailAddress;
+  CompanyName?: string;
+  AlternatePhone?: TelephoneNumber;
+  Fax?: TelephoneNumber;
+  WebAddr?: WebSiteAddress;
+  BillAddr?: PhysicalAddress;
+  OtherContactInfo?: { Type?: string; Telephone?: TelephoneNumber };
+  TaxIdentifier?: string;
+  AcctNum?: string;
+  Vendor1099?: boolean;
+  Balance?: number;
+  TermRef?: ReferenceType;
+  CurrencyRef?: ReferenceType;
+  BillRate?: number;
+  CostRate?: number;
+}
+
+export interface VendorCredit extends EntityBase, TransactionBase {
+  VendorRef?: ReferenceType;
+  APAccountRef?: ReferenceType;
+  Line?: Array<PurchaseLine>;
+  TotalAmt?: number;
+  Balance?: number;
+}
+
+/** AccountList report parameters */
+export interface AccountListParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  account_type?: ReportParamList;
+  account_status?: 'Deleted' | 'Not_Deleted';
+  moddate_macro?: DateMacro;
+  start_moddate?: string | Date;
+  end_moddate?: string | Date;
+  createdate_macro?: DateMacro;
+  start_createdate?: string | Date;
+  end_createdate?: string | Date;
+}
+
+/** AgedPayableDetail report parameters */
+export interface AgedPayableDetailParams {
+  report_date?: string | Date;
+  aging_method?: 'Report_Date' | 'Current';
+  aging_period?: number;
+  num_periods?: number;
+  past_due?: number;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  vendor?: ReportParamList;
+  term?: ReportParamList;
+  shipvia?: string;
+}
+
+/** AgedPayables report parameters */
+export interface AgedPayablesParams {
+  report_date?: string | Date;
+  aging_method?: 'Report_Date' | 'Current';
+  aging_period?: number;
+  num_periods?: number;
+  past_due?: number;
+  date_macro?: DateMacro;
+  vendor?: ReportParamList;
+  columns?: ReportParamList;
+}
+
+/** AgedReceivableDetail report parameters */
+export interface AgedReceivableDetailParams {
+  report_date?: string | Date;
+  aging_method?: 'Report_Date' | 'Current';
+  aging_period?: number;
+  num_periods?: number;
+  past_due?: number;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  customer?: ReportParamList;
+  term?: ReportParamList;
+  shipvia?: string;
+}
+
+/** AgedReceivables report parameters */
+export interface AgedReceivablesParams {
+  report_date?: string | Date;
+  aging_method?: 'Report_Date' | 'Current';
+  aging_period?: number;
+  num_periods?: number;
+  past_due?: number;
+  date_macro?: DateMacro;
+  customer?: ReportParamList;
+  columns?: ReportParamList;
+}
+
+/** BalanceSheet report parameters */
+export interface BalanceSheetParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  vendor?: ReportParamList;
+}
+
+/** CashFlow report parameters */
+export interface CashFlowParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+}
+
+/** CustomerBalance report parameters */
+export interface CustomerBalanceParams {
+  date_macro?: DateMacro;
+  report_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  department?: ReportParamList;
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+}
+
+/** CustomerBalanceDetail report parameters */
+export interface CustomerBalanceDetailParams {
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  report_date?: string | Date;
+  aging_method?: 'Report_Date' | 'Current';
+  customer?: ReportParamList;
+  department?: ReportParamList;
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+  term?: ReportParamList;
+  shipvia?: string;
+}
+
+/** CustomerIncome report parameters */
+export interface CustomerIncomeParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  vendor?: ReportParamList;
+  term?: ReportParamList;
+}
+
+/** FECReport report parameters */
+export interface FECReportParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  add_due_date?: string;
+}
+
+/** GeneralLedger report parameters */
+export interface GeneralLedgerParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  account?: ReportParamList;
+  account_type?: ReportParamList;
+  source_account?: ReportParamList;
+  source_account_type?: ReportParamList;
+}
+
+/** GeneralLedgerFR report parameters */
+export interface GeneralLedgerFRParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  account?: ReportParamList;
+  account_type?: ReportParamList;
+  source_account?: ReportParamList;
+  source_account_type?: ReportParamList;
+}
+
+/** InventoryValuationSummary report parameters */
+export interface InventoryValuationSummaryParams {
+  date_macro?: DateMacro;
+  report_date?: string | Date;
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  item?: ReportParamList;
+}
+
+/** JournalReport report parameters */
+export interface JournalReportParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+}
+
+/** ProfitAndLoss report parameters */
+export interface ProfitAndLossParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  vendor?: ReportParamList;
+}
+
+/** ProfitAndLossDetail report parameters */
+export interface ProfitAndLossDetailParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  account?: ReportParamList;
+  account_type?: ReportParamList;
+  payment_method?: ReportParamList;
+}
+
+/** ClassSales report parameters */
+export interface ClassSalesParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+}
+
+/** CustomerSales report parameters */
+export interface CustomerSalesParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+}
+
+/** DepartmentSales report parameters */
+export interface DepartmentSalesParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+}
+
+/** ItemSales report parameters */
+export interface ItemSalesParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+}
+
+/** TaxSummary report parameters */
+export interface TaxSummaryParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  agency_id?: string;
+}
+
+/** TransactionList report parameters */
+export interface TransactionListParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  moddate_macro?: DateMacro;
+  start_moddate?: string | Date;
+  end_moddate?: string | Date;
+  createdate_macro?: DateMacro;
+  start_createdate?: string | Date;
+  end_createdate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  group_by?: string;
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  source_account_type?: ReportParamList;
+  payment_method?: ReportParamList;
+  transaction_type?: ReportParamList;
+  term?: ReportParamList;
+  cleared?: 'Cleared' | 'Uncleared' | 'Reconciled' | 'Deposited';
+  printed?: 'Printed' | 'To_be_printed';
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+  docnum?: string;
+  memo?: ReportParamList;
+  name?: ReportParamList;
+}
+
+/** TransactionListByCustomer report parameters */
+export interface TransactionListByCustomerParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  moddate_macro?: DateMacro;
+  start_moddate?: string | Date;
+  end_moddate?: string | Date;
+  createdate_macro?: DateMacro;
+  start_createdate?: string | Date;
+  end_createdate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  group_by?: string;
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  source_account_type?: ReportParamList;
+  payment_method?: ReportParamList;
+  transaction_type?: ReportParamList;
+  term?: ReportParamList;
+  cleared?: 'Cleared' | 'Uncleared' | 'Reconciled' | 'Deposited';
+  printed?: 'Printed' | 'To_be_printed';
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+  docnum?: string;
+  memo?: ReportParamList;
+  name?: ReportParamList;
+}
+
+/** TransactionListByVendor report parameters */
+export interface TransactionListByVendorParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  moddate_macro?: DateMacro;
+  start_moddate?: string | Date;
+  end_moddate?: string | Date;
+  createdate_macro?: DateMacro;
+  start_createdate?: string | Date;
+  end_createdate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  group_by?: string;
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  source_account_type?: ReportParamList;
+  payment_method?: ReportParamList;
+  transaction_type?: ReportParamList;
+  term?: ReportParamList;
+  cleared?: 'Cleared' | 'Uncleared' | 'Reconciled' | 'Deposited';
+  printed?: 'Printed' | 'To_be_printed';
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+  docnum?: string;
+  memo?: ReportParamList;
+  name?: ReportParamList;
+}
+
+/** TransactionListWithSplits report parameters */
+export interface TransactionListWithSplitsParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  moddate_macro?: DateMacro;
+  start_moddate?: string | Date;
+  end_moddate?: string | Date;
+  createdate_macro?: DateMacro;
+  start_createdate?: string | Date;
+  end_createdate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  group_by?: string;
+  accounting_method?: 'Cash' | 'Accrual';
+  customer?: ReportParamList;
+  vendor?: ReportParamList;
+  employee?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  source_account_type?: ReportParamList;
+  payment_method?: ReportParamList;
+  transaction_type?: ReportParamList;
+  term?: ReportParamList;
+  cleared?: 'Cleared' | 'Uncleared' | 'Reconciled' | 'Deposited';
+  printed?: 'Printed' | 'To_be_printed';
+  arpaid?: 'Paid' | 'Unpaid' | 'All';
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+  docnum?: string;
+  memo?: ReportParamList;
+  name?: ReportParamList;
+}
+
+/** TrialBalance report parameters */
+export interface TrialBalanceParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+}
+
+/** VendorBalance report parameters */
+export interface VendorBalanceParams {
+  date_macro?: DateMacro;
+  report_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  vendor?: ReportParamList;
+  department?: ReportParamList;
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+}
+
+/** VendorBalanceDetail report parameters */
+export interface VendorBalanceDetailParams {
+  duedate_macro?: DateMacro;
+  start_duedate?: string | Date;
+  end_duedate?: string | Date;
+  columns?: ReportParamList;
+  sort_by?: string;
+  sort_order?: 'ascend' | 'descend';
+  report_date?: string | Date;
+  vendor?: ReportParamList;
+  department?: ReportParamList;
+  appaid?: 'Paid' | 'Unpaid' | 'All';
+  term?: ReportParamList;
+}
+
+/** VendorExpenses report parameters */
+export interface VendorExpensesParams {
+  date_macro?: DateMacro;
+  start_date?: string | Date;
+  end_date?: string | Date;
+  accounting_method?: 'Cash' | 'Accrual';
+  summarize_column_by?:
+    | 'Total'
+    | 'Month'
+    | 'Week'
+    | 'Days'
+    | 'Quarter'
+    | 'Year'
+    | 'Customers'
+    | 'Vendors'
+    | 'Classes'
+    | 'Departments'
+    | 'Employees'
+    | 'ProductsAndServices';
+  customer?: ReportParamList;
+  item?: ReportParamList;
+  class?: ReportParamList;
+  department?: ReportParamList;
+  vendor?: ReportParamList;
+}
+
+/** Methods generated from apiList.json, implemented by QuickBooksAccountingClient */
+export interface QuickBooksAccountingMethods {
+  /** Creates Account in QuickBooks */
+  createAccount(accountObject: Account): Promise<WriteResponse<Account>>;
+
+  /** Creates Attachable in QuickBooks */
+  createAttachable(attachableObject: Attachable): Promise<WriteResponse<Attachable>>;
+
+  /** Creates Bill in QuickBooks */
+  createBill(billObject: Bill): Promise<WriteResponse<Bill>>;
+
+  /** Creates BillPayment in QuickBooks */
+  createBillPayment(billPaymentObject: BillPayment): Promise<WriteResponse<BillPayment>>;
+
+  /** Creates Class in QuickBooks */
+  createClass(classObject: Class): Promise<WriteResponse<Class>>;
+
+  /** Creates CreditMemo in QuickBooks */
+  createCreditMemo(creditMemoObject: CreditMemo): Promise<WriteResponse<CreditMemo>>;
+
+  /** Creates Customer in QuickBooks */
+  createCustomer(customerObject: Customer): Promise<WriteResponse<Customer>>;
+
+  /** Creates Department in QuickBooks */
+  createDepartment(departmentObject: Department): Promise<WriteResponse<Department>>;
+
+  /** Creates Deposit in QuickBooks */
+  createDeposit(depositObject: Deposit): Promise<WriteResponse<Deposit>>;
+
+  /** Creates Employee in QuickBooks */
+  createEmployee(employeeObject: Employee): Promise<WriteResponse<Employee>>;
+
+  /** Creates Estimate in QuickBooks */
+  createEstimate(estimateObject: Estimate): Promise<WriteResponse<Estimate>>;
+
+  /** Creates Invoice in QuickBooks */
+  createInvoice(invoiceObject: Invoice): Promise<WriteResponse<Invoice>>;
+
+  /** Creates Item in QuickBooks */
+  createItem(itemObject: Item): Promise<WriteResponse<Item>>;
+
+  /** Creates JournalCode in QuickBooks */
+  createJournalCode(journalCodeObject: JournalCode): Promise<WriteResponse<JournalCode>>;
+
+  /** Creates JournalEntry in QuickBooks */
+  createJournalEntry(journalEntryObject: JournalEntry): Promise<WriteResponse<JournalEntry>>;
+
+  /** Creates Payment in QuickBooks */
+  createPayment(paymentObject: Payment): Promise<WriteResponse<Payment>>;
+
+  /** Creates PaymentMethod in QuickBooks */
+  createPaymentMethod(paymentMethodObject: PaymentMethod): Promise<WriteResponse<PaymentMethod>>;
+
+  /** Creates Purchase in QuickBooks */
+  createPurchase(purchaseObject: Purchase): Promise<WriteResponse<Purchase>>;
+
+  /** Creates PurchaseOrder in QuickBooks */
+  createPurchaseOrder(purchaseOrderObject: PurchaseOrder): Promise<WriteResponse<PurchaseOrder>>;
+
+  /** Creates RefundReceipt in QuickBooks */
+  createRefundReceipt(refundReceiptObject: RefundReceipt): Promise<WriteResponse<RefundReceipt>>;
+
+  /** Creates SalesReceipt in QuickBooks */
+  createSalesReceipt(salesReceiptObject: SalesReceipt): Promise<WriteResponse<SalesReceipt>>;
+
+  /** Creates TaxAgency in QuickBooks */
+  createTaxAgency(taxAgencyObject: TaxAgency): Promise<WriteResponse<TaxAgency>>;
+
+  /** Creates TaxService in QuickBooks */
+  createTaxService(taxServiceObject: TaxService): Promise<WriteResponse<TaxService>>;
+
+  /** Creates Term in QuickBooks */
+  createTerm(termObject: Term): Promise<WriteResponse<Term>>;
+
+  /** Creates TimeActivity in QuickBooks */
+  createTimeActivity(timeActivityObject: TimeActivity): Promise<WriteResponse<TimeActivity>>;
+
+  /** Creates Transfer in QuickBooks */
+  createTransfer(transferObject: Transfer): Promise<WriteResponse<Transfer>>;
+
+  /** Creates Vendor in QuickBooks */
+  createVendor(vendorObject: Vendor): Promise<WriteResponse<Vendor>>;
+
+  /** Creates VendorCredit in QuickBooks */
+  createVendorCredit(vendorCreditObject: VendorCredit): Promise<WriteResponse<VendorCredit>>;
+
+  /** Retrieve Account from QuickBooks */
+  getAccount(id: string): Promise<Account>;
+
+  /** Retrieve Attachable from QuickBooks */
+  getAttachable(id: string): Promise<Attachable>;
+
+  /** Retrieve Bill from QuickBooks */
+  getBill(id: string): Promise<Bill>;
+
+  /** Retrieve BillPayment from QuickBooks */
+  getBillPayment(id: string): Promise<BillPayment>;
+
+  /** Retrieve Class from QuickBooks */
+  getClass(id: string): Promise<Class>;
+
+  /** Retrieve CompanyInfo from QuickBooks */
+  getCompanyInfo(id: string): Promise<CompanyInfo>;
+
+  /** Retrieve CreditMemo from QuickBooks */
+  getCreditMemo(id: string): Promise<CreditMemo>;
+
+  /** Retrieve Customer from QuickBooks */
+  getCustomer(id: string): Promise<Customer>;
+
+  /** Retrieve Department from QuickBooks */
+  getDepartment(id: string): Promise<Department>;
+
+  /** Retrieve Deposit from QuickBooks */
+  getDeposit(id: string): Promise<Deposit>;
+
+  /** Retrieve Employee from QuickBooks */
+  getEmployee(id: string): Promise<Employee>;
+
+  /** Retrieve Estimate from QuickBooks */
+  getEstimate(id: string): Promise<Estimate>;
+
+  /** Retrieve ExchangeRate from QuickBooks */
+  getExchangeRate(id: string): Promise<ExchangeRate>;
+
+  /** Retrieve Invoice from QuickBooks */
+  getInvoice(id: string): Promise<Invoice>;
+
+  /** Retrieve Item from QuickBooks */
+  getItem(id: string): Promise<Item>;
+
+  /** Retrieve JournalCode from QuickBooks */
+  getJournalCode(id: string): Promise<JournalCode>;
+
+  /** Retrieve JournalEntry from QuickBooks */
+  getJournalEntry(id: string): Promise<JournalEntry>;
+
+  /** Retrieve Payment from QuickBooks */
+  getPayment(id: string): Promise<Payment>;
+
+  /** Retrieve PaymentMethod from QuickBooks */
+  getPaymentMethod(id: string): Promise<PaymentMethod>;
+
+  /** Retrieve Preferences from QuickBooks */
+  getPreferences(id: string): Promise<Preferences>;
+
+  /** Retrieve Purchase from QuickBooks */
+  getPurchase(id: string): Promise<Purchase>;
+
+  /** Retrieve PurchaseOrder from QuickBooks */
+  getPurchaseOrder(id: string): Promise<PurchaseOrder>;
+
+  /** Retrieve RefundReceipt from QuickBooks */
+  getRefundReceipt(id: string): Promise<RefundReceipt>;
+
+  /** Retrieve Reports from QuickBooks */
+  getReports(id: string): Promise<QuickBooksObject>;
+
+  /** Retrieve SalesReceipt from QuickBooks */
+  getSalesReceipt(id: string): Promise<SalesReceipt>;
+
+  /** Retrieve TaxAgency from QuickBooks */
+  getTaxAgency(id: string): Promise<TaxAgency>;
+
+  /** Retrieve TaxCode from QuickBooks */
+  getTaxCode(id: string): Promise<TaxCode>;
+
+  /** Retrieve TaxRate from QuickBooks */
+  getTaxRate(id: string): Promise<TaxRate>;
+
+  /** Retrieve Term from QuickBooks */
+  getTerm(id: string): Promise<Term>;
+
+  /** Retrieve TimeActivity from QuickBooks */
+  getTimeActivity(id: string): Promise<TimeActivity>;
+
+  /** Retrieve Vendor from QuickBooks */
+  getVendor(id: string): Promise<Vendor>;
+
+  /** Retrieve VendorCredit from QuickBooks */
+  getVendorCredit(id: string): Promise<VendorCredit>;
+
+  /** Updates Account entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateAccount(accountObject: Account & { void?: boolean }): Promise<WriteResponse<Account>>;
+
+  /** Updates Attachable entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateAttachable(attachableObject: Attachable & { void?: boolean }): Promise<WriteResponse<Attachable>>;
+
+  /** Updates Bill entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateBill(billObject: Bill & { void?: boolean }): Promise<WriteResponse<Bill>>;
+
+  /** Updates BillPayment entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateBillPayment(billPaymentObject: BillPayment & { void?: boolean }): Promise<WriteResponse<BillPayment>>;
+
+  /** Updates Class entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateClass(classObject: Class & { void?: boolean }): Promise<WriteResponse<Class>>;
+
+  /** Updates CompanyInfo entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateCompanyInfo(companyInfoObject: CompanyInfo & { void?: boolean }): Promise<WriteResponse<CompanyInfo>>;
+
+  /** Updates CreditMemo entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateCreditMemo(creditMemoObject: CreditMemo & { void?: boolean }): Promise<WriteResponse<CreditMemo>>;
+
+  /** Updates Customer entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateCustomer(customerObject: Customer & { void?: boolean }): Promise<WriteResponse<Customer>>;
+
+  /** Updates Department entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateDepartment(departmentObject: Department & { void?: boolean }): Promise<WriteResponse<Department>>;
+
+  /** Updates Deposit entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateDeposit(depositObject: Deposit & { void?: boolean }): Promise<WriteResponse<Deposit>>;
+
+  /** Updates Employee entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateEmployee(employeeObject: Employee & { void?: boolean }): Promise<WriteResponse<Employee>>;
+
+  /** Updates Estimate entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateEstimate(estimateObject: Estimate & { void?: boolean }): Promise<WriteResponse<Estimate>>;
+
+  /** Updates ExchangeRate entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateExchangeRate(exchangeRateObject: ExchangeRate & { void?: boolean }): Promise<WriteResponse<ExchangeRate>>;
+
+  /** Updates Invoice entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateInvoice(invoiceObject: Invoice & { void?: boolean }): Promise<WriteResponse<Invoice>>;
+
+  /** Updates Item entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateItem(itemObject: Item & { void?: boolean }): Promise<WriteResponse<Item>>;
+
+  /** Updates JournalCode entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateJournalCode(journalCodeObject: JournalCode & { void?: boolean }): Promise<WriteResponse<JournalCode>>;
+
+  /** Updates JournalEntry entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateJournalEntry(journalEntryObject: JournalEntry & { void?: boolean }): Promise<WriteResponse<JournalEntry>>;
+
+  /** Updates Payment entity in QuickBooks (Must include Id and SyncToken fields) */
+  updatePayment(paymentObject: Payment & { void?: boolean }): Promise<WriteResponse<Payment>>;
+
+  /** Updates PaymentMethod entity in QuickBooks (Must include Id and SyncToken fields) */
+  updatePaymentMethod(paymentMethodObject: PaymentMethod & { void?: boolean }): Promise<WriteResponse<PaymentMethod>>;
+
+  /** Updates Preferences entity in QuickBooks (Must include Id and SyncToken fields) */
+  updatePreferences(preferencesObject: Preferences & { void?: boolean }): Promise<WriteResponse<Preferences>>;
+
+  /** Updates Purchase entity in QuickBooks (Must include Id and SyncToken fields) */
+  updatePurchase(purchaseObject: Purchase & { void?: boolean }): Promise<WriteResponse<Purchase>>;
+
+  /** Updates PurchaseOrder entity in QuickBooks (Must include Id and SyncToken fields) */
+  updatePurchaseOrder(purchaseOrderObject: PurchaseOrder & { void?: boolean }): Promise<WriteResponse<PurchaseOrder>>;
+
+  /** Updates RefundReceipt entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateRefundReceipt(refundReceiptObject: RefundReceipt & { void?: boolean }): Promise<WriteResponse<RefundReceipt>>;
+
+  /** Updates SalesReceipt entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateSalesReceipt(salesReceiptObject: SalesReceipt & { void?: boolean }): Promise<WriteResponse<SalesReceipt>>;
+
+  /** Updates TaxAgency entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTaxAgency(taxAgencyObject: TaxAgency & { void?: boolean }): Promise<WriteResponse<TaxAgency>>;
+
+  /** Updates TaxCode entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTaxCode(taxCodeObject: TaxCode & { void?: boolean }): Promise<WriteResponse<TaxCode>>;
+
+  /** Updates TaxRate entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTaxRate(taxRateObject: TaxRate & { void?: boolean }): Promise<WriteResponse<TaxRate>>;
+
+  /** Updates TaxService entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTaxService(taxServiceObject: TaxService & { void?: boolean }): Promise<WriteResponse<TaxService>>;
+
+  /** Updates Term entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTerm(termObject: Term & { void?: boolean }): Promise<WriteResponse<Term>>;
+
+  /** Updates TimeActivity entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTimeActivity(timeActivityObject: TimeActivity & { void?: boolean }): Promise<WriteResponse<TimeActivity>>;
+
+  /** Updates Transfer entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateTransfer(transferObject: Transfer & { void?: boolean }): Promise<WriteResponse<Transfer>>;
+
+  /** Updates Vendor entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateVendor(vendorObject: Vendor & { void?: boolean }): Promise<WriteResponse<Vendor>>;
+
+  /** Updates VendorCredit entity in QuickBooks (Must include Id and SyncToken fields) */
+  updateVendorCredit(vendorCreditObject: VendorCredit & { void?: boolean }): Promise<WriteResponse<VendorCredit>>;
+
+  /** Remove Attachable entity from QuickBooks */
+  deleteAttachable(idOrEntity: string | Attachable): Promise<DeleteResponse<'Attachable'>>;
+
+  /** Remove Bill entity from QuickBooks */
+  deleteBill(idOrEntity: string | Bill): Promise<DeleteResponse<'Bill'>>;
+
+  /** Remove BillPayment entity from QuickBooks */
+  deleteBillPayment(idOrEntity: string | BillPayment): Promise<DeleteResponse<'BillPayment'>>;
+
+  /** Remove CreditMemo entity from QuickBooks */
+  deleteCreditMemo(idOrEntity: string | CreditMemo): Promise<DeleteResponse<'CreditMemo'>>;
+
+  /** Remove Deposit entity from QuickBooks */
+  deleteDeposit(idOrEntity: string | Deposit): Promise<DeleteResponse<'Deposit'>>;
+
+  /** Remove Estimate entity from QuickBooks */
+  deleteEstimate(idOrEntity: string | Estimate): Promise<DeleteResponse<'Estimate'>>;
+
+  /** Remove Invoice entity from QuickBooks */
+  deleteInvoice(idOrEntity: string | Invoice): Promise<DeleteResponse<'Invoice'>>;
+
+  /** Remove JournalCode entity from QuickBooks */
+  deleteJournalCode(idOrEntity: string | JournalCode): Promise<DeleteResponse<'JournalCode'>>;
+
+  /** Remove JournalEntry entity from QuickBooks */
+  deleteJournalEntry(idOrEntity: string | JournalEntry): Promise<DeleteResponse<'JournalEntry'>>;
+
+  /** Remove Payment entity from QuickBooks */
+  deletePayment(idOrEntity: string | Payment): Promise<DeleteResponse<'Payment'>>;
+
+  /** Remove Purchase entity from QuickBooks */
+  deletePurchase(idOrEntity: string | Purchase): Promise<DeleteResponse<'Purchase'>>;
+
+  /** Remove PurchaseOrder entity from QuickBooks */
+  deletePurchaseOrder(idOrEntity: string | PurchaseOrder): Promise<DeleteResponse<'PurchaseOrder'>>;
+
+  /** Remove RefundReceipt entity from QuickBooks */
+  deleteRefundReceipt(idOrEntity: string | RefundReceipt): Promise<DeleteResponse<'RefundReceipt'>>;
+
+  /** Remove SalesReceipt entity from QuickBooks */
+  deleteSalesReceipt(idOrEntity: string | SalesReceipt): Promise<DeleteResponse<'SalesReceipt'>>;
+
+  /** Remove TimeActivity entity from QuickBooks */
+  deleteTimeActivity(idOrEntity: string | TimeActivity): Promise<DeleteResponse<'TimeActivity'>>;
+
+  /** Remove Transfer entity from QuickBooks */
+  deleteTransfer(idOrEntity: string | Transfer): Promise<DeleteResponse<'Transfer'>>;
+
+  /** Remove VendorCredit entity from QuickBooks */
+  deleteVendorCredit(idOrEntity: string | VendorCredit): Promise<DeleteResponse<'VendorCredit'>>;
+
+  /** Find Account entities in QuickBooks */
+  findAccounts(query?: QueryParameters<Account>): Promise<QueryResponse<'Account', Account>>;
+
+  /** Lazily iterate Account entities in QuickBooks page by page */
+  iterateAccounts(
+    query: QueryParameters<Account> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Account[]>;
+  iterateAccounts(query?: QueryParameters<Account>, options?: PaginateOptions): AsyncGenerator<Account>;
+
+  /** Find Attachable entities in QuickBooks */
+  findAttachables(query?: QueryParameters<Attachable>): Promise<QueryResponse<'Attachable', Attachable>>;
+
+  /** Lazily iterate Attachable entities in QuickBooks page by page */
+  iterateAttachables(
+    query: QueryParameters<Attachable> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Attachable[]>;
+  iterateAttachables(query?: QueryParameters<Attachable>, options?: PaginateOptions): AsyncGenerator<Attachable>;
+
+  /** Find Bill entities in QuickBooks */
+  findBills(query?: QueryParameters<Bill>): Promise<QueryResponse<'Bill', Bill>>;
+
+  /** Lazily iterate Bill entities in QuickBooks page by page */
+  iterateBills(
+    query: QueryParameters<Bill> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Bill[]>;
+  iterateBills(query?: QueryParameters<Bill>, options?: PaginateOptions): AsyncGenerator<Bill>;
+
+  /** Find BillPayment entities in QuickBooks */
+  findBillPayments(query?: QueryParameters<BillPayment>): Promise<QueryResponse<'BillPayment', BillPayment>>;
+
+  /** Lazily iterate BillPayment entities in QuickBooks page by page */
+  iterateBillPayments(
+    query: QueryParameters<BillPayment> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<BillPayment[]>;
+  iterateBillPayments(query?: QueryParameters<BillPayment>, options?: PaginateOptions): AsyncGenerator<BillPayment>;
+
+  /** Find Budget entities in QuickBooks */
+  findBudgets(query?: QueryParameters<Budget>): Promise<QueryResponse<'Budget', Budget>>;
+
+  /** Lazily iterate Budget entities in QuickBooks page by page */
+  iterateBudgets(
+    query: QueryParameters<Budget> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Budget[]>;
+  iterateBudgets(query?: QueryParameters<Budget>, options?: PaginateOptions): AsyncGenerator<Budget>;
+
+  /** Find Class entities in QuickBooks */
+  findClasses(query?: QueryParameters<Class>): Promise<QueryResponse<'Class', Class>>;
+
+  /** Lazily iterate Class entities in QuickBooks page by page */
+  iterateClasses(
+    query: QueryParameters<Class> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Class[]>;
+  iterateClasses(query?: QueryParameters<Class>, options?: PaginateOptions): AsyncGenerator<Class>;
+
+  /** Find CompanyInfo entities in QuickBooks */
+  findCompanyInfos(query?: QueryParameters<CompanyInfo>): Promise<QueryResponse<'CompanyInfo', CompanyInfo>>;
+
+  /** Lazily iterate CompanyInfo entities in QuickBooks page by page */
+  iterateCompanyInfos(
+    query: QueryParameters<CompanyInfo> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<CompanyInfo[]>;
+  iterateCompanyInfos(query?: QueryParameters<CompanyInfo>, options?: PaginateOptions): AsyncGenerator<CompanyInfo>;
+
+  /** Find CreditMemo entities in QuickBooks */
+  findCreditMemos(query?: QueryParameters<CreditMemo>): Promise<QueryResponse<'CreditMemo', CreditMemo>>;
+
+  /** Lazily iterate CreditMemo entities in QuickBooks page by page */
+  iterateCreditMemos(
+    query: QueryParameters<CreditMemo> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<CreditMemo[]>;
+  iterateCreditMemos(query?: QueryParameters<CreditMemo>, options?: PaginateOptions): AsyncGenerator<CreditMemo>;
+
+  /** Find Customer entities in QuickBooks */
+  findCustomers(query?: QueryParameters<Customer>): Promise<QueryResponse<'Customer', Customer>>;
+
+  /** Lazily iterate Customer entities in QuickBooks page by page */
+  iterateCustomers(
+    query: QueryParameters<Customer> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Customer[]>;
+  iterateCustomers(query?: QueryParameters<Customer>, options?: PaginateOptions): AsyncGenerator<Customer>;
+
+  /** Find Department entities in QuickBooks */
+  findDepartments(query?: QueryParameters<Department>): Promise<QueryResponse<'Department', Department>>;
+
+  /** Lazily iterate Department entities in QuickBooks page by page */
+  iterateDepartments(
+    query: QueryParameters<Department> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Department[]>;
+  iterateDepartments(query?: QueryParameters<Department>, options?: PaginateOptions): AsyncGenerator<Department>;
+
+  /** Find Deposit entities in QuickBooks */
+  findDeposits(query?: QueryParameters<Deposit>): Promise<QueryResponse<'Deposit', Deposit>>;
+
+  /** Lazily iterate Deposit entities in QuickBooks page by page */
+  iterateDeposits(
+    query: QueryParameters<Deposit> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Deposit[]>;
+  iterateDeposits(query?: QueryParameters<Deposit>, options?: PaginateOptions): AsyncGenerator<Deposit>;
+
+  /** Find Employee entities in QuickBooks */
+  findEmployees(query?: QueryParameters<Employee>): Promise<QueryResponse<'Employee', Employee>>;
+
+  /** Lazily iterate Employee entities in QuickBooks page by page */
+  iterateEmployees(
+    query: QueryParameters<Employee> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Employee[]>;
+  iterateEmployees(query?: QueryParameters<Employee>, options?: PaginateOptions): AsyncGenerator<Employee>;
+
+  /** Find Estimate entities in QuickBooks */
+  findEstimates(query?: QueryParameters<Estimate>): Promise<QueryResponse<'Estimate', Estimate>>;
+
+  /** Lazily iterate Estimate entities in QuickBooks page by page */
+  iterateEstimates(
+    query: QueryParameters<Estimate> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Estimate[]>;
+  iterateEstimates(query?: QueryParameters<Estimate>, options?: PaginateOptions): AsyncGenerator<Estimate>;
+
+  /** Find ExchangeRate entities in QuickBooks */
+  findExchangeRates(query?: QueryParameters<ExchangeRate>): Promise<QueryResponse<'ExchangeRate', ExchangeRate>>;
+
+  /** Lazily iterate ExchangeRate entities in QuickBooks page by page */
+  iterateExchangeRates(
+    query: QueryParameters<ExchangeRate> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<ExchangeRate[]>;
+  iterateExchangeRates(query?: QueryParameters<ExchangeRate>, options?: PaginateOptions): AsyncGenerator<ExchangeRate>;
+
+  /** Find Invoice entities in QuickBooks */
+  findInvoices(query?: QueryParameters<Invoice>): Promise<QueryResponse<'Invoice', Invoice>>;
+
+  /** Lazily iterate Invoice entities in QuickBooks page by page */
+  iterateInvoices(
+    query: QueryParameters<Invoice> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Invoice[]>;
+  iterateInvoices(query?: QueryParameters<Invoice>, options?: PaginateOptions): AsyncGenerator<Invoice>;
+
+  /** Find Item entities in QuickBooks */
+  findItems(query?: QueryParameters<Item>): Promise<QueryResponse<'Item', Item>>;
+
+  /** Lazily iterate Item entities in QuickBooks page by page */
+  iterateItems(
+    query: QueryParameters<Item> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Item[]>;
+  iterateItems(query?: QueryParameters<Item>, options?: PaginateOptions): AsyncGenerator<Item>;
+
+  /** Find JournalCode entities in QuickBooks */
+  findJournalCodes(query?: QueryParameters<JournalCode>): Promise<QueryResponse<'JournalCode', JournalCode>>;
+
+  /** Lazily iterate JournalCode entities in QuickBooks page by page */
+  iterateJournalCodes(
+    query: QueryParameters<JournalCode> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<JournalCode[]>;
+  iterateJournalCodes(query?: QueryParameters<JournalCode>, options?: PaginateOptions): AsyncGenerator<JournalCode>;
+
+  /** Find JournalEntry entities in QuickBooks */
+  findJournalEntries(query?: QueryParameters<JournalEntry>): Promise<QueryResponse<'JournalEntry', JournalEntry>>;
+
+  /** Lazily iterate JournalEntry entities in QuickBooks page by page */
+  iterateJournalEntries(
+    query: QueryParameters<JournalEntry> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<JournalEntry[]>;
+  iterateJournalEntries(query?: QueryParameters<JournalEntry>, options?: PaginateOptions): AsyncGenerator<JournalEntry>;
+
+  /** Find Payment entities in QuickBooks */
+  findPayments(query?: QueryParameters<Payment>): Promise<QueryResponse<'Payment', Payment>>;
+
+  /** Lazily iterate Payment entities in QuickBooks page by page */
+  iteratePayments(
+    query: QueryParameters<Payment> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Payment[]>;
+  iteratePayments(query?: QueryParameters<Payment>, options?: PaginateOptions): AsyncGenerator<Payment>;
+
+  /** Find PaymentMethod entities in QuickBooks */
+  findPaymentMethods(query?: QueryParameters<PaymentMethod>): Promise<QueryResponse<'PaymentMethod', PaymentMethod>>;
+
+  /** Lazily iterate PaymentMethod entities in QuickBooks page by page */
+  iteratePaymentMethods(
+    query: QueryParameters<PaymentMethod> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<PaymentMethod[]>;
+  iteratePaymentMethods(
+    query?: QueryParameters<PaymentMethod>,
+    options?: PaginateOptions
+  ): AsyncGenerator<PaymentMethod>;
+
+  /** Find Preferences entities in QuickBooks */
+  findPreferences(query?: QueryParameters<Preferences>): Promise<QueryResponse<'Preferences', Preferences>>;
+
+  /** Lazily iterate Preferences entities in QuickBooks page by page */
+  iteratePreferences(
+    query: QueryParameters<Preferences> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Preferences[]>;
+  iteratePreferences(query?: QueryParameters<Preferences>, options?: PaginateOptions): AsyncGenerator<Preferences>;
+
+  /** Find Purchase entities in QuickBooks */
+  findPurchases(query?: QueryParameters<Purchase>): Promise<QueryResponse<'Purchase', Purchase>>;
+
+  /** Lazily iterate Purchase entities in QuickBooks page by page */
+  iteratePurchases(
+    query: QueryParameters<Purchase> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Purchase[]>;
+  iteratePurchases(query?: QueryParameters<Purchase>, options?: PaginateOptions): AsyncGenerator<Purchase>;
+
+  /** Find PurchaseOrder entities in QuickBooks */
+  findPurchaseOrders(query?: QueryParameters<PurchaseOrder>): Promise<QueryResponse<'PurchaseOrder', PurchaseOrder>>;
+
+  /** Lazily iterate PurchaseOrder entities in QuickBooks page by page */
+  iteratePurchaseOrders(
+    query: QueryParameters<PurchaseOrder> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<PurchaseOrder[]>;
+  iteratePurchaseOrders(
+    query?: QueryParameters<PurchaseOrder>,
+    options?: PaginateOptions
+  ): AsyncGenerator<PurchaseOrder>;
+
+  /** Find RefundReceipt entities in QuickBooks */
+  findRefundReceipts(query?: QueryParameters<RefundReceipt>): Promise<QueryResponse<'RefundReceipt', RefundReceipt>>;
+
+  /** Lazily iterate RefundReceipt entities in QuickBooks page by page */
+  iterateRefundReceipts(
+    query: QueryParameters<RefundReceipt> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<RefundReceipt[]>;
+  iterateRefundReceipts(
+    query?: QueryParameters<RefundReceipt>,
+    options?: PaginateOptions
+  ): AsyncGenerator<RefundReceipt>;
+
+  /** Find SalesReceipt entities in QuickBooks */
+  findSalesReceipts(query?: QueryParameters<SalesReceipt>): Promise<QueryResponse<'SalesReceipt', SalesReceipt>>;
+
+  /** Lazily iterate SalesReceipt entities in QuickBooks page by page */
+  iterateSalesReceipts(
+    query: QueryParameters<SalesReceipt> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<SalesReceipt[]>;
+  iterateSalesReceipts(query?: QueryParameters<SalesReceipt>, options?: PaginateOptions): AsyncGenerator<SalesReceipt>;
+
+  /** Find TaxAgency entities in QuickBooks */
+  findTaxAgencies(query?: QueryParameters<TaxAgency>): Promise<QueryResponse<'TaxAgency', TaxAgency>>;
+
+  /** Lazily iterate TaxAgency entities in QuickBooks page by page */
+  iterateTaxAgencies(
+    query: QueryParameters<TaxAgency> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<TaxAgency[]>;
+  iterateTaxAgencies(query?: QueryParameters<TaxAgency>, options?: PaginateOptions): AsyncGenerator<TaxAgency>;
+
+  /** Find TaxCode entities in QuickBooks */
+  findTaxCodes(query?: QueryParameters<TaxCode>): Promise<QueryResponse<'TaxCode', TaxCode>>;
+
+  /** Lazily iterate TaxCode entities in QuickBooks page by page */
+  iterateTaxCodes(
+    query: QueryParameters<TaxCode> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<TaxCode[]>;
+  iterateTaxCodes(query?: QueryParameters<TaxCode>, options?: PaginateOptions): AsyncGenerator<TaxCode>;
+
+  /** Find TaxRate entities in QuickBooks */
+  findTaxRates(query?: QueryParameters<TaxRate>): Promise<QueryResponse<'TaxRate', TaxRate>>;
+
+  /** Lazily iterate TaxRate entities in QuickBooks page by page */
+  iterateTaxRates(
+    query: QueryParameters<TaxRate> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<TaxRate[]>;
+  iterateTaxRates(query?: QueryParameters<TaxRate>, options?: PaginateOptions): AsyncGenerator<TaxRate>;
+
+  /** Find Term entities in QuickBooks */
+  findTerms(query?: QueryParameters<Term>): Promise<QueryResponse<'Term', Term>>;
+
+  /** Lazily iterate Term entities in QuickBooks page by page */
+  iterateTerms(
+    query: QueryParameters<Term> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Term[]>;
+  iterateTerms(query?: QueryParameters<Term>, options?: PaginateOptions): AsyncGenerator<Term>;
+
+  /** Find TimeActivity entities in QuickBooks */
+  findTimeActivities(query?: QueryParameters<TimeActivity>): Promise<QueryResponse<'TimeActivity', TimeActivity>>;
+
+  /** Lazily iterate TimeActivity entities in QuickBooks page by page */
+  iterateTimeActivities(
+    query: QueryParameters<TimeActivity> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<TimeActivity[]>;
+  iterateTimeActivities(query?: QueryParameters<TimeActivity>, options?: PaginateOptions): AsyncGenerator<TimeActivity>;
+
+  /** Find Vendor entities in QuickBooks */
+  findVendors(query?: QueryParameters<Vendor>): Promise<QueryResponse<'Vendor', Vendor>>;
+
+  /** Lazily iterate Vendor entities in QuickBooks page by page */
+  iterateVendors(
+    query: QueryParameters<Vendor> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<Vendor[]>;
+  iterateVendors(query?: QueryParameters<Vendor>, options?: PaginateOptions): AsyncGenerator<Vendor>;
+
+  /** Find VendorCredit entities in QuickBooks */
+  findVendorCredits(query?: QueryParameters<VendorCredit>): Promise<QueryResponse<'VendorCredit', VendorCredit>>;
+
+  /** Lazily iterate VendorCredit entities in QuickBooks page by page */
+  iterateVendorCredits(
+    query: QueryParameters<VendorCredit> | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<VendorCredit[]>;
+  iterateVendorCredits(query?: QueryParameters<VendorCredit>, options?: PaginateOptions): AsyncGenerator<VendorCredit>;
+
+  /** Retrieve AccountList report from QuickBooks */
+  reportAccountList(
+    params: AccountListParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportAccountList(
+    params: AccountListParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportAccountList(params?: AccountListParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve AgedPayableDetail report from QuickBooks */
+  reportAgedPayableDetail(
+    params: AgedPayableDetailParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportAgedPayableDetail(
+    params: AgedPayableDetailParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportAgedPayableDetail(
+    params?: AgedPayableDetailParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve AgedPayables report from QuickBooks */
+  reportAgedPayables(
+    params: AgedPayablesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportAgedPayables(
+    params: AgedPayablesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportAgedPayables(params?: AgedPayablesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve AgedReceivableDetail report from QuickBooks */
+  reportAgedReceivableDetail(
+    params: AgedReceivableDetailParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportAgedReceivableDetail(
+    params: AgedReceivableDetailParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportAgedReceivableDetail(
+    params?: AgedReceivableDetailParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve AgedReceivables report from QuickBooks */
+  reportAgedReceivables(
+    params: AgedReceivablesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportAgedReceivables(
+    params: AgedReceivablesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportAgedReceivables(params?: AgedReceivablesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve BalanceSheet report from QuickBooks */
+  reportBalanceSheet(
+    params: BalanceSheetParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportBalanceSheet(
+    params: BalanceSheetParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportBalanceSheet(params?: BalanceSheetParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve CashFlow report from QuickBooks */
+  reportCashFlow(
+    params: CashFlowParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportCashFlow(
+    params: CashFlowParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportCashFlow(params?: CashFlowParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve CustomerBalance report from QuickBooks */
+  reportCustomerBalance(
+    params: CustomerBalanceParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportCustomerBalance(
+    params: CustomerBalanceParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportCustomerBalance(params?: CustomerBalanceParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve CustomerBalanceDetail report from QuickBooks */
+  reportCustomerBalanceDetail(
+    params: CustomerBalanceDetailParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportCustomerBalanceDetail(
+    params: CustomerBalanceDetailParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportCustomerBalanceDetail(
+    params?: CustomerBalanceDetailParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve CustomerIncome report from QuickBooks */
+  reportCustomerIncome(
+    params: CustomerIncomeParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportCustomerIncome(
+    params: CustomerIncomeParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportCustomerIncome(params?: CustomerIncomeParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve FECReport report from QuickBooks */
+  reportFECReport(
+    params: FECReportParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportFECReport(
+    params: FECReportParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportFECReport(params?: FECReportParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve GeneralLedger report from QuickBooks */
+  reportGeneralLedger(
+    params: GeneralLedgerParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportGeneralLedger(
+    params: GeneralLedgerParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportGeneralLedger(params?: GeneralLedgerParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve GeneralLedgerFR report from QuickBooks */
+  reportGeneralLedgerFR(
+    params: GeneralLedgerFRParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportGeneralLedgerFR(
+    params: GeneralLedgerFRParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportGeneralLedgerFR(params?: GeneralLedgerFRParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve InventoryValuationSummary report from QuickBooks */
+  reportInventoryValuationSummary(
+    params: InventoryValuationSummaryParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportInventoryValuationSummary(
+    params: InventoryValuationSummaryParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportInventoryValuationSummary(
+    params?: InventoryValuationSummaryParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve JournalReport report from QuickBooks */
+  reportJournalReport(
+    params: JournalReportParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportJournalReport(
+    params: JournalReportParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportJournalReport(params?: JournalReportParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve ProfitAndLoss report from QuickBooks */
+  reportProfitAndLoss(
+    params: ProfitAndLossParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportProfitAndLoss(
+    params: ProfitAndLossParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportProfitAndLoss(params?: ProfitAndLossParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve ProfitAndLossDetail report from QuickBooks */
+  reportProfitAndLossDetail(
+    params: ProfitAndLossDetailParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportProfitAndLossDetail(
+    params: ProfitAndLossDetailParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportProfitAndLossDetail(
+    params?: ProfitAndLossDetailParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve ClassSales report from QuickBooks */
+  reportClassSales(
+    params: ClassSalesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportClassSales(
+    params: ClassSalesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportClassSales(params?: ClassSalesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve CustomerSales report from QuickBooks */
+  reportCustomerSales(
+    params: CustomerSalesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportCustomerSales(
+    params: CustomerSalesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportCustomerSales(params?: CustomerSalesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve DepartmentSales report from QuickBooks */
+  reportDepartmentSales(
+    params: DepartmentSalesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportDepartmentSales(
+    params: DepartmentSalesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportDepartmentSales(params?: DepartmentSalesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve ItemSales report from QuickBooks */
+  reportItemSales(
+    params: ItemSalesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportItemSales(
+    params: ItemSalesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportItemSales(params?: ItemSalesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve TaxSummary report from QuickBooks */
+  reportTaxSummary(
+    params: TaxSummaryParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTaxSummary(
+    params: TaxSummaryParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTaxSummary(params?: TaxSummaryParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve TransactionList report from QuickBooks */
+  reportTransactionList(
+    params: TransactionListParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTransactionList(
+    params: TransactionListParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTransactionList(params?: TransactionListParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve TransactionListByCustomer report from QuickBooks */
+  reportTransactionListByCustomer(
+    params: TransactionListByCustomerParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTransactionListByCustomer(
+    params: TransactionListByCustomerParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTransactionListByCustomer(
+    params?: TransactionListByCustomerParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve TransactionListByVendor report from QuickBooks */
+  reportTransactionListByVendor(
+    params: TransactionListByVendorParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTransactionListByVendor(
+    params: TransactionListByVendorParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTransactionListByVendor(
+    params?: TransactionListByVendorParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve TransactionListWithSplits report from QuickBooks */
+  reportTransactionListWithSplits(
+    params: TransactionListWithSplitsParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTransactionListWithSplits(
+    params: TransactionListWithSplitsParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTransactionListWithSplits(
+    params?: TransactionListWithSplitsParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve TrialBalance report from QuickBooks */
+  reportTrialBalance(
+    params: TrialBalanceParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportTrialBalance(
+    params: TrialBalanceParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportTrialBalance(params?: TrialBalanceParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve VendorBalance report from QuickBooks */
+  reportVendorBalance(
+    params: VendorBalanceParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportVendorBalance(
+    params: VendorBalanceParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportVendorBalance(params?: VendorBalanceParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve VendorBalanceDetail report from QuickBooks */
+  reportVendorBalanceDetail(
+    params: VendorBalanceDetailParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportVendorBalanceDetail(
+    params: VendorBalanceDetailParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportVendorBalanceDetail(
+    params?: VendorBalanceDetailParams,
+    options?: ReportOptions & { format?: 'raw' }
+  ): Promise<Report>;
+
+  /** Retrieve VendorExpenses report from QuickBooks */
+  reportVendorExpenses(
+    params: VendorExpensesParams | undefined,
+    options: ReportOptions & { format: 'table' }
+  ): Promise<ReportTable>;
+  reportVendorExpenses(
+    params: VendorExpensesParams | undefined,
+    options: ReportOptions & { format: ReportExportFormat }
+  ): Promise<string>;
+  reportVendorExpenses(params?: VendorExpensesParams, options?: ReportOptions & { format?: 'raw' }): Promise<Report>;
+
+  /** Retrieve CreditMemo as PDF from QuickBooks */
+  getCreditMemoPdf(id: string): Promise<Buffer>;
+
+  /** Stream CreditMemo PDF from QuickBooks into a writable stream */
+  pipeCreditMemoPdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Retrieve Estimate as PDF from QuickBooks */
+  getEstimatePdf(id: string): Promise<Buffer>;
+
+  /** Stream Estimate PDF from QuickBooks into a writable stream */
+  pipeEstimatePdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Retrieve Invoice as PDF from QuickBooks */
+  getInvoicePdf(id: string): Promise<Buffer>;
+
+  /** Stream Invoice PDF from QuickBooks into a writable stream */
+  pipeInvoicePdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Retrieve PurchaseOrder as PDF from QuickBooks */
+  getPurchaseOrderPdf(id: string): Promise<Buffer>;
+
+  /** Stream PurchaseOrder PDF from QuickBooks into a writable stream */
+  pipePurchaseOrderPdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Retrieve RefundReceipt as PDF from QuickBooks */
+  getRefundReceiptPdf(id: string): Promise<Buffer>;
+
+  /** Stream RefundReceipt PDF from QuickBooks into a writable stream */
+  pipeRefundReceiptPdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Retrieve SalesReceipt as PDF from QuickBooks */
+  getSalesReceiptPdf(id: string): Promise<Buffer>;
+
+  /** Stream SalesReceipt PDF from QuickBooks into a writable stream */
+  pipeSalesReceiptPdf(id: string, writable: NodeJS.WritableStream): Promise<void>;
+
+  /** Send CreditMemo by email from QuickBooks */
+  sendCreditMemo(id: string, email?: string): Promise<CreditMemo>;
+
+  /** Send Estimate by email from QuickBooks */
+  sendEstimate(id: string, email?: string): Promise<Estimate>;
+
+  /** Send Invoice by email from QuickBooks */
+  sendInvoice(id: string, email?: string): Promise<Invoice>;
+
+  /** Send PurchaseOrder by email from QuickBooks */
+  sendPurchaseOrder(id: string, email?: string): Promise<PurchaseOrder>;
+
+  /** Send RefundReceipt by email from QuickBooks */
+  sendRefundReceipt(id: string, email?: string): Promise<RefundReceipt>;
+
+  /** Send SalesReceipt by email from QuickBooks */
+  sendSalesReceipt(id: string, email?: string): Promise<SalesReceipt>;
+}
@@ -0,0 +1,488 @@
+/// <reference types="node" />
+
+import type { Readable } from 'node:stream';
+import type { IncomingMessage, ServerResponse } from 'node:http';
+
+import type { QuickBooksAccountingMethods } from './accounting.js';
+
+export * from './accounting.js';
+
+/** Entity without schema, or any QuickBooks object */
+export type QuickBooksObject = Record<string, any>;
+
+/** Create / update response, carrying the sent requestid as non-enumerable property */
+export type WriteResponse<T> = T & { readonly requestId?: string };
+
+export type DeleteResponse<K extends string> = {
+  [P in K]: { Id: string; status: string; domain?: string };
+} & { time: string; readonly requestId?: string };
+
+export type QueryOperator = '=' | 'IN' | '<' | '>' | '<=' | '>=' | 'LIKE';
+
+export type QueryValue = string | number | boolean;
+
+/** Entity property, or nested property (e.g. `MetaData.LastUpdatedTime`) */
+export type QueryField<T> = Extract<keyof T, string> | `${Extract<keyof T, string>}.${string}`;
+
+export interface QueryOptions<T> {
+  limit?: number;
+  offset?: number;
+  asc?: QueryField<T>;
+  desc?: QueryField<T>;
+  fetchAll?: boolean;
+  count?: boolean;
+  parallel?: boolean | number;
+}
+
+export type QueryCondition<T> =
+  | { field: QueryField<T>; value: QueryValue | QueryValue[]; operator?: QueryOperator }
+  | { [K in keyof QueryOptions<T>]-?: { field: K; value: QueryOptions<T>[K] } }[keyof QueryOptions<T>];
+
+/**
+ * Query parameters of find* methods, either an object whose keys are compared with `=` (or `IN` for arrays)
+ * or an array of conditions
+ */
+export type QueryParameters<T = QuickBooksObject> =
+  | ({ [K in Extract<keyof T, string>]?: QueryValue | QueryValue[] } & {
+      [field: `${string}.${string}`]: QueryValue | QueryValue[];
+    } & QueryOptions<T>)
+  | QueryCondition<T>[];
+
+export type QueryResponse<K extends string, T> = {
+  QueryResponse: { [P in K]?: T[] } & { startPosition?: number; maxResults?: number; totalCount?: number };
+  time: string;
+};
+
+export interface PaginateOptions {
+  pageSize?: number;
+  pages?: boolean;
+}
+
+export type ReportExportFormat = 'csv' | 'jsonl' | 'spreadsheetml';
+
+export type ReportFormat = 'raw' | 'table' | ReportExportFormat;
+
+/** Report list parameter, arrays are sent as comma separated list */
+export type ReportParamList = string | number | Array<string | number>;
+
+export interface ReportOptions {
+  format?: ReportFormat;
+  strict?: boolean;
+  chunkDays?: number;
+  concurrency?: number;
+  sections?: boolean;
+  indent?: string;
+}
+
+export interface ReportNameValue {
+  Name: string;
+  Value: string;
+}
+
+export interface ReportColData {
+  value: string;
+  id?: string;
+  href?: string;
+}
+
+export interface ReportColumn {
+  ColTitle: string;
+  ColType: string;
+  MetaData?: ReportNameValue[];
+  Columns?: { Column: ReportColumn[] };
+}
+
+export interface ReportRow {
+  type?: 'Section' | 'Data';
+  group?: string;
+  ColData?: ReportColData[];
+  Header?: { ColData: ReportColData[] };
+  Rows?: { Row?: ReportRow[] };
+  Summary?: { ColData: ReportColData[] };
+}
+
+/** Report response, as returned by QuickBooks */
+export interface Report {
+  Header: {
+    Time: string;
+    ReportName: string;
+    DateMacro?: string;
+    ReportBasis?: string;
+    StartPeriod?: string;
+    EndPeriod?: string;
+    SummarizeColumnsBy?: string;
+    Currency?: string;
+    Option?: ReportNameValue[];
+    [key: string]: unknown;
+  };
+  Columns: { Column: ReportColumn[] };
+  Rows: { Row?: ReportRow[] };
+}
+
+export interface ReportTableColumn {
+  key: string;
+  title: string;
+  type: string;
+  path: string[];
+  metadata: Record<string, string>;
+}
+
+export type ReportTableValues = Record<string, string | number | null>;
+
+export interface ReportTableRow {
+  type: 'section' | 'data' | 'summary';
+  group?: string;
+  path: string[];
+  depth: number;
+  values: ReportTableValues;
+  ids: Record<string, string>;
+}
+
+/** Report parsed into a flat table by `parseReport` */
+export interface ReportTable {
+  name: string;
+  header: Record<string, unknown>;
+  options: Record<string, string>;
+  columns: ReportTableColumn[];
+  rows: ReportTableRow[];
+  summaries: Record<string, ReportTableValues>;
+}
+
+export interface TokenPair {
+  accessToken: string;
+  refreshToken: string;
+  accessTokenExpiresAt?: Date | number | string;
+  refreshTokenExpiresAt?: Date | number | string;
+}
+
+export interface RetryOptions {
+  maxAttempts?: number;
+  statusCodes?: number[];
+  baseDelay?: number;
+  maxDelay?: number;
+  jitter?: boolean;
+}
+
+export interface RateLimitBudget {
+  requestsPerMinute?: number;
+  burst?: number;
+}
+
+export interface RateLimiterConfig extends RateLimitBudget {
+  maxConcurrent?: number;
+  batch?: RateLimitBudget;
+  report?: RateLimitBudget;
+}
+
+export interface RateLimiterMetrics {
+  queueDepth: number;
+  inFlight: number;
+  requests: number;
+  waited: number;
+  totalWaitTime: number;
+  maxWaitTime: number;
+  averageWaitTime: number;
+  buckets: Record<string, { requestsPerMinute: number; capacity: number; tokens: number }>;
+}
+
+export interface CassetteOptions {
+  mode: 'record' | 'replay';
+  path: string;
+}
+
+export interface ClientConfig {
+  accessToken: string;
+  realmId: string;
+  minorVersion?: number;
+  useSandbox?: boolean;
+  debug?: boolean;
+  clientId?: string;
+  clientSecret?: string;
+  refreshToken?: string;
+  accessTokenExpiresAt?: Date | number | string;
+  onTokenRefresh?: (tokens: TokenPair) => unknown;
+  refreshLock?: (refresh: (refreshToken?: string) => Promise<TokenPair>) => Promise<TokenPair>;
+  retry?: RetryOptions | boolean;
+  idempotency?: 'auto' | 'deterministic' | null;
+  cassette?: CassetteOptions;
+  baseUrl?: string;
+  validate?: boolean;
+  rateLimit?: RateLimiterConfig | QuickBooksRateLimiter | boolean;
+}
+
+export type BatchOperation =
+  | { operation: 'create' | 'update'; entity: string; data: QuickBooksObject; bId?: string }
+  | { operation: 'delete'; entity: string; data: string | QuickBooksObject; bId?: string }
+  | { operation: 'query'; entity: string; query?: QueryParameters | string; bId?: string };
+
+/** Raw QuickBooks Fault object, see `QuickBooksError.fromFault()` to turn it into an error */
+export interface Fault {
+  Error: Array<{ Message?: string; Detail?: string; code?: string; element?: string }>;
+  type?: string;
+}
+
+export interface BatchResult {
+  bId: string;
+  operation: BatchOperation['operation'];
+  entity: string;
+  result: any | null;
+  fault: Fault | null;
+}
+
+/** Changed entities keyed by entity name, removed entities are listed in `deleted` */
+export type ChangeDataCaptureResult = Record<string, QuickBooksObject[]> & {
+  deleted: Array<QuickBooksObject & { entity: string }>;
+};
+
+export interface AttachmentUpload {
+  file: Buffer | Readable | string;
+  fileName?: string;
+  contentType?: string;
+  attachTo?: Array<{ type: string; id: string; includeOnSend?: boolean }>;
+  note?: string;
+}
+
+export declare class QuickBooksAccountingClient {
+  static BASE_URL_PRODUCTION: string;
+  static BASE_URL_SANDBOX: string;
+  static TOKEN_URL: string;
+  static TOKEN_EXPIRY_MARGIN: number;
+  static QUERY_OPERATORS: QueryOperator[];
+  static QUERY_MAX_RESULTS: number;
+  static BATCH_OPERATIONS: string[];
+  static BATCH_LIMIT: number;
+  static CDC_ENTITIES: string[];
+  static CDC_MAX_DAYS: number;
+  static CDC_MAX_RESULTS: number;
+  static REPORT_FORMATS: ReportFormat[];
+  static REPORT_CHUNK_CONCURRENCY: number;
+
+  constructor(config: ClientConfig);
+  refreshAccessToken(): Promise<TokenPair>;
+  getRateLimiterMetrics(): RateLimiterMetrics | null;
+  getAccessToken(): string;
+  setAccessToken(token: string, expiresAt?: Date | number | string): string;
+  getRefreshToken(): string;
+  setRefreshToken(token: string): string;
+  query(entity: string): QuickBooksQueryBuilder;
+  paginate<T = QuickBooksObject>(
+    entity: string,
+    query: QueryParameters<T> | QuickBooksQueryBuilder | undefined,
+    options: PaginateOptions & { pages: true }
+  ): AsyncGenerator<T[]>;
+  paginate<T = QuickBooksObject>(
+    entity: string,
+    query?: QueryParameters<T> | QuickBooksQueryBuilder,
+    options?: PaginateOptions
+  ): AsyncGenerator<T>;
+  paginateStream<T = QuickBooksObject>(
+    entity: string,
+    query?: QueryParameters<T> | QuickBooksQueryBuilder,
+    options?: PaginateOptions
+  ): Readable;
+  batch(operations: BatchOperation[]): Promise<BatchResult[]>;
+  createBatch(): QuickBooksBatchBuilder;
+  changeDataCapture(entities: string[] | string, changedSince: Date | string): Promise<ChangeDataCaptureResult>;
+  uploadAttachment(attachment: AttachmentUpload): Promise<QuickBooksObject>;
+  downloadAttachable(id: string): Promise<Readable>;
+  findAttachablesFor(entityType: string, entityId: string): Promise<QueryResponse<'Attachable', QuickBooksObject>>;
+}
+
+export interface QuickBooksAccountingClient extends QuickBooksAccountingMethods {}
+
+export declare class QuickBooksQueryBuilder {
+  constructor(entity: string, options: { operators: string[]; execute?: (query: string) => Promise<any> });
+  readonly entity: string;
+  select(...fields: Array<string | string[]>): this;
+  where(field: string, value: QueryValue | QueryValue[]): this;
+  where(field: string, operator: QueryOperator, value: QueryValue | QueryValue[]): this;
+  whereIn(field: string, values: QueryValue[]): this;
+  orderBy(field: string, direction?: 'asc' | 'desc'): this;
+  limit(limit: number): this;
+  offset(offset: number): this;
+  count(count?: boolean): this;
+  clone(): QuickBooksQueryBuilder;
+  toString(): string;
+  execute(): Promise<QueryResponse<string, QuickBooksObject>>;
+}
+
+export declare class QuickBooksBatchBuilder {
+  constructor(client: QuickBooksAccountingClient);
+  create(entity: string, data: QuickBooksObject, bId?: string): this;
+  update(entity: string, data: QuickBooksObject, bId?: string): this;
+  delete(entity: string, idOrEntity: string | QuickBooksObject, bId?: string): this;
+  query(entity: string, query?: QueryParameters | string, bId?: string): this;
+  getOperations(): BatchOperation[];
+  execute(): Promise<BatchResult[]>;
+}
+
+export interface TokenStore {
+  get(realmId: string): Promise<TokenPair | null>;
+  set(realmId: string, tokens: TokenPair): Promise<void>;
+  lock<T>(realmId: string, fn: () => Promise<T> | T): Promise<T>;
+}
+
+/** Stores token pairs, or other JSON objects such as webhook checkpoints */
+export declare class MemoryTokenStore<V extends object = TokenPair> {
+  constructor(tokens?: Record<string, V>);
+  get(realmId: string): Promise<V | null>;
+  set(realmId: string, tokens: V): Promise<void>;
+  delete(realmId: string): Promise<void>;
+  lock<T>(realmId: string, fn: () => Promise<T> | T): Promise<T>;
+}
+
+export declare class FileTokenStore<V extends object = TokenPair> {
+  constructor(config: { directory: string; lockTimeout?: number; lockRetryDelay?: number });
+  get(realmId: string): Promise<V | null>;
+  set(realmId: string, tokens: V): Promise<void>;
+  delete(realmId: string): Promise<void>;
+  lock<T>(realmId: string, fn: () => Promise<T> | T): Promise<T>;
+}
+
+export interface ClientPoolConfig extends Omit<ClientConfig, 'accessToken' | 'realmId' | 'onTokenRefresh'> {
+  tokenStore: TokenStore;
+  idleTimeout?: number;
+  onTokenRefresh?: (realmId: string, tokens: TokenPair) => unknown;
+}
+
+export declare class QuickBooksClientPool {
+  constructor(config: ClientPoolConfig);
+  readonly size: number;
+  getClient(realmId: string): Promise<QuickBooksAccountingClient>;
+  evict(realmId: string): boolean;
+  evictIdle(): string[];
+  close(): void;
+}
+
+export declare class QuickBooksRateLimiter {
+  static CATEGORIES: Array<'default' | 'batch' | 'report'>;
+  static DEFAULT_REQUESTS_PER_MINUTE: Record<'default' | 'batch' | 'report', number>;
+
+  constructor(config?: RateLimiterConfig);
+  readonly maxConcurrent: number;
+  acquire(category?: 'default' | 'batch' | 'report'): Promise<() => void>;
+  getMetrics(): RateLimiterMetrics;
+}
+
+export interface WebhookEvent {
+  realmId: string;
+  entity: string;
+  id: string;
+  operation: string;
+  lastUpdated: string;
+  deletedId?: string;
+  data?: QuickBooksObject | null;
+}
+
+export interface WebhooksConfig {
+  verifierToken: string;
+  onEvent?: (event: WebhookEvent) => unknown;
+  hydrate?: boolean;
+  client?: QuickBooksAccountingClient;
+  pool?: QuickBooksClientPool;
+}
+
+export declare class QuickBooksWebhooks {
+  static SIGNATURE_HEADER: string;
+
+  constructor(config: WebhooksConfig);
+  verify(rawBody: Buffer | string, signature: string): boolean;
+  parse(body: Buffer | string | object): WebhookEvent[];
+  hydrate(event: WebhookEvent): Promise<WebhookEvent>;
+  handle(rawBody: Buffer | string, signature: string): Promise<WebhookEvent[]>;
+  dispatch(events: WebhookEvent[]): Promise<WebhookEvent[]>;
+  express(): (req: any, res: any, next: (error?: unknown) => void) => void;
+  fastify(): (fastify: any, options: { path?: string }) => Promise<void>;
+  http(onError?: (error: unknown) => void): (req: IncomingMessage, res: ServerResponse) => void;
+}
+
+export interface CheckpointStore {
+  get(realmId: string): Promise<{ lastUpdated: string } | null>;
+  set(realmId: string, checkpoint: { lastUpdated: string }): Promise<void>;
+  lock<T>(realmId: string, fn: () => Promise<T> | T): Promise<T>;
+}
+
+export interface WebhookSyncConfig {
+  store: CheckpointStore;
+  entities: string[];
+  onEvent: (event: WebhookEvent) => unknown;
+  client?: QuickBooksAccountingClient;
+  pool?: QuickBooksClientPool;
+  realmIds?: string[] | (() => Promise<string[]> | string[]);
+  interval?: number;
+  lookback?: number;
+  onError?: (realmId: string | null, error: unknown) => void;
+  dedupeSize?: number;
+}
+
+export declare class QuickBooksWebhookSync {
+  constructor(config: WebhookSyncConfig);
+  onEvent(event: WebhookEvent): Promise<void>;
+  catchUp(realmId: string): Promise<WebhookEvent[]>;
+  start(): this;
+  stop(): void;
+}
+
+export interface CsvOptions {
+  sections?: boolean;
+  indent?: string;
+}
+
+export declare function parseReport(report: Report): ReportTable;
+export declare function normalizeReportParams(
+  reportType: string,
+  params?: Record<string, unknown>,
+  options?: { strict?: boolean }
+): Record<string, string | number>;
+export declare function exportReport(
+  report: Report | ReportTable,
+  format: ReportExportFormat,
+  options?: CsvOptions
+): string;
+export declare function toCsv(report: Report | ReportTable, options?: CsvOptions): string;
+export declare function toJsonLines(report: Report | ReportTable): string;
+export declare function toSpreadsheetML(report: Report | ReportTable): string;
+
+export declare function validateEntity(
+  entityName: string,
+  entity: object,
+  options?: { partial?: boolean }
+): QuickBooksErrorItem[];
+
+export interface QuickBooksErrorItem {
+  message?: string;
+  detail?: string;
+  code?: string;
+  element?: string;
+}
+
+export declare class QuickBooksError extends Error {
+  status?: number;
+  code?: string;
+  detail?: string;
+  element?: string;
+  errors: QuickBooksErrorItem[];
+  faultType?: string;
+  intuitTid?: string;
+  entity?: string;
+  operation?: string;
+  requestId?: string;
+  cause?: unknown;
+
+  constructor(message: string, details?: Partial<Omit<QuickBooksError, 'name' | 'message' | 'stack'>>);
+  static from(error: unknown, context?: { entity?: string; operation?: string; requestId?: string }): QuickBooksError;
+  static fromFault(fault: Fault, context?: { entity?: string; operation?: string; requestId?: string }): QuickBooksError;
+  toFault(): Fault;
+}
+
+export declare class AuthenticationError extends QuickBooksError {}
+export declare class AuthorizationError extends QuickBooksError {}
+export declare class ValidationError extends QuickBooksError {}
+export declare class StaleObjectError extends ValidationError {}
+export declare class DuplicateDocumentError extends ValidationError {}
+export declare class RateLimitError extends QuickBooksError {
+  retryAfter: number | null;
+}
+export declare class ServiceUnavailableError extends QuickBooksError {}
+export declare class SchemaValidationError extends ValidationError {}
+export declare class WebhookSignatureError extends QuickBooksError {}
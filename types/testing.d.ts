@@ -0,0 +1,43 @@
+/// <reference types="node" />
+
+import type { ClientConfig, QuickBooksAccountingClient, QuickBooksObject, Report } from './index.js';
+
+export interface MockServerConfig {
+  accessToken?: string;
+  throttle?: { requestsPerMinute: number };
+}
+
+export interface MockRequest {
+  method: string;
+  path: string;
+  params: Record<string, string>;
+  body: any;
+}
+
+export interface MockFaultOptions {
+  status?: number;
+  code?: string;
+  message?: string;
+  detail?: string;
+  type?: string;
+  headers?: Record<string, string>;
+  path?: string | RegExp;
+  method?: string;
+  times?: number;
+}
+
+export declare class QuickBooksMockServer {
+  static PDF: Buffer;
+
+  constructor(config?: MockServerConfig);
+  readonly url: string | null;
+  readonly requests: MockRequest[];
+  start(port?: number): Promise<string>;
+  stop(): Promise<void>;
+  createClient(config?: Partial<ClientConfig>): QuickBooksAccountingClient;
+  seed(realmId: string, entity: string, records: QuickBooksObject[]): QuickBooksObject[];
+  getRecords(realmId: string, entity: string): QuickBooksObject[];
+  setReport(reportType: string, report: Report | ((params: Record<string, string>) => Report)): void;
+  injectFault(fault?: MockFaultOptions): void;
+  reset(): void;
+}